@@ -0,0 +1,371 @@
+/**
+ * Compact binary encoding of BTree contents, used by toBuffer() and fromBuffer()
+ * Fixed-width numbers are little-endian and a varint is an unsigned LEB128 integer.
+ * Version 1 layout:
+ *
+ *   Header
+ *     magic          4 bytes   'BTRB'
+ *     version        uint8     1
+ *     options        varint byte length, then the serializable options as UTF-8 JSON
+ *     count          varint    number of entries (one per value)
+ *     header CRC32   uint32    over every header byte before it
+ *   Entries, in key order
+ *     key            tag byte and payload, see KEY_TAGS
+ *     value          varint 0 when the value is the key itself, otherwise the byte length
+ *                    plus one, then the bytes produced by the value codec
+ *   Trailer
+ *     entries CRC32  uint32    over every entry byte
+ *
+ * Key payloads: integers up to 2^52 as zigzag varints, other numbers and dates (milliseconds)
+ * as float64, strings, bigints and JSON as a varint byte length and UTF-8 text, arrays
+ * (compound keys) as a varint length and the encoded elements; booleans have no payload.
+ */
+const helpers = require('./helpers');
+const { InvalidOptionsError } = require('./errors');
+
+const MAGIC = Buffer.from('BTRB', 'latin1');
+const BINARY_VERSION = 1;
+const MAX_ZIGZAG = 2 ** 52;
+const KEY_TAGS = {
+    integer: 0x01,
+    float64: 0x02,
+    string: 0x03,
+    date: 0x04,
+    false: 0x05,
+    true: 0x06,
+    array: 0x07,
+    bigint: 0x08,
+    json: 0x09
+};
+
+/**
+ * Values are stored as UTF-8 JSON unless another codec is given
+ */
+const jsonCodec = {
+    encode: value => Buffer.from(JSON.stringify(value), 'utf8'),
+    decode: bytes => JSON.parse(bytes.toString('utf8'))
+};
+
+let crcTable = null;
+
+/**
+ * CRC-32 (IEEE) of a range of bytes
+ * @param {Buffer} bytes - Data
+ * @param {number} start - First byte
+ * @param {number} end - Byte after the last one
+ * @returns {number} Unsigned checksum
+ */
+function crc32(bytes, start = 0, end = bytes.length) {
+    if (!crcTable) {
+        crcTable = new Int32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c;
+        }
+    }
+    let crc = -1;
+    for (let i = start; i < end; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Check that a codec has encode and decode functions
+ * @private
+ */
+function validateCodec(codec) {
+    if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+        throw new InvalidOptionsError('Codec option must have encode and decode functions');
+    }
+}
+
+/**
+ * Growable buffer for the encoder
+ * @private
+ */
+class Writer {
+    constructor(size = 1024) {
+        this.buffer = Buffer.allocUnsafe(size);
+        this.length = 0;
+    }
+
+    reserve(n) {
+        if (this.length + n > this.buffer.length) {
+            const grown = Buffer.allocUnsafe(Math.max(this.buffer.length * 2, this.length + n));
+            this.buffer.copy(grown, 0, 0, this.length);
+            this.buffer = grown;
+        }
+    }
+
+    uint8(n) {
+        this.reserve(1);
+        this.buffer[this.length++] = n;
+    }
+
+    uint32(n) {
+        this.reserve(4);
+        this.length = this.buffer.writeUInt32LE(n, this.length);
+    }
+
+    // Arithmetic instead of bit operations keeps integers above 2^31 exact
+    varint(n) {
+        this.reserve(8);
+        while (n >= 0x80) {
+            this.buffer[this.length++] = (n % 0x80) | 0x80;
+            n = Math.floor(n / 0x80);
+        }
+        this.buffer[this.length++] = n;
+    }
+
+    float64(n) {
+        this.reserve(8);
+        this.length = this.buffer.writeDoubleLE(n, this.length);
+    }
+
+    raw(bytes) {
+        this.reserve(bytes.length);
+        this.length += Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length).copy(this.buffer, this.length);
+    }
+
+    bytes(bytes) {
+        this.varint(bytes.length);
+        this.raw(bytes);
+    }
+
+    text(string) {
+        this.bytes(Buffer.from(string, 'utf8'));
+    }
+
+    toBuffer() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+/**
+ * Bounds-checked reader for the decoder
+ * @private
+ */
+class Reader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    take(n) {
+        if (this.offset + n > this.buffer.length) {
+            throw new Error('Buffer is truncated');
+        }
+        const start = this.offset;
+        this.offset += n;
+        return start;
+    }
+
+    uint8() {
+        return this.buffer[this.take(1)];
+    }
+
+    uint32() {
+        return this.buffer.readUInt32LE(this.take(4));
+    }
+
+    varint() {
+        let n = 0;
+        for (let scale = 1; scale < MAX_ZIGZAG * 2; scale *= 0x80) {
+            const byte = this.uint8();
+            n += (byte & 0x7F) * scale;
+            if (byte < 0x80) {
+                return n;
+            }
+        }
+        throw new Error(`Varint ending at byte ${this.offset} is too long`);
+    }
+
+    float64() {
+        return this.buffer.readDoubleLE(this.take(8));
+    }
+
+    bytes(n = this.varint()) {
+        const start = this.take(n);
+        return this.buffer.slice(start, start + n);
+    }
+
+    text() {
+        return this.bytes().toString('utf8');
+    }
+}
+
+function writeKey(writer, key) {
+    if (typeof key === 'bigint') {
+        writer.uint8(KEY_TAGS.bigint);
+        writer.text(key.toString());
+        return;
+    }
+    switch (helpers.getType(key)) {
+        case 'number':
+            // -0 needs the float encoding to keep its sign
+            if (Number.isInteger(key) && Math.abs(key) <= MAX_ZIGZAG && !Object.is(key, -0)) {
+                writer.uint8(KEY_TAGS.integer);
+                writer.varint(key < 0 ? -key * 2 - 1 : key * 2);
+            } else {
+                writer.uint8(KEY_TAGS.float64);
+                writer.float64(key);
+            }
+            break;
+        case 'string':
+            writer.uint8(KEY_TAGS.string);
+            writer.text(key);
+            break;
+        case 'date':
+            writer.uint8(KEY_TAGS.date);
+            writer.float64(key.getTime());
+            break;
+        case 'boolean':
+            writer.uint8(key ? KEY_TAGS.true : KEY_TAGS.false);
+            break;
+        case 'array':
+            writer.uint8(KEY_TAGS.array);
+            writer.varint(key.length);
+            key.forEach(element => writeKey(writer, element));
+            break;
+        default: {
+            const json = JSON.stringify(key);
+            if (json === undefined) {
+                throw new Error(`Unsupported key type: ${typeof key}`);
+            }
+            writer.uint8(KEY_TAGS.json);
+            writer.text(json);
+        }
+    }
+}
+
+function readKey(reader) {
+    const tag = reader.uint8();
+    switch (tag) {
+        case KEY_TAGS.integer: {
+            const zigzag = reader.varint();
+            return zigzag % 2 === 1 ? -(zigzag + 1) / 2 : zigzag / 2;
+        }
+        case KEY_TAGS.float64:
+            return reader.float64();
+        case KEY_TAGS.string:
+            return reader.text();
+        case KEY_TAGS.date:
+            return new Date(reader.float64());
+        case KEY_TAGS.false:
+            return false;
+        case KEY_TAGS.true:
+            return true;
+        case KEY_TAGS.array: {
+            const length = reader.varint();
+            const key = [];
+            for (let i = 0; i < length; i++) {
+                key.push(readKey(reader));
+            }
+            return key;
+        }
+        case KEY_TAGS.bigint:
+            return BigInt(reader.text());
+        case KEY_TAGS.json:
+            return JSON.parse(reader.text());
+        default:
+            throw new Error(`Unknown key tag 0x${tag.toString(16)} at byte ${reader.offset - 1}`);
+    }
+}
+
+/**
+ * Encode tree contents
+ * @param {Object} options - Serializable tree options
+ * @param {number} count - Number of entries
+ * @param {Iterable} entries - [key, value] pairs in key order
+ * @param {Object} codec - Value codec { encode(value) => Buffer, decode(bytes) => value }
+ * @returns {Buffer} Encoded tree
+ */
+function encode(options, count, entries, codec = jsonCodec) {
+    validateCodec(codec);
+    const writer = new Writer();
+    writer.raw(MAGIC);
+    writer.uint8(BINARY_VERSION);
+    writer.text(JSON.stringify(options));
+    writer.varint(count);
+    writer.uint32(crc32(writer.buffer, 0, writer.length));
+
+    const start = writer.length;
+    for (const [key, value] of entries) {
+        writeKey(writer, key);
+        if (value === key) {
+            writer.varint(0);
+            continue;
+        }
+        const bytes = codec.encode(value);
+        if (!(bytes instanceof Uint8Array)) {
+            throw new Error('Codec encode must return a Buffer or Uint8Array');
+        }
+        writer.varint(bytes.length + 1);
+        writer.raw(bytes);
+    }
+    writer.uint32(crc32(writer.buffer, start, writer.length));
+    return writer.toBuffer();
+}
+
+/**
+ * Decode the output of encode()
+ * @param {Buffer|Uint8Array} buffer - Encoded tree
+ * @param {Object} codec - Value codec used to encode it
+ * @returns {Object} { options, entries } where entries are [key, value] pairs in key order
+ */
+function decode(buffer, codec = jsonCodec) {
+    validateCodec(codec);
+    if (!(buffer instanceof Uint8Array)) {
+        throw new Error('Data must be a Buffer or Uint8Array');
+    }
+    const reader = new Reader(Buffer.from(buffer.buffer, buffer.byteOffset, buffer.length));
+    if (!reader.bytes(MAGIC.length).equals(MAGIC)) {
+        throw new Error('Data is not a binary BTree');
+    }
+    const version = reader.uint8();
+    if (version !== BINARY_VERSION) {
+        throw new Error(`Unsupported binary format version: ${version}`);
+    }
+    const optionsText = reader.text();
+    const count = reader.varint();
+    const headerEnd = reader.offset;
+    if (reader.uint32() !== crc32(reader.buffer, 0, headerEnd)) {
+        throw new Error('Header checksum mismatch, the data is corrupt');
+    }
+
+    // Check the entries before decoding any of them
+    const start = reader.offset;
+    const end = reader.buffer.length - 4;
+    if (end < start) {
+        throw new Error('Buffer is truncated');
+    }
+    if (reader.buffer.readUInt32LE(end) !== crc32(reader.buffer, start, end)) {
+        throw new Error('Entries checksum mismatch, the data is corrupt');
+    }
+
+    const body = new Reader(reader.buffer.slice(0, end));
+    body.offset = start;
+    const entries = [];
+    for (let i = 0; i < count; i++) {
+        const key = readKey(body);
+        const length = body.varint();
+        entries.push([key, length === 0 ? key : codec.decode(body.bytes(length - 1))]);
+    }
+    if (body.offset !== end) {
+        throw new Error(`Entries end at byte ${body.offset}, expected ${end}`);
+    }
+    return { options: JSON.parse(optionsText), entries };
+}
+
+module.exports = {
+    BINARY_VERSION,
+    KEY_TAGS,
+    jsonCodec,
+    crc32,
+    encode,
+    decode
+};
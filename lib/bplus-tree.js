@@ -0,0 +1,754 @@
+const EventEmitter = require('events');
+const helpers = require('./helpers');
+const comparators = require('./comparators');
+const keys = require('./keys');
+const query = require('./query');
+const {
+    DuplicateKeyError,
+    KeyNotFoundError,
+    InvalidKeyError,
+    EmptyTreeError,
+    InvalidOptionsError,
+    wrapError
+} = require('./errors');
+
+const DUPLICATE_MODES = ['allow', 'reject', 'replace'];
+
+/**
+ * Order-configurable B+tree
+ * Internal nodes only hold separator keys, every value lives in a leaf and the leaves form a
+ * doubly linked list, so range scans walk leaf arrays instead of chasing one pointer per key.
+ *
+ * Emits 'add', 'remove', 'replace' and 'clear' events after the tree changes
+ */
+class BPlusTree extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.options = {
+            order: 64,
+            key: 'id',
+            compare: comparators.natural,
+            duplicates: 'allow',
+            ...options
+        };
+        this._validateOptions(this.options);
+        this._configure();
+        this.root = this._createLeaf();
+        this._size = 0;
+    }
+
+    /**
+     * Initialize the tree with values and options
+     * @param {Array} values - Array of values to initialize with
+     * @param {Object} options - Configuration options (order cannot change once the tree has values)
+     */
+    init(values, options = {}) {
+        try {
+            if (options && typeof options !== 'object') {
+                throw new InvalidOptionsError('Options must be an object');
+            }
+            if (options.order !== undefined && options.order !== this.options.order && this._size > 0) {
+                throw new InvalidOptionsError('Order option cannot be changed once the tree has values');
+            }
+            const merged = { ...this.options, ...options };
+            this._validateOptions(merged);
+            this.options = merged;
+            this._configure();
+
+            if (values !== undefined && values !== null) {
+                if (!Array.isArray(values)) {
+                    throw new InvalidOptionsError('Values must be an array');
+                }
+                for (let i = 0; i < values.length; i++) {
+                    try {
+                        this.add(values[i]);
+                    } catch (error) {
+                        throw wrapError(error, `Failed to add item at index ${i}`);
+                    }
+                }
+            }
+        } catch (error) {
+            throw wrapError(error, 'Tree initialization failed');
+        }
+    }
+
+    /**
+     * Add a value to the tree
+     * @param {*} value - Value to add
+     * @param {*} key - Optional key (if not provided, it is resolved from the value using options.key)
+     * @returns {BPlusTree} This tree instance
+     */
+    add(value, key) {
+        try {
+            if (value === undefined || value === null) {
+                throw new Error('Value cannot be undefined or null');
+            }
+
+            if (key !== undefined) {
+                keys.validateExplicitKey(this.options.key, key);
+                this._insert(key, value);
+                return this;
+            }
+
+            if (helpers.getType(value) === 'array') {
+                for (let i = 0; i < value.length; i++) {
+                    const itemKey = keys.resolveItemKey(this.options.key, this._keyResolver, value[i], i);
+                    this._insert(itemKey, value[i]);
+                }
+                return this;
+            }
+
+            this._insert(this._keyResolver(value), value);
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to add value');
+        }
+    }
+
+    /**
+     * Remove the first value stored under a key
+     * @param {*} key - Key to remove
+     */
+    remove(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+            if (this._size === 0) {
+                throw new EmptyTreeError('Cannot remove from empty tree');
+            }
+            if (this._delete(key) === undefined) {
+                throw new KeyNotFoundError(`Key '${key}' not found in tree`, { key });
+            }
+        } catch (error) {
+            throw wrapError(error, `Failed to remove key '${key}'`);
+        }
+    }
+
+    /**
+     * Remove every value stored under a key
+     * @param {*} key - Key to remove
+     * @returns {number} Number of values removed
+     */
+    removeAll(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let removed = 0;
+            while (this._delete(key) !== undefined) {
+                removed++;
+            }
+            return removed;
+        } catch (error) {
+            throw wrapError(error, `Failed to remove all values for key '${key}'`);
+        }
+    }
+
+    /**
+     * Count the values stored under a key
+     * @param {*} key - Key to count
+     * @returns {number} Number of values with the key
+     */
+    count(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let count = 0;
+            for (const entry of this._scan({ gte: key, lte: key })) {
+                count++;
+            }
+            return count;
+        } catch (error) {
+            throw wrapError(error, 'Failed to count key');
+        }
+    }
+
+    /**
+     * Find values in the tree
+     * @param {*} key - Key to search for, or a query object (see lib/query.js)
+     * @returns {*} Single value for single results, array for multiple
+     */
+    find(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let result;
+            if (helpers.getType(key) === 'object') {
+                result = this._query(key);
+            } else {
+                const first = this._scan({ gte: key, lte: key }).next();
+                result = first.done ? [] : [first.value[1]];
+            }
+
+            // Return single value for single results, array for multiple
+            return result.length === 1 ? result[0] : result;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find key');
+        }
+    }
+
+    /**
+     * Find all values matching the key (always returns array)
+     * @param {*} key - Key to search for, or a query object (see lib/query.js)
+     * @returns {Array} Array of matching values
+     */
+    findAll(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            if (helpers.getType(key) === 'object') {
+                return this._query(key);
+            }
+            return this.range({ gte: key, lte: key });
+        } catch (error) {
+            throw wrapError(error, 'Failed to find all matching keys');
+        }
+    }
+
+    /**
+     * Find all values whose key lies within the given bounds by walking the linked leaves
+     * @param {Object} options - Range options ({ gte, gt, lte, lt, limit, reverse })
+     * @returns {Array} Array of matching values in key order
+     */
+    range(options = {}) {
+        try {
+            keys.validateBounds(options);
+            if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 0)) {
+                throw new InvalidOptionsError('Range limit must be a non-negative integer');
+            }
+
+            const results = [];
+            const limit = options.limit === undefined ? Infinity : options.limit;
+            if (limit === 0) {
+                return results;
+            }
+            for (const [, value] of this._scan(options)) {
+                results.push(value);
+                if (results.length >= limit) {
+                    break;
+                }
+            }
+            return results;
+        } catch (error) {
+            throw wrapError(error, 'Failed to query range');
+        }
+    }
+
+    /**
+     * Iterate over values in key order, allowing for...of and spreading
+     * @returns {Iterator} Iterator of values
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Lazily iterate over keys in key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) to seek to
+     * @returns {Iterator} Iterator of keys
+     */
+    keys(options = {}) {
+        return this._iterate(options, entry => entry[0]);
+    }
+
+    /**
+     * Lazily iterate over values in key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) to seek to
+     * @returns {Iterator} Iterator of values
+     */
+    values(options = {}) {
+        return this._iterate(options, entry => entry[1]);
+    }
+
+    /**
+     * Lazily iterate over [key, value] pairs in key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) to seek to
+     * @returns {Iterator} Iterator of [key, value] pairs
+     */
+    entries(options = {}) {
+        return this._iterate(options, entry => entry);
+    }
+
+    /**
+     * Get all items in the tree
+     * @returns {Array} Array of all values
+     */
+    items() {
+        const items = [];
+        for (let leaf = this._firstLeaf(); leaf; leaf = leaf.next) {
+            items.push(...leaf.values);
+        }
+        return items;
+    }
+
+    /**
+     * Iterate through all items in the tree
+     * @param {Function} callback - Function to call for each item
+     */
+    forEach(callback) {
+        try {
+            if (typeof callback !== 'function') {
+                throw new Error('Callback must be a function');
+            }
+            for (let leaf = this._firstLeaf(); leaf; leaf = leaf.next) {
+                leaf.values.forEach(value => callback(value));
+            }
+        } catch (error) {
+            throw wrapError(error, 'Failed to iterate tree');
+        }
+    }
+
+    /**
+     * Get the minimum value in the tree
+     * @returns {*} Minimum value
+     */
+    minimum() {
+        try {
+            if (this._size === 0) {
+                throw new EmptyTreeError('Cannot find minimum in empty tree');
+            }
+            return this._firstLeaf().values[0];
+        } catch (error) {
+            throw wrapError(error, 'Failed to find minimum');
+        }
+    }
+
+    /**
+     * Get the maximum value in the tree
+     * @returns {*} Maximum value
+     */
+    maximum() {
+        try {
+            if (this._size === 0) {
+                throw new EmptyTreeError('Cannot find maximum in empty tree');
+            }
+            const leaf = this._lastLeaf();
+            return leaf.values[leaf.values.length - 1];
+        } catch (error) {
+            throw wrapError(error, 'Failed to find maximum');
+        }
+    }
+
+    /**
+     * Get tree size
+     * @returns {number} Number of items in the tree
+     */
+    size() {
+        return this._size;
+    }
+
+    /**
+     * Check if tree is empty
+     * @returns {boolean} True if empty
+     */
+    isEmpty() {
+        return this._size === 0;
+    }
+
+    /**
+     * Clear the tree
+     */
+    clear() {
+        const size = this._size;
+        this.root = this._createLeaf();
+        this._size = 0;
+        this.emit('clear', { size });
+    }
+
+    /**
+     * Get the number of levels in the tree (every leaf is at the same depth)
+     * @returns {number} Tree height
+     */
+    getHeight() {
+        if (this._size === 0) {
+            return 0;
+        }
+        let height = 1;
+        for (let node = this.root; !node.leaf; node = node.children[0]) {
+            height++;
+        }
+        return height;
+    }
+
+    // Private helper methods
+
+    _validateOptions(options) {
+        if (!Number.isInteger(options.order) || options.order < 3) {
+            throw new InvalidOptionsError('Order option must be an integer of at least 3');
+        }
+        if (typeof options.compare !== 'function') {
+            throw new InvalidOptionsError('Compare option must be a function');
+        }
+        keys.validateKeyOption(options.key);
+        // Leaves hold one value per key slot, values of a key are kept as separate entries
+        if (options.duplicates === 'bucket') {
+            throw new InvalidOptionsError("Duplicates option 'bucket' is not supported by BPlusTree, use 'allow' to keep every value");
+        }
+        if (!DUPLICATE_MODES.includes(options.duplicates)) {
+            throw new InvalidOptionsError(`Duplicates option must be one of: ${DUPLICATE_MODES.join(', ')}`);
+        }
+    }
+
+    _configure() {
+        this._keyResolver = keys.createResolver(this.options.key);
+        this._keyComparator = keys.createComparator(this.options.key, this.options.compare);
+    }
+
+    _compare(a, b) {
+        return this._keyComparator(a, b);
+    }
+
+    // A node holds at most order - 1 keys, and every node but the root at least half of that
+    _maxKeys() {
+        return this.options.order - 1;
+    }
+
+    _minKeys() {
+        return Math.ceil(this.options.order / 2) - 1;
+    }
+
+    _createLeaf() {
+        return { leaf: true, keys: [], values: [], prev: null, next: null };
+    }
+
+    /**
+     * Count the keys that sort before key (or at or before it when upper is true)
+     * @private
+     */
+    _search(keys, key, upper) {
+        let low = 0;
+        let high = keys.length;
+        while (low < high) {
+            const mid = (low + high) >>> 1;
+            const cmp = this._compare(keys[mid], key);
+            if (cmp < 0 || (upper && cmp === 0)) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * Insert an entry, applying the duplicates option
+     * @private
+     */
+    _insert(key, value) {
+        if (this.options.duplicates !== 'allow') {
+            const existing = this._locate(key, false);
+            if (existing && this._compare(existing.leaf.keys[existing.index], key) === 0) {
+                if (this.options.duplicates === 'reject') {
+                    throw new DuplicateKeyError(`Key '${key}' already exists in tree`, { key });
+                }
+                const oldValue = existing.leaf.values[existing.index];
+                existing.leaf.values[existing.index] = value;
+                this.emit('replace', { key, value, oldValue });
+                return;
+            }
+        }
+
+        const split = this._insertInto(this.root, key, value);
+        if (split) {
+            this.root = { leaf: false, keys: [split.key], children: [this.root, split.node] };
+        }
+        this._size++;
+        this.emit('add', { key, value });
+    }
+
+    /**
+     * Insert after any equal keys so duplicates keep their insertion order
+     * @returns {Object} { key, node } when the node split, otherwise null
+     * @private
+     */
+    _insertInto(node, key, value) {
+        const index = this._search(node.keys, key, true);
+        if (node.leaf) {
+            node.keys.splice(index, 0, key);
+            node.values.splice(index, 0, value);
+        } else {
+            const split = this._insertInto(node.children[index], key, value);
+            if (split) {
+                node.keys.splice(index, 0, split.key);
+                node.children.splice(index + 1, 0, split.node);
+            }
+        }
+        return node.keys.length > this._maxKeys() ? this._split(node) : null;
+    }
+
+    _split(node) {
+        const mid = Math.floor(node.keys.length / 2);
+        if (node.leaf) {
+            const right = {
+                leaf: true,
+                keys: node.keys.splice(mid),
+                values: node.values.splice(mid),
+                prev: node,
+                next: node.next
+            };
+            if (node.next) {
+                node.next.prev = right;
+            }
+            node.next = right;
+            return { key: right.keys[0], node: right };
+        }
+
+        const right = { leaf: false, keys: node.keys.splice(mid + 1), children: node.children.splice(mid + 1) };
+        return { key: node.keys.pop(), node: right };
+    }
+
+    /**
+     * Remove the first entry with the key
+     * @returns {*} Removed value, or undefined if the key is not in the tree
+     * @private
+     */
+    _delete(key) {
+        const removed = this._deleteFrom(this.root, key);
+        if (removed === undefined) {
+            return undefined;
+        }
+        if (!this.root.leaf && this.root.keys.length === 0) {
+            this.root = this.root.children[0];
+        }
+        this._size--;
+        this.emit('remove', { key, value: removed });
+        return removed;
+    }
+
+    _deleteFrom(node, key) {
+        const start = this._search(node.keys, key, false);
+        if (node.leaf) {
+            if (start < node.keys.length && this._compare(node.keys[start], key) === 0) {
+                node.keys.splice(start, 1);
+                return node.values.splice(start, 1)[0];
+            }
+            return undefined;
+        }
+
+        // Equal keys can continue into the next child when a separator equals the key
+        for (let i = start; i < node.children.length; i++) {
+            const removed = this._deleteFrom(node.children[i], key);
+            if (removed !== undefined) {
+                this._fixUnderflow(node, i);
+                return removed;
+            }
+            if (i >= node.keys.length || this._compare(node.keys[i], key) !== 0) {
+                break;
+            }
+        }
+        return undefined;
+    }
+
+    /**
+     * Refill a child that dropped below the minimum by borrowing from or merging with a sibling
+     * @private
+     */
+    _fixUnderflow(parent, index) {
+        const child = parent.children[index];
+        const min = this._minKeys();
+        if (child.keys.length >= min) {
+            return;
+        }
+
+        const left = parent.children[index - 1];
+        const right = parent.children[index + 1];
+        if (left && left.keys.length > min) {
+            if (child.leaf) {
+                child.keys.unshift(left.keys.pop());
+                child.values.unshift(left.values.pop());
+                parent.keys[index - 1] = child.keys[0];
+            } else {
+                child.keys.unshift(parent.keys[index - 1]);
+                child.children.unshift(left.children.pop());
+                parent.keys[index - 1] = left.keys.pop();
+            }
+        } else if (right && right.keys.length > min) {
+            if (child.leaf) {
+                child.keys.push(right.keys.shift());
+                child.values.push(right.values.shift());
+                parent.keys[index] = right.keys[0];
+            } else {
+                child.keys.push(parent.keys[index]);
+                child.children.push(right.children.shift());
+                parent.keys[index] = right.keys.shift();
+            }
+        } else {
+            this._merge(parent, left ? index - 1 : index);
+        }
+    }
+
+    /**
+     * Merge the child at index with its right sibling
+     * @private
+     */
+    _merge(parent, index) {
+        const left = parent.children[index];
+        const right = parent.children[index + 1];
+        if (left.leaf) {
+            left.keys.push(...right.keys);
+            left.values.push(...right.values);
+            left.next = right.next;
+            if (right.next) {
+                right.next.prev = left;
+            }
+        } else {
+            left.keys.push(parent.keys[index], ...right.keys);
+            left.children.push(...right.children);
+        }
+        parent.keys.splice(index, 1);
+        parent.children.splice(index + 1, 1);
+    }
+
+    _firstLeaf() {
+        let node = this.root;
+        while (!node.leaf) {
+            node = node.children[0];
+        }
+        return node;
+    }
+
+    _lastLeaf() {
+        let node = this.root;
+        while (!node.leaf) {
+            node = node.children[node.children.length - 1];
+        }
+        return node;
+    }
+
+    /**
+     * Find the position of the first entry whose key is at or after key (after it when upper is true)
+     * @returns {Object} { leaf, index }, or null when every key sorts before it
+     * @private
+     */
+    _locate(key, upper) {
+        let node = this.root;
+        while (!node.leaf) {
+            node = node.children[this._search(node.keys, key, upper)];
+        }
+        let index = this._search(node.keys, key, upper);
+        while (node && index >= node.keys.length) {
+            node = node.next;
+            index = 0;
+        }
+        return node ? { leaf: node, index } : null;
+    }
+
+    /**
+     * Find the position of the last entry whose key is before key (at or before it when upper is true)
+     * @returns {Object} { leaf, index }, or null when every key sorts after it
+     * @private
+     */
+    _locateBefore(key, upper) {
+        let node = this.root;
+        while (!node.leaf) {
+            node = node.children[this._search(node.keys, key, upper)];
+        }
+        let index = this._search(node.keys, key, upper) - 1;
+        while (node && index < 0) {
+            node = node.prev;
+            index = node ? node.keys.length - 1 : -1;
+        }
+        return node ? { leaf: node, index } : null;
+    }
+
+    _iterate(options, project) {
+        try {
+            keys.validateBounds(options);
+        } catch (error) {
+            throw wrapError(error, 'Failed to iterate tree');
+        }
+        return this._map(this._scan(options), project);
+    }
+
+    *_map(entries, project) {
+        for (const entry of entries) {
+            yield project(entry);
+        }
+    }
+
+    /**
+     * Seek to the first entry within bounds, then follow the leaf links
+     * @private
+     */
+    *_scan(bounds) {
+        if (this._size === 0) {
+            return;
+        }
+
+        if (bounds.reverse) {
+            let position;
+            if (bounds.lte !== undefined) {
+                position = this._locateBefore(bounds.lte, true);
+            } else if (bounds.lt !== undefined) {
+                position = this._locateBefore(bounds.lt, false);
+            } else {
+                const last = this._lastLeaf();
+                position = { leaf: last, index: last.keys.length - 1 };
+            }
+
+            while (position) {
+                const { leaf } = position;
+                for (let i = position.index; i >= 0; i--) {
+                    if (!keys.isAboveLower(this._keyComparator, leaf.keys[i], bounds)) {
+                        return;
+                    }
+                    yield [leaf.keys[i], leaf.values[i]];
+                }
+                position = leaf.prev && { leaf: leaf.prev, index: leaf.prev.keys.length - 1 };
+            }
+            return;
+        }
+
+        let position;
+        if (bounds.gte !== undefined) {
+            position = this._locate(bounds.gte, false);
+        } else if (bounds.gt !== undefined) {
+            position = this._locate(bounds.gt, true);
+        } else {
+            position = { leaf: this._firstLeaf(), index: 0 };
+        }
+
+        while (position) {
+            const { leaf } = position;
+            for (let i = position.index; i < leaf.keys.length; i++) {
+                if (!keys.isBelowUpper(this._keyComparator, leaf.keys[i], bounds)) {
+                    return;
+                }
+                yield [leaf.keys[i], leaf.values[i]];
+            }
+            position = leaf.next && { leaf: leaf.next, index: 0 };
+        }
+    }
+
+    /**
+     * Find values matching a query object, walking only the key range it allows
+     * @private
+     */
+    _query(search) {
+        if (Object.keys(search).length === 0) {
+            throw new Error('Search object must have at least one property');
+        }
+        const { matches, bounds } = query.compileQuery(search, {
+            keyPath: typeof this.options.key === 'string' ? this.options.key : undefined,
+            compareKeys: (a, b) => this._compare(a, b)
+        });
+
+        const items = [];
+        for (const [, value] of this._scan(bounds || {})) {
+            if (matches(value)) {
+                items.push(value);
+            }
+        }
+        return items;
+    }
+}
+
+module.exports = BPlusTree;
@@ -1,73 +1,220 @@
 const helpers = require('./helpers');
+const comparators = require('./comparators');
+const {
+    BTreeError,
+    DuplicateKeyError,
+    KeyNotFoundError,
+    InvalidKeyError,
+    EmptyTreeError,
+    InvalidOptionsError,
+    wrapError
+} = require('./errors');
+const serialization = require('./serialization');
 const extend = require('node.extend');
+const EventEmitter = require('events');
+const BPlusTree = require('./bplus-tree');
+const keys = require('./keys');
+const SecondaryIndex = require('./secondary-index');
+const query = require('./query');
+const patches = require('./patch');
+const WriteAheadLog = require('./write-ahead-log');
+const binary = require('./binary');
+const { TreeReadStream, TreeWriteStream } = require('./streams');
+
+const DUPLICATE_MODES = ['allow', 'reject', 'replace', 'bucket'];
+const EVICT_ENDS = ['min', 'max'];
+
+/**
+ * Check the maxSize and evict options
+ * @private
+ */
+function validateCapacity({ maxSize, evict }) {
+    if (maxSize !== undefined && (!Number.isInteger(maxSize) || maxSize < 1)) {
+        throw new InvalidOptionsError('MaxSize option must be a positive integer');
+    }
+    if (evict !== undefined && !EVICT_ENDS.includes(evict)) {
+        throw new InvalidOptionsError(`Evict option must be one of: ${EVICT_ENDS.join(', ')}`);
+    }
+}
+
+/**
+ * Check a number of values to pop
+ * @private
+ */
+function validateCount(n) {
+    if (!Number.isInteger(n) || n < 0) {
+        throw new InvalidOptionsError('Count must be a non-negative integer');
+    }
+}
+
+/**
+ * Check that two trees can be combined node by node
+ * @private
+ */
+function validateCombinable(a, b) {
+    if (!(a instanceof BTree) || !(b instanceof BTree)) {
+        throw new InvalidOptionsError('Both arguments must be trees');
+    }
+    if (a.constructor !== b.constructor) {
+        throw new InvalidOptionsError('Trees must be of the same type');
+    }
+    if (a.options.duplicates !== b.options.duplicates) {
+        throw new InvalidOptionsError('Trees must use the same duplicates option');
+    }
+    // Nodes are merged by position, so both trees must key and order values the same way
+    if (a.options.compare !== b.options.compare) {
+        throw new InvalidOptionsError('Trees must use the same compare function');
+    }
+    if (!keys.isSameKeyOption(a.options.key, b.options.key)) {
+        throw new InvalidOptionsError('Trees must use the same key option');
+    }
+}
+
+/**
+ * Build a tree of a's type and options from the nodes of a and b
+ * @private
+ */
+function combine(operation, a, b) {
+    validateCombinable(a, b);
+    const tree = new a.constructor(a.options);
+    // Subtrees the operation does not touch end up in the result as they are. a and b keep their
+    // nodes and links, and copy a node marked shared before changing it.
+    tree._shareNodes();
+    [a, b].forEach(input => input._lendNodes());
+    tree._restructure(() => {
+        tree.root = operation.call(tree, a.root, b.root);
+        tree._setParent(tree.root, null);
+        tree._evictOverflow();
+    });
+    return tree;
+}
 
 /**
  * Modern ES6+ B-tree implementation
  * Provides a binary search tree with modern JavaScript features
+ *
+ * Emits 'add', 'remove', 'replace', 'clear', 'balance' and 'rotate' events once the operation
+ * that changed the tree has finished
  */
-class BTree {
+class BTree extends EventEmitter {
     constructor(options = {}) {
+        super();
         this.initialized = true;
         this.root = null;
         this.options = {
             key: 'id',
+            compare: comparators.natural,
+            duplicates: 'allow',
             ...options
         };
+
+        if (typeof this.options.compare !== 'function') {
+            throw new InvalidOptionsError('Compare option must be a function');
+        }
+        if (!DUPLICATE_MODES.includes(this.options.duplicates)) {
+            throw new InvalidOptionsError(`Duplicates option must be one of: ${DUPLICATE_MODES.join(', ')}`);
+        }
+        validateCapacity(this.options);
+        keys.validateKeyOption(this.options.key);
+        this._configure();
+        this._indexes = new Map();
+        this._transactions = [];
+        this._owned = null;
+        this._shared = false;
+        this._deferredEvents = null;
+        this._pendingEvents = null;
+        this._pendingEmitter = null;
+        this._log = null;
+        // Bumped on every change so read streams can tell when to restart their walk
+        this._version = 0;
     }
 
     /**
      * Initialize the tree with values and options
      * @param {Array} values - Array of values to initialize with
      * @param {Object} options - Configuration options
+     * @param {boolean} options.presorted - Values are already sorted by key, build the tree in O(n)
      */
     init(values, options = {}) {
         try {
-            this.initialized = true;
+            // Nothing is kept when a value fails, the tree keeps its old values and options
+            this._atomic(() => {
+                this.initialized = true;
 
-            // Validate options
-            if (options && typeof options !== 'object') {
-                throw new Error('Options must be an object');
-            }
-            if (options.key && typeof options.key !== 'string') {
-                throw new Error('Key option must be a string');
-            }
-            this.options = { ...this.options, ...options };
-
-            // Validate values
-            if (values !== undefined && values !== null) {
-                if (!Array.isArray(values)) {
-                    throw new Error('Values must be an array');
+                // Validate options
+                if (options && typeof options !== 'object') {
+                    throw new InvalidOptionsError('Options must be an object');
                 }
-                
-                // Handle empty array
-                if (values.length === 0) {
-                    this.root = null;
-                    return;
+                if (options.key !== undefined) {
+                    keys.validateKeyOption(options.key);
                 }
+                if (options.compare !== undefined && typeof options.compare !== 'function') {
+                    throw new InvalidOptionsError('Compare option must be a function');
+                }
+                if (options.duplicates !== undefined && !DUPLICATE_MODES.includes(options.duplicates)) {
+                    throw new InvalidOptionsError(`Duplicates option must be one of: ${DUPLICATE_MODES.join(', ')}`);
+                }
+                validateCapacity({ ...this.options, ...options });
+                const { presorted, ...treeOptions } = options;
+                this.options = { ...this.options, ...treeOptions };
+                this._configure();
+                this._evictOverflow();
+
+                // Validate values
+                if (values !== undefined && values !== null) {
+                    if (!Array.isArray(values)) {
+                        throw new InvalidOptionsError('Values must be an array');
+                    }
+                
+                    // Handle empty array
+                    if (values.length === 0) {
+                        if (this.root) {
+                            this.clear();
+                        }
+                        return;
+                    }
 
-                // Add values one by one with error handling
-                for (let i = 0; i < values.length; i++) {
-                    try {
-                        this.root = this.add(values[i]);
-                    } catch (error) {
-                        throw new Error(`Failed to add item at index ${i}: ${error.message}`);
+                    if (presorted) {
+                        this._loadSorted(values);
+                        return;
+                    }
+
+                    // Add values one by one with error handling
+                    for (let i = 0; i < values.length; i++) {
+                        try {
+                            this.add(values[i]);
+                        } catch (error) {
+                            throw wrapError(error, `Failed to add item at index ${i}`);
+                        }
                     }
-                }
 
-                // Balance tree if needed
-                if (!this.isBalanced()) {
-                    this.balance();
+                    // Balance tree if needed
+                    if (!this.isBalanced()) {
+                        this.balance();
+                    }
                 }
-            }
+            });
         } catch (error) {
-            throw new Error(`Tree initialization failed: ${error.message}`);
+            throw wrapError(error, 'Tree initialization failed');
         }
     }
 
+    /**
+     * Create a tree from values already sorted by key in O(n)
+     * @param {Array} values - Values sorted by key
+     * @param {Object} options - Configuration options
+     * @returns {BTree} New tree
+     */
+    static fromSorted(values, options = {}) {
+        const tree = new this(options);
+        tree.init(values, { presorted: true });
+        return tree;
+    }
+
     /**
      * Add a value to the tree
      * @param {*} value - Value to add
-     * @param {*} key - Optional key (if not provided, uses value or value[options.key])
+     * @param {*} key - Optional key (if not provided, it is resolved from the value using options.key)
      * @returns {Object} The root node
      */
     add(value, key) {
@@ -79,468 +226,2741 @@ class BTree {
 
             // Validate key if provided
             if (key !== undefined) {
-                if (helpers.getType(key) !== 'string' && helpers.getType(key) !== 'number') {
-                    throw new Error('Key must be a string or number');
-                }
-                this.root = this._addItem(this.root, key, value);
+                keys.validateExplicitKey(this.options.key, key);
+                this._insert(key, value);
                 return this.root;
             }
 
             // Handle different value types
             switch (helpers.getType(value)) {
-                case 'string':
-                case 'number':
-                case 'date':
-                    this.root = this._addItem(this.root, value, value);
-                    break;
-                case 'object':
-                    // Validate object has required key
-                    if (!value.hasOwnProperty(this.options.key)) {
-                        throw new Error(`Object must have property '${this.options.key}'`);
-                    }
-                    if (value[this.options.key] === undefined || value[this.options.key] === null) {
-                        throw new Error(`Object property '${this.options.key}' cannot be undefined or null`);
-                    }
-                    this.root = this._addItem(this.root, value[this.options.key], value);
-                    break;
                 case 'array':
-                    // Handle array of objects
-                    for (let i = 0; i < value.length; i++) {
-                        if (!value[i].hasOwnProperty(this.options.key)) {
-                            throw new Error(`Array item at index ${i} must have property '${this.options.key}'`);
-                        }
-                        if (value[i][this.options.key] === undefined || value[i][this.options.key] === null) {
-                            throw new Error(`Array item at index ${i} property '${this.options.key}' cannot be undefined or null`);
+                    // Handle array of objects, all or nothing
+                    this._atomic(() => {
+                        for (let i = 0; i < value.length; i++) {
+                            const itemKey = keys.resolveItemKey(this.options.key, this._keyResolver, value[i], i);
+                            this._insert(itemKey, value[i]);
                         }
-                        this.root = this._addItem(this.root, value[i][this.options.key], value[i]);
-                    }
 
-                    if (!this.isBalanced()) {
-                        this.balance();
-                    }
+                        if (!this.isBalanced()) {
+                            this.balance();
+                        }
+                    });
                     break;
                 default:
-                    throw new Error(`Unsupported value type: ${helpers.getType(value)}`);
+                    this._insert(this._resolveKey(value), value);
+                    break;
             }
 
             return this.root;
         } catch (error) {
-            throw new Error(`Failed to add value: ${error.message}`);
+            throw wrapError(error, 'Failed to add value');
         }
     }
 
+    /**
+     * Add an entry once it passes every unique index
+     * @private
+     */
+    _insert(key, value, duplicates = this.options.duplicates) {
+        this._checkIndexes(key, value, duplicates);
+        this._deferEvents(() => {
+            this.root = this._addItem(this.root, key, value, duplicates);
+            this._evictOverflow();
+        });
+    }
+
     /**
      * Internal method to add item to tree with AVL balancing
      * @private
      */
-    _addItem(node, key, value) {
+    _addItem(node, key, value, duplicates = this.options.duplicates) {
         if (!node) {
-            return {
-                key,
-                value,
-                parent: null,
-                left: null,
-                right: null,
-                height: 1
-            };
-        } else if (key < node.key) {
-            node.left = this._addItem(node.left, key, value);
+            const created = this._createNode(key, value);
+            this._changed('add', { key, value });
+            return created;
+        }
+
+        node = this._copyNode(node);
+        const cmp = this._compare(key, node.key);
+        if (cmp === 0 && duplicates !== 'allow') {
+            this._addDuplicate(node, key, value, duplicates);
+            this._updateNode(node);
+            return node;
+        }
+
+        // Equal keys go to the right so duplicates keep their insertion order
+        if (cmp < 0) {
+            node.left = this._addItem(node.left, key, value, duplicates);
             node.left.parent = node;
-        } else if (key >= node.key) {
-            node.right = this._addItem(node.right, key, value);
+        } else {
+            node.right = this._addItem(node.right, key, value, duplicates);
             node.right.parent = node;
         }
 
-        // Update height of current node
-        node.height = 1 + Math.max(this._getHeight(node.left), this._getHeight(node.right));
+        this._updateNode(node);
+        return this._rebalance(node);
+    }
 
-        // Get balance factor
-        const balance = this._getBalance(node);
+    /**
+     * Handle a key that already exists according to the duplicates option
+     * @private
+     */
+    _addDuplicate(node, key, value, duplicates = this.options.duplicates) {
+        switch (duplicates) {
+            case 'reject':
+                throw new DuplicateKeyError(`Key '${key}' already exists in tree`, { key });
+            case 'replace': {
+                const [oldValue, ...dropped] = node.values || [node.value];
+                node.value = value;
+                if (node.values) {
+                    node.values = [value];
+                }
+                dropped.forEach(droppedValue => this._changed('remove', { key, value: droppedValue }));
+                this._changed('replace', { key, value, oldValue });
+                break;
+            }
+            case 'bucket':
+                if (!node.values) {
+                    node.values = [node.value];
+                }
+                node.values.push(value);
+                this._changed('add', { key, value });
+                break;
+        }
+    }
 
-        // Left Left Case
-        if (balance > 1 && key < node.left.key) {
-            return this._rotateRight(node);
+    /**
+     * Remove a value from the tree
+     * @param {*} key - Key to remove
+     */
+    remove(key) {
+        try {
+            // Validate input
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            // Check if tree is empty
+            if (!this.root) {
+                throw new EmptyTreeError('Cannot remove from empty tree');
+            }
+
+            // Check if key exists before attempting removal
+            const target = this._firstNode(key);
+            if (!target) {
+                throw new KeyNotFoundError(`Key '${key}' not found in tree`, { key });
+            }
+
+            this._removeNode(target);
+        } catch (error) {
+            throw wrapError(error, `Failed to remove key '${key}'`);
         }
+    }
 
-        // Right Right Case
-        if (balance < -1 && key > node.right.key) {
-            return this._rotateLeft(node);
+    /**
+     * Remove every value stored under a key
+     * @param {*} key - Key to remove
+     * @returns {number} Number of values removed
+     */
+    removeAll(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            return this._removeKey(key);
+        } catch (error) {
+            throw wrapError(error, `Failed to remove all values for key '${key}'`);
         }
+    }
 
-        // Left Right Case
-        if (balance > 1 && key > node.left.key) {
-            node.left = this._rotateLeft(node.left);
-            return this._rotateRight(node);
+    _removeKey(key) {
+        return this._deferEvents(() => {
+            let removed = 0;
+            let target = this._firstNode(key);
+            while (target) {
+                removed += this._getCount(target);
+                this._removeNode(target);
+                target = this._firstNode(key);
+            }
+            return removed;
+        });
+    }
+
+    /**
+     * Get the first value stored under a key without throwing
+     * @param {*} key - Key to look up
+     * @param {*} defaultValue - Returned when the key is not stored
+     * @returns {*} Stored value, or defaultValue
+     */
+    get(key, defaultValue) {
+        try {
+            if (key === undefined || key === null) {
+                return defaultValue;
+            }
+            const node = this._firstNode(key);
+            return node ? node.value : defaultValue;
+        } catch (error) {
+            throw wrapError(error, 'Failed to get key');
         }
+    }
 
-        // Right Left Case
-        if (balance < -1 && key < node.right.key) {
-            node.right = this._rotateRight(node.right);
-            return this._rotateLeft(node);
+    /**
+     * Check whether a key is stored
+     * @param {*} key - Key to look up
+     * @returns {boolean} True if at least one value is stored under the key
+     */
+    has(key) {
+        try {
+            return key !== undefined && key !== null && this._firstNode(key) !== null;
+        } catch (error) {
+            throw wrapError(error, 'Failed to check key');
         }
+    }
 
-        return node;
+    /**
+     * Store a value as the only value for a key, whatever the duplicates option
+     * Existing values for the key are replaced (emitting 'replace', plus 'remove' for any extra
+     * duplicates); otherwise the value is added
+     * @param {*} key - Key to store the value under
+     * @param {*} value - Value to store
+     * @returns {BTree} This tree
+     */
+    set(key, value) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+            if (value === undefined || value === null) {
+                throw new Error('Value cannot be undefined or null');
+            }
+            keys.validateExplicitKey(this.options.key, key);
+
+            this._checkIndexes(key, value, 'replace');
+            this._deferEvents(() => {
+                // Leave a single node for the key so the upsert below replaces all of it
+                let extra = this._nodesOf(key)[1];
+                while (extra) {
+                    this._removeNode(extra);
+                    extra = this._nodesOf(key)[1];
+                }
+                this.root = this._addItem(this.root, key, value, 'replace');
+                this._evictOverflow();
+            });
+            return this;
+        } catch (error) {
+            throw wrapError(error, `Failed to set key '${key}'`);
+        }
     }
 
     /**
-     * Remove a value from the tree
+     * Remove every value stored under a key without throwing when it is missing
      * @param {*} key - Key to remove
+     * @returns {boolean} True if anything was removed
      */
-    remove(key) {
+    delete(key) {
         try {
-            // Validate input
             if (key === undefined || key === null) {
-                throw new Error('Key cannot be undefined or null');
+                return false;
             }
+            return this._removeKey(key) > 0;
+        } catch (error) {
+            throw wrapError(error, `Failed to delete key '${key}'`);
+        }
+    }
 
-            // Check if tree is empty
-            if (!this.root) {
-                throw new Error('Cannot remove from empty tree');
+    /**
+     * Remove the first value stored under a key like remove(), without throwing when it is missing
+     * In 'bucket' mode it removes every value of the key, while popMin() and popMax() remove one.
+     * @param {*} key - Key to remove
+     * @returns {boolean} True if anything was removed
+     */
+    tryRemove(key) {
+        try {
+            if (key === undefined || key === null) {
+                return false;
+            }
+            const target = this._firstNode(key);
+            if (!target) {
+                return false;
+            }
+            this._removeNode(target);
+            return true;
+        } catch (error) {
+            throw wrapError(error, `Failed to remove key '${key}'`);
+        }
+    }
+
+    /**
+     * Count the values stored under a key, or the values a predicate returns truthy for
+     * @param {*|Function} key - Key to count, or a predicate called with (value, key)
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt }) limiting a predicate's walk
+     * @returns {number} Number of matching values
+     */
+    count(key, range = {}) {
+        if (typeof key === 'function') {
+            return this._countMatches(key, range);
+        }
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let count = 0;
+            for (const node of this._walk({ gte: key, lte: key })) {
+                count += this._getCount(node);
+            }
+            return count;
+        } catch (error) {
+            throw wrapError(error, 'Failed to count key');
+        }
+    }
+
+    _countMatches(predicate, range) {
+        try {
+            let count = 0;
+            for (const [value, key] of this._scan(predicate, range)) {
+                if (predicate(value, key)) {
+                    count++;
+                }
+            }
+            return count;
+        } catch (error) {
+            throw wrapError(error, 'Failed to count values');
+        }
+    }
+
+    /**
+     * Remove a specific node from the tree
+     * @private
+     */
+    _removeNode(target) {
+        // Capture the entry first, removing a node with two children overwrites it with its successor
+        const key = target.key;
+        const values = target.values ? target.values.slice() : [target.value];
+
+        this._deferEvents(() => {
+            this.root = this._remove(this.root, target);
+            this._setParent(this.root, null);
+            values.forEach(value => this._changed('remove', { key, value }));
+        });
+    }
+
+    /**
+     * Internal method to remove a node from a subtree with AVL balancing
+     * @private
+     */
+    _remove(node, target) {
+        if (!node) {
+            return null;
+        }
+
+        const copy = this._copyNode(node);
+        if (node === target) {
+            target = copy;
+        }
+        node = copy;
+
+        if (node === target) {
+            // Node to be deleted found
+            if (!node.left) {
+                return node.right;
+            } else if (!node.right) {
+                return node.left;
+            }
+
+            // Node with two children: take over the inorder successor's entry
+            const successor = this._minimum(node.right);
+            node.key = successor.key;
+            node.value = successor.value;
+            if (successor.values) {
+                node.values = successor.values.slice();
+            } else {
+                delete node.values;
+            }
+            node.right = this._remove(node.right, successor);
+            this._setParent(node.right, node);
+        } else {
+            const cmp = this._compare(target.key, node.key);
+            if (cmp < 0 || (cmp === 0 && this._containsNode(node.left, target))) {
+                node.left = this._remove(node.left, target);
+                this._setParent(node.left, node);
+            } else {
+                node.right = this._remove(node.right, target);
+                this._setParent(node.right, node);
+            }
+        }
+
+        this._updateNode(node);
+        return this._rebalance(node);
+    }
+
+    /**
+     * Pop up to n values from one end of the tree
+     * @private
+     */
+    _popEnds(side, n) {
+        return this._deferEvents(() => {
+            const popped = [];
+            while (this.root && popped.length < n) {
+                const entry = {};
+                this.root = this._popEnd(this.root, side, entry);
+                this._setParent(this.root, null);
+                popped.push(entry.value);
+                this._changed('remove', entry);
+            }
+            return popped;
+        });
+    }
+
+    /**
+     * Remove the outermost value on one side of a subtree, storing it in entry
+     * @private
+     */
+    _popEnd(node, side, entry) {
+        node = this._copyNode(node);
+        if (node[side]) {
+            node[side] = this._popEnd(node[side], side, entry);
+            this._setParent(node[side], node);
+            this._updateNode(node);
+            return this._rebalance(node);
+        }
+
+        entry.key = node.key;
+        if (node.values && node.values.length > 1) {
+            entry.value = side === 'left' ? node.values.shift() : node.values.pop();
+            node.value = node.values[0];
+            this._updateNode(node);
+            return node;
+        }
+        entry.value = node.value;
+        return side === 'left' ? node.right : node.left;
+    }
+
+    _patchEquality(options) {
+        if (!options || typeof options !== 'object') {
+            throw new InvalidOptionsError('Options must be an object');
+        }
+        if (options.equals !== undefined && typeof options.equals !== 'function') {
+            throw new InvalidOptionsError('Equals option must be a function');
+        }
+        return options.equals || patches.deepEqual;
+    }
+
+    /**
+     * Apply a single change from a patch
+     * @private
+     */
+    _applyChange(change, equals) {
+        if (!change || typeof change !== 'object') {
+            throw new Error('Change must be an object');
+        }
+        const { type, key, value } = change;
+        if (key === undefined || key === null) {
+            throw new InvalidKeyError('Key cannot be undefined or null');
+        }
+        if (type !== 'removed' && (value === undefined || value === null)) {
+            throw new Error('Value cannot be undefined or null');
+        }
+
+        switch (type) {
+            case 'added':
+                this._insert(key, value);
+                break;
+            case 'removed': {
+                const [node, index] = this._findStoredValue(key, value, equals);
+                this._removeValueAt(node, index);
+                break;
+            }
+            case 'changed': {
+                const [node, index] = this._findStoredValue(key, change.oldValue, equals);
+                this._checkIndexes(key, value, 'replace');
+                this._replaceValueAt(node, index, value);
+                break;
             }
+            default:
+                throw new Error(`Unknown change type '${type}'`);
+        }
+    }
+
+    /**
+     * Find the node and bucket position of the first value under a key matching expected
+     * An undefined expected value matches the first value
+     * @private
+     */
+    _findStoredValue(key, expected, equals) {
+        for (const node of this._walk({ gte: key, lte: key })) {
+            const values = node.values || [node.value];
+            const index = expected === undefined ? 0 : values.findIndex(value => equals(value, expected));
+            if (index !== -1) {
+                return [node, index];
+            }
+        }
+        throw new KeyNotFoundError(`No matching value for key '${key}' in tree`, { key });
+    }
+
+    _removeValueAt(node, index) {
+        if (this._getCount(node) === 1) {
+            this._removeNode(node);
+            return;
+        }
+        let removed;
+        this.root = this._editNode(this.root, node, target => {
+            [removed] = target.values.splice(index, 1);
+            target.value = target.values[0];
+        });
+        this._changed('remove', { key: node.key, value: removed });
+    }
+
+    _replaceValueAt(node, index, value) {
+        let oldValue;
+        this.root = this._editNode(this.root, node, target => {
+            oldValue = target.values ? target.values[index] : target.value;
+            if (target.values) {
+                target.values[index] = value;
+            }
+            if (index === 0) {
+                target.value = value;
+            }
+        });
+        this._changed('replace', { key: node.key, value, oldValue });
+    }
+
+    /**
+     * Change a node in place, updating the subtree sizes on its path
+     * @private
+     */
+    _editNode(node, target, edit) {
+        const copy = this._copyNode(node);
+        if (node === target) {
+            target = copy;
+        }
+        node = copy;
+
+        if (node === target) {
+            edit(node);
+        } else {
+            const cmp = this._compare(target.key, node.key);
+            if (cmp < 0 || (cmp === 0 && this._containsNode(node.left, target))) {
+                node.left = this._editNode(node.left, target, edit);
+                node.left.parent = node;
+            } else {
+                node.right = this._editNode(node.right, target, edit);
+                node.right.parent = node;
+            }
+        }
+        this._updateNode(node);
+        return node;
+    }
+
+    /**
+     * Run fn in a transaction without wrapping its errors
+     * @private
+     */
+    _atomic(fn) {
+        if (!this.root && this._transactions.length === 0 && !this._deferredEvents) {
+            return this._atomicOnEmpty(fn);
+        }
+        this.begin();
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this.rollback();
+            throw error;
+        }
+        this.commit();
+        return result;
+    }
+
+    /**
+     * Run fn on an empty tree without a transaction
+     * There are no nodes to copy; if fn throws the tree is emptied again, its options and
+     * indexes restored and the changes fn made are not emitted
+     * @private
+     */
+    _atomicOnEmpty(fn) {
+        const options = this.options;
+        this._deferredEvents = [];
+        let result;
+        try {
+            result = fn();
+        } catch (error) {
+            this._deferredEvents = null;
+            this.root = null;
+            this.options = options;
+            this._configure();
+            this._indexes.forEach(index => index.clear());
+            this._version++;
+            throw error;
+        }
+        const events = this._deferredEvents;
+        this._deferredEvents = null;
+        this._emitChanges(events);
+        return result;
+    }
+
+    /**
+     * Close the innermost transaction, restoring the node ownership from before it
+     * @private
+     */
+    _endTransaction() {
+        const transaction = this._transactions.pop();
+        if (!transaction) {
+            throw new Error('No transaction in progress');
+        }
+        this._owned = transaction.owned;
+        return transaction;
+    }
+
+    /**
+     * Run node restructuring (split, join and set operations) on this tree
+     * @private
+     */
+    _restructure(fn) {
+        fn();
+    }
+
+    /**
+     * Get a node that may be modified in place
+     * Inside a transaction, nodes from before it are copied so rollback() can restore them; the
+     * original is recorded so the parent pointers of its children can be reset. Trees sharing
+     * nodes with other trees, and ImmutableBTree, copy every node they did not create. Nodes
+     * marked shared are always copied, and the original passes the mark on to its children.
+     * @private
+     */
+    _copyNode(node) {
+        if (!node || (!node.shared && (!this._owned || this._owned.has(node)))) {
+            return node;
+        }
+        const copy = { ...node };
+        if (node.values) {
+            copy.values = node.values.slice();
+        }
+        if (node.shared || this._shared) {
+            this._shareChildren(node);
+            copy.shared = false;
+        }
+        if (this._owned) {
+            this._owned.add(copy);
+        }
+        [copy.left, copy.right].forEach(child => this._setParent(child, copy));
+        if (this._transactions.length > 0) {
+            this._transactions[this._transactions.length - 1].copied.push(node);
+        }
+        return copy;
+    }
+
+    /**
+     * Mark the children of a shared node, another tree still reaches them through it
+     * @private
+     */
+    _shareChildren(node) {
+        [node.left, node.right].forEach(child => {
+            if (child) {
+                child.shared = true;
+            }
+        });
+    }
+
+    /**
+     * Mark the nodes of this tree as shared with another tree
+     * The roots an open transaction would restore are marked too, they lead to the same nodes.
+     * @private
+     */
+    _lendNodes() {
+        [this.root, ...this._transactions.map(transaction => transaction.root)].forEach(root => {
+            if (root) {
+                root.shared = true;
+            }
+        });
+    }
+
+    /**
+     * Point a child node at its parent
+     * A tree holding nodes of other trees leaves their parent pointers alone, the trees the nodes
+     * came from still walk up them
+     * @private
+     */
+    _setParent(child, parent) {
+        if (child && (!this._shared || this._owned.has(child))) {
+            child.parent = parent;
+        }
+    }
+
+    /**
+     * Let this tree hold nodes that other trees hold too
+     * Afterwards this tree copies a node before changing it unless it created the node since,
+     * so neither tree sees the other's changes. It leaves the parent pointers of nodes it did not
+     * create to the other trees, so successor() and predecessor() search from the root instead.
+     * @private
+     */
+    _shareNodes() {
+        this._shared = true;
+        this._owned = new WeakSet();
+        // Nodes owned before a savepoint are shared now too
+        this._transactions.forEach(transaction => {
+            transaction.owned = new WeakSet();
+        });
+    }
+
+    /**
+     * Hand the nodes of this tree over to another tree, clearing this one
+     * @private
+     */
+    _detachRoot() {
+        // A transaction may still roll back to the current nodes, so they are shared instead
+        if (this._transactions.length > 0) {
+            this._shareNodes();
+        }
+        const root = this.root;
+        this.clear();
+        return root;
+    }
+
+    /**
+     * Join two subtrees around a node whose key lies between theirs (AVL join)
+     * @private
+     */
+    _joinNodes(left, middle, right) {
+        const leftHeight = this._getHeight(left);
+        const rightHeight = this._getHeight(right);
+
+        // Descend the spine of the taller subtree until the heights are close
+        if (leftHeight > rightHeight + 1) {
+            const node = this._copyNode(left);
+            node.right = this._joinNodes(node.right, middle, right);
+            node.right.parent = node;
+            this._updateNode(node);
+            return this._rebalance(node);
+        }
+        if (rightHeight > leftHeight + 1) {
+            const node = this._copyNode(right);
+            node.left = this._joinNodes(left, middle, node.left);
+            node.left.parent = node;
+            this._updateNode(node);
+            return this._rebalance(node);
+        }
+
+        const node = this._copyNode(middle);
+        node.left = left;
+        node.right = right;
+        [left, right].forEach(child => this._setParent(child, node));
+        this._updateNode(node);
+        return node;
+    }
+
+    /**
+     * Join two subtrees where every key of left comes before every key of right
+     * @private
+     */
+    _concatNodes(left, right) {
+        if (!left) {
+            return right;
+        }
+        if (!right) {
+            return left;
+        }
+        const [rest, last] = this._splitLast(left);
+        return this._joinNodes(rest, last, right);
+    }
+
+    /**
+     * Detach the last node of a subtree
+     * @private
+     */
+    _splitLast(node) {
+        if (!node.right) {
+            if (node.shared) {
+                this._shareChildren(node);
+            }
+            return [node.left, node];
+        }
+        const copy = this._copyNode(node);
+        const [rest, last] = this._splitLast(copy.right);
+        copy.right = rest;
+        this._setParent(rest, copy);
+        this._updateNode(copy);
+        return [this._rebalance(copy), last];
+    }
+
+    /**
+     * Split a subtree into keys before key and the rest; inclusive moves keys equal to key before
+     * @private
+     */
+    _splitNodes(node, key, inclusive) {
+        if (!node) {
+            return [null, null];
+        }
+        const { left, right } = node;
+        // The children are split before node is copied, so they take over its mark first
+        if (node.shared) {
+            this._shareChildren(node);
+        }
+        const cmp = this._compare(node.key, key);
+        if (cmp < 0 || (inclusive && cmp === 0)) {
+            const [lower, upper] = this._splitNodes(right, key, inclusive);
+            return [this._joinNodes(left, node, lower), upper];
+        }
+        const [lower, upper] = this._splitNodes(left, key, inclusive);
+        return [lower, this._joinNodes(upper, node, right)];
+    }
+
+    /**
+     * Split a subtree into the keys less than, equal to and greater than key
+     * @private
+     */
+    _partitionNodes(node, key) {
+        const [less, rest] = this._splitNodes(node, key, false);
+        const [equal, greater] = this._splitNodes(rest, key, true);
+        return [less, equal, greater];
+    }
+
+    /**
+     * Combine the parts of a set operation split at b's root key, recursing on both sides
+     * @private
+     */
+    _combineNodes(a, b, operation, pickEqual) {
+        const [aLess, aEqual, aGreater] = this._partitionNodes(a, b.key);
+        const [bLess, bEqual, bGreater] = this._partitionNodes(b, b.key);
+        const lower = operation.call(this, aLess, bLess);
+        const upper = operation.call(this, aGreater, bGreater);
+        return this._concatNodes(this._concatNodes(lower, pickEqual(aEqual, bEqual)), upper);
+    }
+
+    _unionNodes(a, b) {
+        if (!a || !b) {
+            return a || b;
+        }
+        return this._combineNodes(a, b, this._unionNodes, (aEqual, bEqual) => aEqual || bEqual);
+    }
+
+    _intersectNodes(a, b) {
+        if (!a || !b) {
+            return null;
+        }
+        return this._combineNodes(a, b, this._intersectNodes, (aEqual, bEqual) => bEqual ? aEqual : null);
+    }
+
+    _differenceNodes(a, b) {
+        if (!a || !b) {
+            return a;
+        }
+        return this._combineNodes(a, b, this._differenceNodes, (aEqual, bEqual) => bEqual ? null : aEqual);
+    }
+
+    _symmetricDifferenceNodes(a, b) {
+        if (!a || !b) {
+            return a || b;
+        }
+        return this._combineNodes(a, b, this._symmetricDifferenceNodes, (aEqual, bEqual) => aEqual && bEqual ? null : aEqual || bEqual);
+    }
+
+    /**
+     * Pop values from the evicted end until the tree fits maxSize
+     * @private
+     */
+    _evictOverflow() {
+        const { maxSize, evict = 'min' } = this.options;
+        const overflow = maxSize === undefined ? 0 : this._getSize(this.root) - maxSize;
+        if (overflow > 0) {
+            this._popEnds(evict === 'min' ? 'left' : 'right', overflow);
+        }
+    }
+
+    /**
+     * Restore the AVL property at a node after an insertion or removal
+     * @private
+     */
+    _rebalance(node) {
+        // Get balance factor
+        const balance = this._getBalance(node);
+
+        // Left Left Case
+        if (balance > 1 && this._getBalance(node.left) >= 0) {
+            return this._rotateRight(node);
+        }
+
+        // Left Right Case
+        if (balance > 1 && this._getBalance(node.left) < 0) {
+            node.left = this._rotateLeft(node.left);
+            return this._rotateRight(node);
+        }
+
+        // Right Right Case
+        if (balance < -1 && this._getBalance(node.right) <= 0) {
+            return this._rotateLeft(node);
+        }
+
+        // Right Left Case
+        if (balance < -1 && this._getBalance(node.right) > 0) {
+            node.right = this._rotateRight(node.right);
+            return this._rotateLeft(node);
+        }
+
+        return node;
+    }
+
+    /**
+     * Find values in the tree
+     * @param {*} key - Key to search for, or a query object (see lib/query.js)
+     * @returns {*} Single value for single results, array for multiple
+     */
+    find(key) {
+        try {
+            // Validate input
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let result = [];
+            switch (helpers.getType(key)) {
+                case 'object':
+                    // Validate object has at least one property
+                    const hasProperties = Object.keys(key).length > 0;
+                    if (!hasProperties) {
+                        throw new Error('Search object must have at least one property');
+                    }
+
+                    result = this._query(key);
+                    break;
+                default:
+                    const item = this._firstNode(key);
+                    if (item) {
+                        result.push(item.value);
+                    }
+                    break;
+            }
+            
+            // Return single value for single results, array for multiple
+            return result.length === 1 ? result[0] : result;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find key');
+        }
+    }
+
+    /**
+     * Find all values matching the key (always returns array)
+     * @param {*} key - Key to search for, or a query object (see lib/query.js)
+     * @returns {Array} Array of matching values
+     */
+    findAll(key) {
+        try {
+            // Validate input
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let result = [];
+            switch (helpers.getType(key)) {
+                case 'object':
+                    // Validate object has at least one property
+                    const hasProperties = Object.keys(key).length > 0;
+                    if (!hasProperties) {
+                        throw new Error('Search object must have at least one property');
+                    }
+
+                    result = this._query(key);
+                    break;
+                default:
+                    result = this.range({ gte: key, lte: key });
+                    break;
+            }
+            
+            // Always return array
+            return result;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find all matching keys');
+        }
+    }
+
+    /**
+     * Find all values whose key lies within the given bounds
+     * Only the subtrees that can contain matching keys are visited
+     * @param {Object} options - Range options
+     * @param {*} options.gte - Keys greater than or equal to this value
+     * @param {*} options.gt - Keys strictly greater than this value
+     * @param {*} options.lte - Keys less than or equal to this value
+     * @param {*} options.lt - Keys strictly less than this value
+     * @param {number} options.limit - Maximum number of values to return
+     * @param {boolean} options.reverse - Return values in descending key order
+     * @returns {Array} Array of matching values in key order
+     */
+    range(options = {}) {
+        try {
+            keys.validateBounds(options);
+            if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit < 0)) {
+                throw new InvalidOptionsError('Range limit must be a non-negative integer');
+            }
+
+            const results = [];
+            const limit = options.limit === undefined ? Infinity : options.limit;
+            if (limit === 0) {
+                return results;
+            }
+            for (const value of this._project(this._walk(options), (key, value) => value, options.reverse)) {
+                results.push(value);
+                if (results.length >= limit) {
+                    break;
+                }
+            }
+            return results;
+        } catch (error) {
+            throw wrapError(error, 'Failed to query range');
+        }
+    }
+
+    /**
+     * Find all values whose key lies between two keys (inclusive)
+     * @param {*} low - Lower bound
+     * @param {*} high - Upper bound
+     * @returns {Array} Array of matching values in key order
+     */
+    between(low, high) {
+        return this.range({ gte: low, lte: high });
+    }
+
+    /**
+     * Find all values whose key is less than the given key
+     * @param {*} key - Upper bound
+     * @param {boolean} inclusive - Include keys equal to the bound
+     * @returns {Array} Array of matching values in key order
+     */
+    lessThan(key, inclusive = false) {
+        return this.range(inclusive ? { lte: key } : { lt: key });
+    }
+
+    /**
+     * Find all values whose key is greater than the given key
+     * @param {*} key - Lower bound
+     * @param {boolean} inclusive - Include keys equal to the bound
+     * @returns {Array} Array of matching values in key order
+     */
+    greaterThan(key, inclusive = false) {
+        return this.range(inclusive ? { gte: key } : { gt: key });
+    }
+
+    /**
+     * Iterate over values in key order, allowing for...of and spreading
+     * @returns {Iterator} Iterator of values
+     */
+    [Symbol.iterator]() {
+        return this.values();
+    }
+
+    /**
+     * Lazily iterate over keys in key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) to seek to
+     * @returns {Iterator} Iterator of keys
+     */
+    keys(options = {}) {
+        return this._iterate(options, key => key);
+    }
+
+    /**
+     * Lazily iterate over values in key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) to seek to
+     * @returns {Iterator} Iterator of values
+     */
+    values(options = {}) {
+        return this._iterate(options, (key, value) => value);
+    }
+
+    /**
+     * Lazily iterate over [key, value] pairs in key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) to seek to
+     * @returns {Iterator} Iterator of [key, value] pairs
+     */
+    entries(options = {}) {
+        return this._iterate(options, (key, value) => [key, value]);
+    }
+
+    /**
+     * Lazily iterate over values in descending key order
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt }) to seek to
+     * @returns {Iterator} Iterator of values
+     */
+    reverse(options = {}) {
+        return this._iterate({ ...options, reverse: true }, (key, value) => value);
+    }
+
+    /**
+     * Create a readable object stream of [key, value] pairs in key order
+     * Entries are read lazily as the consumer asks for them. When the tree changes while the
+     * stream is paused, reading continues after the last key it returned, so every value is
+     * read at most once and values added behind that key are not read.
+     * @param {Object} options - Optional bounds ({ gte, gt, lte, lt, reverse }) and highWaterMark
+     * @returns {Readable} Stream of [key, value] pairs
+     */
+    createReadStream(options = {}) {
+        try {
+            return new TreeReadStream(this, options);
+        } catch (error) {
+            throw wrapError(error, 'Failed to create read stream');
+        }
+    }
+
+    /**
+     * Create a writable object stream that adds every value written to it
+     * A value that fails to add fails the stream. Array chunks are added with add(array).
+     * @param {Object} options - Stream options
+     * @param {boolean} options.atomic - Add everything in one transaction that is committed when
+     *     the stream finishes and rolled back if it fails or is destroyed; changes made to the
+     *     tree by other code in the meantime are part of that transaction
+     * @param {number} options.highWaterMark - Number of values to buffer
+     * @returns {Writable} Stream of values
+     */
+    createWriteStream(options = {}) {
+        try {
+            return new TreeWriteStream(this, options);
+        } catch (error) {
+            throw wrapError(error, 'Failed to create write stream');
+        }
+    }
+
+    /**
+     * Get all items in the tree
+     * @returns {Array} Array of all values
+     */
+    items() {
+        const items = [];
+        this._traverse(this.root, (item) => {
+            items.push(item);
+        });
+        return items;
+    }
+
+    /**
+     * Iterate through all items in the tree
+     * @param {Function} callback - Function to call for each item
+     */
+    forEach(callback) {
+        try {
+            if (typeof callback !== 'function') {
+                throw new Error('Callback must be a function');
+            }
+            this._traverse(this.root, callback);
+        } catch (error) {
+            throw wrapError(error, 'Failed to iterate tree');
+        }
+    }
+
+    /**
+     * Get the values a predicate returns truthy for
+     * @param {Function} predicate - Called with (value, key)
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt, reverse }) limiting the walk
+     * @returns {Array} Matching values in key order
+     */
+    filter(predicate, range = {}) {
+        try {
+            const results = [];
+            for (const [value, key] of this._scan(predicate, range)) {
+                if (predicate(value, key)) {
+                    results.push(value);
+                }
+            }
+            return results;
+        } catch (error) {
+            throw wrapError(error, 'Failed to filter tree');
+        }
+    }
+
+    /**
+     * Get the first value in key order a predicate returns truthy for, stopping at the match
+     * @param {Function} predicate - Called with (value, key)
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt }) limiting the walk
+     * @returns {*} Matching value, or undefined
+     */
+    findFirst(predicate, range = {}) {
+        try {
+            return this._findMatch(predicate, range);
+        } catch (error) {
+            throw wrapError(error, 'Failed to find first value');
+        }
+    }
+
+    /**
+     * Get the last value in key order a predicate returns truthy for, walking backwards
+     * @param {Function} predicate - Called with (value, key)
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt }) limiting the walk
+     * @returns {*} Matching value, or undefined
+     */
+    findLast(predicate, range = {}) {
+        try {
+            return this._findMatch(predicate, { ...range, reverse: true });
+        } catch (error) {
+            throw wrapError(error, 'Failed to find last value');
+        }
+    }
+
+    /**
+     * Check whether a predicate returns truthy for any value, stopping at the first match
+     * @param {Function} predicate - Called with (value, key)
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt }) limiting the walk
+     * @returns {boolean} True if a value matches
+     */
+    some(predicate, range = {}) {
+        try {
+            for (const [value, key] of this._scan(predicate, range)) {
+                if (predicate(value, key)) {
+                    return true;
+                }
+            }
+            return false;
+        } catch (error) {
+            throw wrapError(error, 'Failed to test tree');
+        }
+    }
+
+    /**
+     * Check whether a predicate returns truthy for every value, stopping at the first miss
+     * @param {Function} predicate - Called with (value, key)
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt }) limiting the walk
+     * @returns {boolean} True if every value matches (including an empty tree or range)
+     */
+    every(predicate, range = {}) {
+        try {
+            for (const [value, key] of this._scan(predicate, range)) {
+                if (!predicate(value, key)) {
+                    return false;
+                }
+            }
+            return true;
+        } catch (error) {
+            throw wrapError(error, 'Failed to test tree');
+        }
+    }
+
+    /**
+     * Fold the values into a single result in key order
+     * Without an initial value the first value in range is used, like Array.prototype.reduce
+     * @param {Function} reducer - Called with (accumulator, value, key)
+     * @param {*} initial - Initial accumulator
+     * @param {Object} range - Optional bounds ({ gte, gt, lte, lt, reverse }) limiting the walk
+     * @returns {*} Final accumulator
+     */
+    reduce(reducer, initial, range = {}) {
+        try {
+            let hasAccumulator = arguments.length >= 2;
+            let accumulator = initial;
+            for (const [value, key] of this._scan(reducer, range)) {
+                if (hasAccumulator) {
+                    accumulator = reducer(accumulator, value, key);
+                } else {
+                    accumulator = value;
+                    hasAccumulator = true;
+                }
+            }
+            if (!hasAccumulator) {
+                throw new EmptyTreeError('Cannot reduce an empty tree without an initial value');
+            }
+            return accumulator;
+        } catch (error) {
+            throw wrapError(error, 'Failed to reduce tree');
+        }
+    }
+
+    /**
+     * Get the minimum value in the tree
+     * @returns {*} Minimum value
+     */
+    minimum() {
+        try {
+            if (!this.root) {
+                throw new EmptyTreeError('Cannot find minimum in empty tree');
+            }
+            const minNode = this._minimum(this.root);
+            return minNode ? minNode.value : null;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find minimum');
+        }
+    }
+
+    /**
+     * Get the maximum value in the tree
+     * @returns {*} Maximum value
+     */
+    maximum() {
+        try {
+            if (!this.root) {
+                throw new EmptyTreeError('Cannot find maximum in empty tree');
+            }
+            const maxNode = this._maximum(this.root);
+            return maxNode ? maxNode.value : null;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find maximum');
+        }
+    }
+
+    /**
+     * Get the minimum node in the tree
+     * @returns {Object} Minimum node
+     */
+    getMinimumNode() {
+        try {
+            if (!this.root) {
+                throw new EmptyTreeError('Cannot find minimum in empty tree');
+            }
+            return this._minimum(this.root);
+        } catch (error) {
+            throw wrapError(error, 'Failed to find minimum node');
+        }
+    }
+
+    /**
+     * Get the maximum node in the tree
+     * @returns {Object} Maximum node
+     */
+    getMaximumNode() {
+        try {
+            if (!this.root) {
+                throw new EmptyTreeError('Cannot find maximum in empty tree');
+            }
+            return this._maximum(this.root);
+        } catch (error) {
+            throw wrapError(error, 'Failed to find maximum node');
+        }
+    }
+
+    /**
+     * Get the minimum value without throwing on an empty tree
+     * @returns {*} Minimum value, or undefined if the tree is empty
+     */
+    peekMin() {
+        return this.root ? this._minimum(this.root).value : undefined;
+    }
+
+    /**
+     * Get the maximum value without throwing on an empty tree
+     * @returns {*} Maximum value, or undefined if the tree is empty
+     */
+    peekMax() {
+        return this.root ? this._maximum(this.root).value : undefined;
+    }
+
+    /**
+     * Remove and return the minimum value in a single descent
+     * With bucketed duplicates only the first value of the bucket is removed
+     * @returns {*} Removed value, or undefined if the tree is empty
+     */
+    popMin() {
+        return this._popEnds('left', 1)[0];
+    }
+
+    /**
+     * Remove and return the maximum value in a single descent
+     * With bucketed duplicates only the last value of the bucket is removed
+     * @returns {*} Removed value, or undefined if the tree is empty
+     */
+    popMax() {
+        return this._popEnds('right', 1)[0];
+    }
+
+    /**
+     * Remove and return up to n of the smallest values
+     * @param {number} n - Number of values to remove
+     * @returns {Array} Removed values in ascending key order
+     */
+    popMinN(n) {
+        try {
+            validateCount(n);
+            return this._popEnds('left', n);
+        } catch (error) {
+            throw wrapError(error, 'Failed to pop minimum values');
+        }
+    }
+
+    /**
+     * Remove and return up to n of the largest values
+     * @param {number} n - Number of values to remove
+     * @returns {Array} Removed values in descending key order
+     */
+    popMaxN(n) {
+        try {
+            validateCount(n);
+            return this._popEnds('right', n);
+        } catch (error) {
+            throw wrapError(error, 'Failed to pop maximum values');
+        }
+    }
+
+    /**
+     * Get the value with the greatest key less than or equal to the given key
+     * @param {*} key - Key to search for
+     * @returns {*} Matching value, or null if there is none
+     */
+    floor(key) {
+        return this._navigate(key, { lte: key, reverse: true }, 'floor');
+    }
+
+    /**
+     * Get the value with the smallest key greater than or equal to the given key
+     * @param {*} key - Key to search for
+     * @returns {*} Matching value, or null if there is none
+     */
+    ceiling(key) {
+        return this._navigate(key, { gte: key }, 'ceiling');
+    }
+
+    /**
+     * Get the value with the greatest key strictly less than the given key
+     * @param {*} key - Key to search for
+     * @returns {*} Matching value, or null if there is none
+     */
+    lower(key) {
+        return this._navigate(key, { lt: key, reverse: true }, 'lower');
+    }
+
+    /**
+     * Get the value with the smallest key strictly greater than the given key
+     * @param {*} key - Key to search for
+     * @returns {*} Matching value, or null if there is none
+     */
+    higher(key) {
+        return this._navigate(key, { gt: key }, 'higher');
+    }
+
+    /**
+     * Get the node that follows the given node in key order
+     * @param {Object} node - A node of this tree
+     * @returns {Object} Next node, or null if the node is the maximum
+     */
+    successor(node) {
+        try {
+            this._validateNode(node);
+            if (node.right) {
+                return this._minimum(node.right);
+            }
+            if (this._shared) {
+                return this._ancestorOf(node, 'left');
+            }
+
+            let current = node;
+            let parent = current.parent;
+            while (parent && current === parent.right) {
+                current = parent;
+                parent = parent.parent;
+            }
+            return parent;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find successor');
+        }
+    }
+
+    /**
+     * Get the node that precedes the given node in key order
+     * @param {Object} node - A node of this tree
+     * @returns {Object} Previous node, or null if the node is the minimum
+     */
+    predecessor(node) {
+        try {
+            this._validateNode(node);
+            if (node.left) {
+                return this._maximum(node.left);
+            }
+            if (this._shared) {
+                return this._ancestorOf(node, 'right');
+            }
+
+            let current = node;
+            let parent = current.parent;
+            while (parent && current === parent.left) {
+                current = parent;
+                parent = parent.parent;
+            }
+            return parent;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find predecessor');
+        }
+    }
+
+    /**
+     * Check if the tree is balanced
+     * @returns {boolean} True if balanced
+     */
+    isBalanced() {
+        if (!this.root) {
+            return true;
+        }
+        return this._isBST(this.root, this._minimum(this.root).key, this._maximum(this.root).key);
+    }
+
+    /**
+     * Balance the tree using AVL rotations
+     * @returns {BTree} This tree instance
+     */
+    balance() {
+        try {
+            // Check if tree is empty
+            if (!this.root) {
+                return this;
+            }
+
+            // AVL tree is automatically balanced during insertions/deletions
+            // This method relinks the existing nodes into a perfectly balanced shape in O(n)
+            const nodes = this._copyInOrder(this.root, []);
+            this.root = this._linkBalanced(nodes, 0, nodes.length - 1, null);
+            this._changed('balance', { height: this.getHeight() });
+
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to balance tree');
+        }
+    }
+
+    /**
+     * Get tree size
+     * @returns {number} Number of items in the tree
+     */
+    size() {
+        return this._getSize(this.root);
+    }
+
+    /**
+     * Get the number of keys in the tree that are less than the given key
+     * @param {*} key - Key to rank
+     * @returns {number} Number of smaller keys
+     */
+    rank(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            let rank = 0;
+            let node = this.root;
+            while (node) {
+                if (this._compare(key, node.key) <= 0) {
+                    node = node.left;
+                } else {
+                    rank += this._getSize(node.left) + this._getCount(node);
+                    node = node.right;
+                }
+            }
+            return rank;
+        } catch (error) {
+            throw wrapError(error, 'Failed to rank key');
+        }
+    }
+
+    /**
+     * Get the value at the given position in key order
+     * @param {number} index - Zero-based index, negative values count back from the end
+     * @returns {*} Value at the index
+     */
+    select(index) {
+        try {
+            if (!Number.isInteger(index)) {
+                throw new InvalidOptionsError('Index must be an integer');
+            }
+            const selected = this._select(index);
+            if (!selected) {
+                throw new InvalidOptionsError(`Index ${index} out of range`);
+            }
+            return selected.value;
+        } catch (error) {
+            throw wrapError(error, 'Failed to select index');
+        }
+    }
+
+    /**
+     * Get the value at the given position in key order, like Array.prototype.at
+     * @param {number} index - Zero-based index, negative values count back from the end
+     * @returns {*} Value at the index, or undefined when out of range
+     */
+    at(index) {
+        try {
+            if (!Number.isInteger(index)) {
+                throw new InvalidOptionsError('Index must be an integer');
+            }
+            const selected = this._select(index);
+            return selected ? selected.value : undefined;
+        } catch (error) {
+            throw wrapError(error, 'Failed to get value at index');
+        }
+    }
+
+    /**
+     * Get the median value (the lower median for an even number of items)
+     * @returns {*} Median value
+     */
+    median() {
+        try {
+            if (!this.root) {
+                throw new EmptyTreeError('Cannot find median in empty tree');
+            }
+            return this._select(Math.floor((this.size() - 1) / 2)).value;
+        } catch (error) {
+            throw wrapError(error, 'Failed to find median');
+        }
+    }
+
+    /**
+     * Check if tree is empty
+     * @returns {boolean} True if empty
+     */
+    isEmpty() {
+        return !this.root;
+    }
+
+    /**
+     * Clear the tree
+     */
+    clear() {
+        const size = this.size();
+        this.root = null;
+        this._changed('clear', { size });
+    }
+
+    /**
+     * Run fn as a transaction: if it throws, every change it made is rolled back
+     * Change events are emitted once the transaction commits. Transactions nest, an inner
+     * transaction that fails only undoes its own changes.
+     * @param {Function} fn - Synchronous callback, called with the tree
+     * @returns {*} The value returned by fn
+     */
+    transaction(fn) {
+        try {
+            if (typeof fn !== 'function') {
+                throw new Error('Callback must be a function');
+            }
+            return this._atomic(() => {
+                const result = fn(this);
+                if (result && typeof result.then === 'function') {
+                    throw new Error('Transaction callback must be synchronous');
+                }
+                return result;
+            });
+        } catch (error) {
+            throw wrapError(error, 'Transaction failed');
+        }
+    }
+
+    /**
+     * Start a transaction, ended by commit() or rollback()
+     * Starting one while another is open creates a savepoint inside it. Nodes are copied on
+     * write while a transaction is open, so starting one is O(1).
+     * @returns {BTree} This tree
+     */
+    begin() {
+        this._transactions.push({
+            root: this.root,
+            options: this.options,
+            indexes: new Map(this._indexes),
+            owned: this._owned,
+            copied: [],
+            events: []
+        });
+        this._owned = new WeakSet();
+        return this;
+    }
+
+    /**
+     * Keep the changes of the innermost transaction
+     * Closing the outermost transaction emits the change events held back since begin()
+     * @returns {BTree} This tree
+     */
+    commit() {
+        try {
+            const transaction = this._endTransaction();
+            const outer = this._transactions[this._transactions.length - 1];
+            if (outer) {
+                transaction.copied.forEach(node => outer.copied.push(node));
+            }
+            this._emitChanges(transaction.events);
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to commit transaction');
+        }
+    }
+
+    /**
+     * Undo every change made since the innermost begin(), without emitting its events
+     * @returns {BTree} This tree
+     */
+    rollback() {
+        try {
+            const transaction = this._endTransaction();
+            // Copies took over the children of the original nodes, hand them back. Later copies
+            // may be of nodes created during the transaction, so the earliest copy must win.
+            for (let i = transaction.copied.length - 1; i >= 0; i--) {
+                const node = transaction.copied[i];
+                [node.left, node.right].forEach(child => this._setParent(child, node));
+            }
+            this.root = transaction.root;
+            this._setParent(this.root, null);
+            this._version++;
+            this.options = transaction.options;
+            this._configure();
+
+            // Index contents were updated in place, rebuild them for the restored entries
+            const indexes = [...transaction.indexes.values()].map(index => new SecondaryIndex(index.fields, index));
+            this._fillIndexes(indexes, this.root);
+            this._indexes = new Map(indexes.map(index => [index.name, index]));
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to roll back transaction');
+        }
+    }
+
+    /**
+     * Check whether a transaction is open
+     * @returns {boolean} True between begin() and the matching commit() or rollback()
+     */
+    inTransaction() {
+        return this._transactions.length > 0;
+    }
+
+    /**
+     * Split the tree at a key in O(log n)
+     * The values move into the two returned trees and this tree is cleared
+     * @param {*} key - Split key
+     * @returns {Array} [lower, upper] trees with keys less than, and greater than or equal to, key
+     */
+    split(key) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+
+            const root = this._detachRoot();
+            const lower = new this.constructor(this.options);
+            const upper = new this.constructor(this.options);
+            if (this._shared) {
+                lower._shareNodes();
+                upper._shareNodes();
+            }
+            lower._restructure(() => {
+                [lower.root, upper.root] = lower._splitNodes(root, key, false);
+            });
+            [lower, upper].forEach(tree => tree._setParent(tree.root, null));
+            return [lower, upper];
+        } catch (error) {
+            throw wrapError(error, `Failed to split tree at key '${key}'`);
+        }
+    }
+
+    /**
+     * Concatenate two trees in O(log n) with the AVL join algorithm
+     * Every key of left must be less than every key of right (or equal, when duplicates are
+     * allowed). The values move into the returned tree and both trees are cleared.
+     * @param {BTree} left - Tree with the lower keys
+     * @param {BTree} right - Tree with the upper keys
+     * @returns {BTree} Joined tree with left's options
+     */
+    static join(left, right) {
+        try {
+            validateCombinable(left, right);
+            if (left === right) {
+                throw new Error('Cannot join a tree with itself');
+            }
+            if (left.root && right.root) {
+                const cmp = left._compare(left._maximum(left.root).key, right._minimum(right.root).key);
+                if (cmp > 0 || (cmp === 0 && left.options.duplicates !== 'allow')) {
+                    throw new Error('Every key of the left tree must be less than every key of the right tree');
+                }
+            }
+
+            const lowerRoot = left._detachRoot();
+            const upperRoot = right._detachRoot();
+            const tree = new left.constructor(left.options);
+            if (left._shared || right._shared) {
+                tree._shareNodes();
+            }
+            tree._restructure(() => {
+                tree.root = tree._concatNodes(lowerRoot, upperRoot);
+                tree._setParent(tree.root, null);
+                tree._evictOverflow();
+            });
+            return tree;
+        } catch (error) {
+            throw wrapError(error, 'Failed to join trees');
+        }
+    }
+
+    /**
+     * Get a tree with every key of a or b, taking the values of a for keys in both
+     * Runs in O(m log(n/m + 1)) time for trees of sizes m <= n. The result shares the subtrees
+     * the operation does not reach with a and b instead of copying them; neither tree changes,
+     * their nodes keep their links and are copied before either side changes them
+     * @param {BTree} a - First tree, whose options the result uses
+     * @param {BTree} b - Second tree
+     * @returns {BTree} New tree
+     */
+    static union(a, b) {
+        try {
+            return combine(BTree.prototype._unionNodes, a, b);
+        } catch (error) {
+            throw wrapError(error, 'Failed to compute union');
+        }
+    }
+
+    /**
+     * Get a tree with the keys in both a and b, taking the values of a
+     * @param {BTree} a - First tree, whose options the result uses
+     * @param {BTree} b - Second tree
+     * @returns {BTree} New tree
+     */
+    static intersection(a, b) {
+        try {
+            return combine(BTree.prototype._intersectNodes, a, b);
+        } catch (error) {
+            throw wrapError(error, 'Failed to compute intersection');
+        }
+    }
+
+    /**
+     * Get a tree with the values of a whose keys are not in b
+     * @param {BTree} a - First tree, whose options the result uses
+     * @param {BTree} b - Tree of keys to leave out
+     * @returns {BTree} New tree
+     */
+    static difference(a, b) {
+        try {
+            return combine(BTree.prototype._differenceNodes, a, b);
+        } catch (error) {
+            throw wrapError(error, 'Failed to compute difference');
+        }
+    }
+
+    /**
+     * Get a tree with the values whose keys are in exactly one of a and b
+     * @param {BTree} a - First tree, whose options the result uses
+     * @param {BTree} b - Second tree
+     * @returns {BTree} New tree
+     */
+    static symmetricDifference(a, b) {
+        try {
+            return combine(BTree.prototype._symmetricDifferenceNodes, a, b);
+        } catch (error) {
+            throw wrapError(error, 'Failed to compute symmetric difference');
+        }
+    }
+
+    /**
+     * Create a secondary index used by find() and findAll() with object criteria
+     * The index is kept up to date by every add, remove and clear
+     * @param {string|Array} fields - Property path, or array of paths for a compound index
+     * @param {Object} options - Index options
+     * @param {boolean} options.unique - Reject values whose indexed fields are already in use
+     * @returns {BTree} This tree instance
+     */
+    createIndex(fields, options = {}) {
+        try {
+            const index = new SecondaryIndex(this._indexFields(fields), options);
+            if (this._indexes.has(index.name)) {
+                throw new Error(`Index '${index.name}' already exists`);
+            }
+            this._fillIndexes([index], this.root);
+            this._indexes.set(index.name, index);
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to create index');
+        }
+    }
+
+    /**
+     * Remove a secondary index
+     * @param {string|Array} fields - Fields the index was created with
+     * @returns {boolean} True if the index existed
+     */
+    dropIndex(fields) {
+        try {
+            return this._indexes.delete(this._indexFields(fields).join(','));
+        } catch (error) {
+            throw wrapError(error, 'Failed to drop index');
+        }
+    }
+
+    /**
+     * Describe the secondary indexes of the tree
+     * @returns {Array} { fields, unique } for each index
+     */
+    getIndexes() {
+        return [...this._indexes.values()].map(index => ({ fields: index.fields.slice(), unique: index.unique }));
+    }
+
+    /**
+     * List the changes that turn this tree into another, with one merged in-order walk
+     * @param {BTree} other - Newer version of the tree
+     * @param {Object} options - Diff options
+     * @param {Function} options.equals - Value equality (default: structural equality)
+     * @param {boolean} options.compact - Return the JSON-safe compact patch (see lib/patch.js)
+     * @returns {Array|Object} Changes in key order, or a compact patch
+     */
+    diff(other, options = {}) {
+        try {
+            if (!(other instanceof BTree)) {
+                throw new Error('Other must be a tree');
+            }
+            const equals = this._patchEquality(options);
+            const changes = patches.diffEntries(this.entries(), other.entries(), (a, b) => this._compare(a, b), equals);
+            return options.compact ? patches.encodePatch(changes) : changes;
+        } catch (error) {
+            throw wrapError(error, 'Failed to diff trees');
+        }
+    }
+
+    /**
+     * Replay changes from diff() in order, all or nothing
+     * Removed and changed values are matched against the values stored under their key. If a
+     * change fails, the tree is left as it was before the patch.
+     * @param {Array|Object|string} patch - Changes, or a compact patch or its JSON string
+     * @param {Object} options - Patch options
+     * @param {Function} options.equals - Value equality used to match values (default: structural equality)
+     * @returns {BTree} This tree
+     */
+    applyPatch(patch, options = {}) {
+        try {
+            const equals = this._patchEquality(options);
+            const changes = Array.isArray(patch) ? patch : patches.decodePatch(patch);
+            this._atomic(() => {
+                changes.forEach((change, i) => {
+                    try {
+                        this._applyChange(change, equals);
+                    } catch (error) {
+                        throw wrapError(error, `Change ${i}`);
+                    }
+                });
+            });
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to apply patch');
+        }
+    }
+
+    /**
+     * Serialize the tree to a versioned, JSON-safe object
+     * Called automatically by JSON.stringify(tree)
+     * @param {Object} options - Serialization options
+     * @param {boolean} options.shape - Preserve the exact node layout instead of a sorted entry list
+     * @returns {Object} Serialized tree
+     */
+    toJSON(options = {}) {
+        // JSON.stringify passes the property name as the first argument
+        const shape = Boolean(options && typeof options === 'object' && options.shape);
+        const json = {
+            version: serialization.FORMAT_VERSION,
+            options: serialization.serializableOptions(this.options)
+        };
+
+        if (shape) {
+            json.root = this._encodeShape(this.root);
+        } else {
+            json.entries = [...this._project(this._walk({}), serialization.encodeEntry)];
+        }
+        return json;
+    }
+
+    /**
+     * Rebuild a tree from the output of toJSON() in linear time
+     * Values over the maxSize option are evicted like when they are added
+     * @param {Object|string} json - Serialized tree or its JSON string
+     * @param {Object} options - Options overriding the serialized ones (e.g. a custom compare)
+     * @returns {BTree} Restored tree
+     */
+    static fromJSON(json, options = {}) {
+        try {
+            const data = typeof json === 'string' ? JSON.parse(json) : json;
+            if (!data || typeof data !== 'object') {
+                throw new Error('Serialized tree must be an object or JSON string');
+            }
+            if (data.version !== serialization.FORMAT_VERSION) {
+                throw new Error(`Unsupported serialization version: ${data.version}`);
+            }
+
+            const tree = new this({ ...data.options, ...options });
+            if (data.root !== undefined) {
+                tree.root = tree._buildFromShape(data.root, null, {});
+            } else {
+                if (!Array.isArray(data.entries)) {
+                    throw new Error('Serialized tree must have an entries array');
+                }
+                tree.root = tree._buildFromSorted(data.entries.map(serialization.decodeEntry));
+            }
+            // The data may hold more values than maxSize allows, e.g. when options lower it
+            tree._evictOverflow();
+            return tree;
+        } catch (error) {
+            throw wrapError(error, 'Failed to deserialize tree');
+        }
+    }
+
+    /**
+     * Serialize the tree to the compact binary format described in lib/binary.js
+     * Keys are stored by type (numbers, strings, dates, booleans, bigints, compound arrays, JSON
+     * for anything else) and values with a codec, UTF-8 JSON by default
+     * @param {Object} options - Serialization options
+     * @param {Object} options.codec - Value codec { encode(value) => Buffer, decode(bytes) => value }
+     * @returns {Buffer} Encoded tree
+     */
+    toBuffer(options = {}) {
+        try {
+            const entries = this._project(this._walk({}), (key, value) => [key, value]);
+            return binary.encode(serialization.serializableOptions(this.options), this.size(), entries, options.codec);
+        } catch (error) {
+            throw wrapError(error, 'Failed to serialize tree to a buffer');
+        }
+    }
+
+    /**
+     * Rebuild a tree from the output of toBuffer() in linear time
+     * Both checksums are verified before any value is decoded. Values over the maxSize option
+     * are evicted like when they are added.
+     * @param {Buffer|Uint8Array} buffer - Encoded tree
+     * @param {Object} options - Options overriding the serialized ones, and the codec used by toBuffer()
+     * @returns {BTree} Restored tree
+     */
+    static fromBuffer(buffer, options = {}) {
+        try {
+            const { codec, ...treeOptions } = options;
+            const data = binary.decode(buffer, codec);
+            const tree = new this({ ...data.options, ...treeOptions });
+            tree.root = tree._buildFromSorted(data.entries);
+            tree._evictOverflow();
+            return tree;
+        } catch (error) {
+            throw wrapError(error, 'Failed to deserialize tree from a buffer');
+        }
+    }
+
+    /**
+     * Open a tree persisted to a local write-ahead log, creating the file if it does not exist
+     * The tree is restored from the last checkpoint in the file and the changes logged after
+     * it; a torn last line left by a crash is dropped. Every committed add, remove, replace and
+     * clear is then appended to the file before listeners are notified of it. Values must be
+     * JSON-serializable.
+     * @param {string} path - Log file
+     * @param {Object} options - Tree options, overriding the logged ones (e.g. a custom compare)
+     * @param {boolean} options.fsync - Flush every record to disk before the change returns
+     * @param {number} options.checkpointInterval - Checkpoint automatically once this many
+     *     records were logged since the last checkpoint
+     * @returns {BTree} Restored tree
+     */
+    static open(path, options = {}) {
+        try {
+            if (typeof path !== 'string' || path === '') {
+                throw new Error('Path must be a non-empty string');
+            }
+            const { fsync, checkpointInterval, ...treeOptions } = options;
+            if (checkpointInterval !== undefined && (!Number.isInteger(checkpointInterval) || checkpointInterval < 1)) {
+                throw new InvalidOptionsError('CheckpointInterval option must be a positive integer');
+            }
+
+            const { checkpoint, records, size } = WriteAheadLog.read(path);
+            const tree = checkpoint ? this.fromJSON(checkpoint, treeOptions) : new this(treeOptions);
+            records.forEach((record, i) => {
+                try {
+                    tree._replayRecord(record, treeOptions);
+                } catch (error) {
+                    throw wrapError(error, `Failed to replay log record ${i + 1}`);
+                }
+            });
+
+            tree._log = new WriteAheadLog(path, tree, { fsync, checkpointInterval });
+            if (checkpoint) {
+                tree._log.resume(size, records.length);
+            } else {
+                tree._log.checkpoint();
+            }
+            return tree;
+        } catch (error) {
+            throw wrapError(error, `Failed to open tree log '${path}'`);
+        }
+    }
+
+    /**
+     * Write a snapshot of a tree opened with BTree.open() and compact its log down to it
+     * @returns {BTree} This tree
+     */
+    checkpoint() {
+        try {
+            if (!this._log) {
+                throw new Error('Tree was not opened with BTree.open()');
+            }
+            this._log.checkpoint();
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to checkpoint tree log');
+        }
+    }
+
+    /**
+     * Stop logging the changes of a tree opened with BTree.open()
+     * The tree stays usable in memory; closing an unpersisted or closed tree does nothing.
+     * @returns {BTree} This tree
+     */
+    close() {
+        try {
+            if (this._log) {
+                this._log.close();
+                this._log = null;
+            }
+            return this;
+        } catch (error) {
+            throw wrapError(error, 'Failed to close tree log');
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * Apply a record of a write-ahead log
+     * Added values are linked in directly: evictions were logged as removals, and the
+     * duplicates option was already applied when the change was logged
+     * @private
+     */
+    _replayRecord(record, overrides) {
+        switch (record.type) {
+            case 'clear':
+                this.root = null;
+                break;
+            case 'options': {
+                // Function options cannot be logged, keep the current ones
+                const functions = {};
+                Object.keys(this.options).forEach(name => {
+                    if (typeof this.options[name] === 'function') {
+                        functions[name] = this.options[name];
+                    }
+                });
+                this.options = { ...functions, ...record.options, ...overrides };
+                this._configure();
+                break;
+            }
+            case 'added':
+                if (record.value === undefined || record.value === null) {
+                    throw new Error('Value cannot be undefined or null');
+                }
+                this.root = this._addItem(this.root, record.key, record.value);
+                break;
+            default:
+                this._applyChange(record, patches.deepEqual);
+        }
+    }
+
+    /**
+     * Compile the key and compare options into the functions used by every operation
+     * @private
+     */
+    _configure() {
+        this._keyResolver = keys.createResolver(this.options.key);
+        this._keyComparator = keys.createComparator(this.options.key, this.options.compare);
+    }
+
+    /**
+     * Get the key a value is stored under
+     * @private
+     */
+    _resolveKey(value) {
+        return this._keyResolver(value);
+    }
+
+    /**
+     * Compare two keys using the configured comparator
+     * @private
+     */
+    _compare(a, b) {
+        return this._keyComparator(a, b);
+    }
+
+    /**
+     * Report a change to listeners, or queue it while a batch is being built
+     * Changes nothing observes are only counted, for read streams
+     * @private
+     */
+    _changed(type, detail) {
+        this._version++;
+        if (!this._observed(type)) {
+            return;
+        }
+        if (this._pendingEvents) {
+            this._pendingEvents.push([type, detail]);
+        } else {
+            this._updateIndexes(type, detail);
+            this._emitChange(type, detail);
+        }
+    }
+
+    /**
+     * Check whether a change is needed by a secondary index, the write-ahead log, an open
+     * transaction or a listener of its type
+     * @private
+     */
+    _observed(type) {
+        const emitter = this._pendingEvents ? this._pendingEmitter : this;
+        return this._indexes.size > 0 || this._log !== null || this._transactions.length > 0 ||
+            emitter.listenerCount(type) > 0;
+    }
+
+    /**
+     * Emit a change, or hold it back until the operation making it has finished or the
+     * outermost transaction commits
+     * @private
+     */
+    _emitChange(type, detail, emitter = this) {
+        this._emitChanges([[type, detail, emitter]]);
+    }
+
+    /**
+     * Emit [type, detail, emitter] changes like _emitChange()
+     * The write-ahead log records every change before any listener runs, so a throwing or
+     * removed listener cannot keep a change out of the log.
+     * @private
+     */
+    _emitChanges(events) {
+        if (this._deferredEvents) {
+            events.forEach(event => this._deferredEvents.push(event));
+            return;
+        }
+        const transaction = this._transactions[this._transactions.length - 1];
+        if (transaction) {
+            events.forEach(([type, detail]) => transaction.events.push([type, detail]));
+            return;
+        }
+        if (this._log) {
+            events.forEach(([type, detail]) => this._log.append(type, detail));
+        }
+        events.forEach(([type, detail, emitter = this]) => emitter.emit(type, detail));
+    }
+
+    /**
+     * Validate the fields argument of createIndex() and dropIndex()
+     * @private
+     */
+    _indexFields(fields) {
+        const list = Array.isArray(fields) ? fields : [fields];
+        if (list.length === 0 || list.some(field => typeof field !== 'string')) {
+            throw new Error('Index fields must be a property path or an array of property paths');
+        }
+        list.forEach(keys.parsePath);
+        return list;
+    }
+
+    /**
+     * Throw before a value is added if it would break a unique index
+     * Replacing the value that holds the indexed fields is allowed
+     * @private
+     */
+    _checkIndexes(key, value, duplicates = this.options.duplicates) {
+        for (const index of this._indexes.values()) {
+            const conflict = index.findConflict(value);
+            if (conflict === undefined) {
+                continue;
+            }
+            // Replacing drops every value stored under the key, so those cannot conflict
+            if (duplicates === 'replace' && this._valuesOf(key).includes(conflict)) {
+                continue;
+            }
+            const fieldValues = index.fieldValues(value);
+            throw new DuplicateKeyError(`Index '${index.name}' already contains '${fieldValues.join(', ')}'`, {
+                key: fieldValues.length === 1 ? fieldValues[0] : fieldValues
+            });
+        }
+    }
+
+    /**
+     * Apply a change to every secondary index
+     * @private
+     */
+    _updateIndexes(type, detail) {
+        for (const index of this._indexes.values()) {
+            switch (type) {
+                case 'add':
+                    index.add(detail.key, detail.value);
+                    break;
+                case 'remove':
+                    index.remove(detail.key, detail.value);
+                    break;
+                case 'replace':
+                    index.remove(detail.key, detail.oldValue);
+                    index.add(detail.key, detail.value);
+                    break;
+                case 'clear':
+                    index.clear();
+                    break;
+            }
+        }
+    }
+
+    /**
+     * Add every entry of a subtree to the given indexes
+     * @private
+     */
+    _fillIndexes(indexes, node) {
+        if (indexes.length === 0) {
+            return;
+        }
+        for (const [key, value] of this._project(this._walk({}, node), (key, value) => [key, value])) {
+            indexes.forEach(index => index.add(key, value));
+        }
+    }
+
+    /**
+     * Run fn and only emit the changes it makes once it completes without throwing
+     * @private
+     */
+    _batchEvents(fn, emitter = this) {
+        if (this._pendingEvents) {
+            return fn();
+        }
+
+        this._pendingEvents = [];
+        this._pendingEmitter = emitter;
+        let events;
+        let result;
+        try {
+            result = fn();
+            events = this._pendingEvents;
+        } finally {
+            this._pendingEvents = null;
+            this._pendingEmitter = null;
+        }
+        this._emitChanges(events.map(([type, detail]) => [type, detail, emitter]));
+        return result;
+    }
+
+    /**
+     * Run a mutation and emit the changes it reports once it has finished
+     * Listeners then see the tree with the change linked in, rebalanced and any overflow
+     * evicted. Changes made before an error stay in the tree, so they are still emitted.
+     * @private
+     */
+    _deferEvents(fn) {
+        if (this._deferredEvents) {
+            return fn();
+        }
+
+        this._deferredEvents = [];
+        try {
+            return fn();
+        } finally {
+            const events = this._deferredEvents;
+            this._deferredEvents = null;
+            this._emitChanges(events);
+        }
+    }
+
+    _traverse(node, callback) {
+        if (!node) {
+            return;
+        }
+        this._traverse(node.left, callback);
+        if (node.values) {
+            node.values.forEach(value => callback(value));
+        } else {
+            callback(node.value);
+        }
+        this._traverse(node.right, callback);
+    }
+
+    _createNode(key, value) {
+        const node = {
+            key,
+            value,
+            parent: null,
+            left: null,
+            right: null,
+            height: 1,
+            size: 1
+        };
+        if (this.options.duplicates === 'bucket') {
+            node.values = [value];
+        }
+        if (this._owned) {
+            this._owned.add(node);
+        }
+        return node;
+    }
+
+    /**
+     * Bulk load sorted values, merging them with any existing entries
+     * @private
+     */
+    _loadSorted(values) {
+        let entries = [];
+        for (let i = 0; i < values.length; i++) {
+            try {
+                const value = values[i];
+                if (value === undefined || value === null) {
+                    throw new Error('Value cannot be undefined or null');
+                }
+                const key = this._resolveKey(value);
+                if (i > 0 && this._compare(entries[i - 1][0], key) > 0) {
+                    throw new Error(`Values must be sorted by key (index ${i} is out of order)`);
+                }
+                entries.push([key, value]);
+            } catch (error) {
+                throw wrapError(error, `Failed to add item at index ${i}`);
+            }
+        }
+
+        if (this.root) {
+            // Existing entries are flagged so only the new ones are reported as added
+            const existing = [...this._project(this._walk({}), (key, value) => [key, value, true])];
+            const merged = [];
+            let i = 0;
+            let j = 0;
+            while (i < existing.length || j < entries.length) {
+                if (j >= entries.length || (i < existing.length && this._compare(existing[i][0], entries[j][0]) <= 0)) {
+                    merged.push(existing[i++]);
+                } else {
+                    merged.push(entries[j++]);
+                }
+            }
+            entries = merged;
+        }
+
+        this._deferEvents(() => {
+            this._batchEvents(() => {
+                const root = this._buildFromSorted(entries);
+
+                // Rebuild the indexes first so a unique violation leaves the tree unchanged
+                const indexes = [...this._indexes.values()].map(index => new SecondaryIndex(index.fields, index));
+                this._fillIndexes(indexes, root);
+                indexes.forEach(index => this._indexes.set(index.name, index));
+                this.root = root;
+            });
+            this._evictOverflow();
+        });
+    }
+
+    /**
+     * Build a height-balanced subtree from [key, value] pairs sorted by key
+     * @private
+     */
+    _buildFromSorted(entries) {
+        const nodes = [];
+        for (let i = 0; i < entries.length; i++) {
+            const [key, value] = entries[i];
+            const last = nodes[nodes.length - 1];
+            if (last) {
+                const cmp = this._compare(last.key, key);
+                if (cmp > 0) {
+                    throw new Error(`Values must be sorted by key (index ${i} is out of order)`);
+                }
+                if (cmp === 0 && this.options.duplicates !== 'allow') {
+                    if (entries[i][2]) {
+                        // Existing values of a bucket stay together and are not reported again
+                        last.values.push(value);
+                    } else {
+                        this._addDuplicate(last, key, value);
+                    }
+                    continue;
+                }
+            }
+            nodes.push(this._createNode(key, value));
+            if (!entries[i][2]) {
+                this._changed('add', { key, value });
+            }
+        }
+        return this._linkBalanced(nodes, 0, nodes.length - 1, null);
+    }
+
+    /**
+     * Collect the nodes of a subtree in key order, copying each one that may not be changed
+     * Parents are copied before their children, so shared marks reach the children in time
+     * @private
+     */
+    _copyInOrder(node, nodes) {
+        if (node) {
+            node = this._copyNode(node);
+            this._copyInOrder(node.left, nodes);
+            nodes.push(node);
+            this._copyInOrder(node.right, nodes);
+        }
+        return nodes;
+    }
+
+    /**
+     * Link a sorted run of nodes into a subtree by repeatedly splitting at the midpoint
+     * @private
+     */
+    _linkBalanced(nodes, low, high, parent) {
+        if (low > high) {
+            return null;
+        }
 
-            // Check if key exists before attempting removal
-            const existing = this.find(key);
-            if (existing.length === 0) {
-                throw new Error(`Key '${key}' not found in tree`);
-            }
+        const mid = (low + high) >>> 1;
+        const node = nodes[mid];
+        node.parent = parent;
+        node.left = this._linkBalanced(nodes, low, mid - 1, node);
+        node.right = this._linkBalanced(nodes, mid + 1, high, node);
+        this._updateNode(node);
+        return node;
+    }
 
-            this.root = this._remove(this.root, key);
-        } catch (error) {
-            throw new Error(`Failed to remove key '${key}': ${error.message}`);
+    _encodeShape(node) {
+        if (!node) {
+            return null;
         }
+        const values = node.values || [node.value];
+        return [
+            this._encodeShape(node.left),
+            values.map(value => serialization.encodeEntry(node.key, value)),
+            this._encodeShape(node.right)
+        ];
     }
 
     /**
-     * Internal method to remove item from tree with AVL balancing
+     * Rebuild a serialized node layout, checking key order and AVL balance
      * @private
      */
-    _remove(node, key) {
-        if (!node) {
+    _buildFromShape(encoded, parent, state) {
+        if (encoded === null) {
             return null;
         }
-
-        if (key < node.key) {
-            node.left = this._remove(node.left, key);
-        } else if (key > node.key) {
-            node.right = this._remove(node.right, key);
-        } else {
-            // Node to be deleted found
-            if (!node.left) {
-                return node.right;
-            } else if (!node.right) {
-                return node.left;
-            }
-            
-            // Node with two children: get the inorder successor
-            const successor = this._minimum(node.right);
-            node.key = successor.key;
-            node.value = successor.value;
-            node.right = this._remove(node.right, successor.key);
+        if (!Array.isArray(encoded) || encoded.length !== 3 || !Array.isArray(encoded[1]) || encoded[1].length === 0) {
+            throw new Error('Serialized nodes must be [left, entries, right] arrays');
         }
 
-        // Update height of current node
-        node.height = 1 + Math.max(this._getHeight(node.left), this._getHeight(node.right));
-
-        // Get balance factor
-        const balance = this._getBalance(node);
-
-        // Left Left Case
-        if (balance > 1 && this._getBalance(node.left) >= 0) {
-            return this._rotateRight(node);
+        const entries = encoded[1].map(serialization.decodeEntry);
+        if (entries.length > 1 && this.options.duplicates !== 'bucket') {
+            throw new Error("Only trees with duplicates 'bucket' can store several entries per node");
         }
 
-        // Left Right Case
-        if (balance > 1 && this._getBalance(node.left) < 0) {
-            node.left = this._rotateLeft(node.left);
-            return this._rotateRight(node);
+        const node = this._createNode(entries[0][0], entries[0][1]);
+        if (entries.length > 1) {
+            node.values = entries.map(entry => entry[1]);
         }
+        node.parent = parent;
+        node.left = this._buildFromShape(encoded[0], node, state);
 
-        // Right Right Case
-        if (balance < -1 && this._getBalance(node.right) <= 0) {
-            return this._rotateLeft(node);
+        if ('previous' in state && this._compare(state.previous, node.key) > 0) {
+            throw new Error('Serialized tree is not in key order');
         }
+        state.previous = node.key;
 
-        // Right Left Case
-        if (balance < -1 && this._getBalance(node.right) > 0) {
-            node.right = this._rotateRight(node.right);
-            return this._rotateLeft(node);
+        node.right = this._buildFromShape(encoded[2], node, state);
+        this._updateNode(node);
+        if (Math.abs(this._getBalance(node)) > 1) {
+            throw new Error('Serialized tree is not AVL balanced');
         }
-        
         return node;
     }
 
     /**
-     * Find values in the tree
-     * @param {*} key - Key to search for
-     * @returns {*} Single value for single results, array for multiple
+     * Get the first node in key order with the given key
+     * @private
      */
-    find(key) {
-        try {
-            // Validate input
-            if (key === undefined || key === null) {
-                throw new Error('Key cannot be undefined or null');
-            }
-
-            let result = [];
-            switch (helpers.getType(key)) {
-                case 'object':
-                    // Validate object has at least one property
-                    const hasProperties = Object.keys(key).length > 0;
-                    if (!hasProperties) {
-                        throw new Error('Search object must have at least one property');
-                    }
-                    
-                    for (const prop in key) {
-                        if (key.hasOwnProperty(prop)) {
-                            result = this._getByProperty(prop, key[prop], this.root);
-                        }
-                    }
-                    break;
-                default:
-                    const item = this._getByKey(key, this.root);
-                    if (item) {
-                        result.push(item.value);
-                    }
-                    break;
-            }
-            
-            // Return single value for single results, array for multiple
-            return result.length === 1 ? result[0] : result;
-        } catch (error) {
-            throw new Error(`Failed to find key: ${error.message}`);
-        }
+    _firstNode(key) {
+        const next = this._walk({ gte: key, lte: key }).next();
+        return next.done ? null : next.value;
     }
 
-    /**
-     * Find all values matching the key (always returns array)
-     * @param {*} key - Key to search for
-     * @returns {Array} Array of matching values
-     */
-    findAll(key) {
-        try {
-            // Validate input
-            if (key === undefined || key === null) {
-                throw new Error('Key cannot be undefined or null');
-            }
-
-            let result = [];
-            switch (helpers.getType(key)) {
-                case 'object':
-                    // Validate object has at least one property
-                    const hasProperties = Object.keys(key).length > 0;
-                    if (!hasProperties) {
-                        throw new Error('Search object must have at least one property');
-                    }
-                    
-                    for (const prop in key) {
-                        if (key.hasOwnProperty(prop)) {
-                            result = this._getByProperty(prop, key[prop], this.root);
-                        }
-                    }
-                    break;
-                default:
-                    const item = this._getByKey(key, this.root);
-                    if (item) {
-                        result.push(item.value);
-                    }
-                    break;
-            }
-            
-            // Always return array
-            return result;
-        } catch (error) {
-            throw new Error(`Failed to find all matching keys: ${error.message}`);
-        }
+    _nodesOf(key) {
+        return [...this._walk({ gte: key, lte: key })];
     }
 
-    /**
-     * Get all items in the tree
-     * @returns {Array} Array of all values
-     */
-    items() {
-        const items = [];
-        this._traverse(this.root, (item) => {
-            items.push(item);
-        });
-        return items;
+    _valuesOf(key) {
+        return [...this._project(this._walk({ gte: key, lte: key }), (nodeKey, value) => value)];
     }
 
     /**
-     * Iterate through all items in the tree
-     * @param {Function} callback - Function to call for each item
+     * Find the closest ancestor holding a node in its left or right subtree, as direction says
+     * Searches from the root by key, for trees whose parent pointers cannot be trusted
+     * @private
      */
-    forEach(callback) {
-        try {
-            if (typeof callback !== 'function') {
-                throw new Error('Callback must be a function');
+    _ancestorOf(target, direction) {
+        let ancestor = null;
+        let node = this.root;
+        while (node && node !== target) {
+            const cmp = this._compare(target.key, node.key);
+            const goLeft = cmp < 0 || (cmp === 0 && this._containsNode(node.left, target));
+            if (goLeft === (direction === 'left')) {
+                ancestor = node;
             }
-            this._traverse(this.root, callback);
-        } catch (error) {
-            throw new Error(`Failed to iterate tree: ${error.message}`);
+            node = goLeft ? node.left : node.right;
+        }
+        if (!node) {
+            throw new Error('Node is not in this tree');
         }
+        return ancestor;
     }
 
     /**
-     * Get the minimum value in the tree
-     * @returns {*} Minimum value
+     * Check whether a node is inside a subtree
+     * @private
      */
-    minimum() {
-        try {
-            if (!this.root) {
-                throw new Error('Cannot find minimum in empty tree');
-            }
-            const minNode = this._minimum(this.root);
-            return minNode ? minNode.value : null;
-        } catch (error) {
-            throw new Error(`Failed to find minimum: ${error.message}`);
+    _containsNode(node, target) {
+        if (!node) {
+            return false;
+        }
+        if (node === target) {
+            return true;
+        }
+
+        const cmp = this._compare(target.key, node.key);
+        if (cmp < 0) {
+            return this._containsNode(node.left, target);
+        } else if (cmp > 0) {
+            return this._containsNode(node.right, target);
         }
+        return this._containsNode(node.left, target) || this._containsNode(node.right, target);
     }
 
-    /**
-     * Get the maximum value in the tree
-     * @returns {*} Maximum value
-     */
-    maximum() {
+    _iterate(options, project) {
         try {
-            if (!this.root) {
-                throw new Error('Cannot find maximum in empty tree');
-            }
-            const maxNode = this._maximum(this.root);
-            return maxNode ? maxNode.value : null;
+            keys.validateBounds(options);
         } catch (error) {
-            throw new Error(`Failed to find maximum: ${error.message}`);
+            throw wrapError(error, 'Failed to iterate tree');
         }
+        return this._project(this._walk(options), project, options.reverse);
     }
 
     /**
-     * Get the minimum node in the tree
-     * @returns {Object} Minimum node
+     * Validate a callback and its range, then lazily walk [value, key] pairs within the range
+     * @private
      */
-    getMinimumNode() {
-        try {
-            if (!this.root) {
-                throw new Error('Cannot find minimum in empty tree');
-            }
-            return this._minimum(this.root);
-        } catch (error) {
-            throw new Error(`Failed to find minimum node: ${error.message}`);
+    _scan(callback, range) {
+        if (typeof callback !== 'function') {
+            throw new Error('Callback must be a function');
         }
+        keys.validateBounds(range);
+        return this._project(this._walk(range), (key, value) => [value, key], range.reverse);
     }
 
-    /**
-     * Get the maximum node in the tree
-     * @returns {Object} Maximum node
-     */
-    getMaximumNode() {
-        try {
-            if (!this.root) {
-                throw new Error('Cannot find maximum in empty tree');
+    _findMatch(predicate, range) {
+        for (const [value, key] of this._scan(predicate, range)) {
+            if (predicate(value, key)) {
+                return value;
             }
-            return this._maximum(this.root);
-        } catch (error) {
-            throw new Error(`Failed to find maximum node: ${error.message}`);
         }
+        return undefined;
     }
 
     /**
-     * Check if the tree is balanced
-     * @returns {boolean} True if balanced
+     * Map walked nodes to one item per stored value, expanding buckets
+     * @private
      */
-    isBalanced() {
-        return this._isBST(this.root, this.minimum(), this.maximum());
+    *_project(nodes, project, reverse) {
+        for (const node of nodes) {
+            if (!node.values) {
+                yield project(node.key, node.value);
+                continue;
+            }
+            const values = reverse ? node.values.slice().reverse() : node.values;
+            for (const value of values) {
+                yield project(node.key, value);
+            }
+        }
     }
 
     /**
-     * Balance the tree using AVL rotations
-     * @returns {BTree} This tree instance
+     * Stack-based in-order walk that seeks straight to the first node within bounds
+     * @private
      */
-    balance() {
-        try {
-            // Check if tree is empty
-            if (!this.root) {
-                return this;
+    *_walk(bounds, root = this.root) {
+        const reverse = Boolean(bounds.reverse);
+        const compare = this._keyComparator;
+        const inStart = key => reverse ? keys.isBelowUpper(compare, key, bounds) : keys.isAboveLower(compare, key, bounds);
+        const inEnd = key => reverse ? keys.isAboveLower(compare, key, bounds) : keys.isBelowUpper(compare, key, bounds);
+        const near = node => reverse ? node.right : node.left;
+        const far = node => reverse ? node.left : node.right;
+        const stack = [];
+
+        // Seek: keep only the path nodes that satisfy the starting bound
+        let node = root;
+        while (node) {
+            if (inStart(node.key)) {
+                stack.push(node);
+                node = near(node);
+            } else {
+                node = far(node);
             }
+        }
 
-            // AVL tree is automatically balanced during insertions/deletions
-            // This method ensures the tree is properly balanced
-            const items = this.items();
-            if (!items || items.length === 0) {
-                return this;
+        while (stack.length > 0) {
+            node = stack.pop();
+            if (!inEnd(node.key)) {
+                return;
             }
+            yield node;
 
-            // Rebuild tree with proper AVL balancing
-            this.root = null;
-            for (const item of items) {
-                this.add(item);
+            node = far(node);
+            while (node) {
+                stack.push(node);
+                node = near(node);
             }
-
-            return this;
-        } catch (error) {
-            throw new Error(`Failed to balance tree: ${error.message}`);
         }
     }
 
-    /**
-     * Get tree size
-     * @returns {number} Number of items in the tree
-     */
-    size() {
-        return this.items().length;
+    _navigate(key, bounds, name) {
+        try {
+            if (key === undefined || key === null) {
+                throw new InvalidKeyError('Key cannot be undefined or null');
+            }
+            const next = this._walk(bounds).next();
+            return next.done ? null : next.value.value;
+        } catch (error) {
+            throw wrapError(error, `Failed to find ${name}`);
+        }
     }
 
-    /**
-     * Check if tree is empty
-     * @returns {boolean} True if empty
-     */
-    isEmpty() {
-        return !this.root;
+    _validateNode(node) {
+        if (!node || typeof node !== 'object' || !('key' in node) || !('parent' in node)) {
+            throw new Error('Node must be a tree node');
+        }
     }
 
     /**
-     * Clear the tree
+     * Find values matching a query object in key order
+     * Equality criteria use the index covering the most of them, preferring unique indexes;
+     * otherwise range criteria on the tree key limit the walk to the matching key range
+     * @private
      */
-    clear() {
-        this.root = null;
-    }
-
-    // Private helper methods
+    _query(search) {
+        const { matches, bounds, equalities } = query.compileQuery(search, {
+            keyPath: typeof this.options.key === 'string' ? this.options.key : undefined,
+            compareKeys: (a, b) => this._compare(a, b)
+        });
+        const props = Object.keys(equalities);
 
-    _traverse(node, callback) {
-        if (!node) {
-            return;
+        let best = null;
+        for (const index of this._indexes.values()) {
+            if (index.fields.every(field => props.includes(field)) &&
+                (!best || index.unique > best.unique || (index.unique === best.unique && index.fields.length > best.fields.length))) {
+                best = index;
+            }
         }
-        this._traverse(node.left, callback);
-        callback(node.value);
-        this._traverse(node.right, callback);
-    }
 
-    _getByKey(key, node) {
-        if (!node) {
-            return null;
+        if (best) {
+            // Index buckets are in insertion order, a stable sort by key restores tree order
+            return best.get(best.fields.map(field => equalities[field]))
+                .filter(([, value]) => matches(value))
+                .sort((a, b) => this._compare(a[0], b[0]))
+                .map(([, value]) => value);
         }
 
-        if (key === node.key) {
-            return node;
-        } else if (key < node.key) {
-            return this._getByKey(key, node.left);
-        } else if (key > node.key) {
-            return this._getByKey(key, node.right);
+        const items = [];
+        for (const value of this._project(this._walk(bounds || {}), (key, value) => value)) {
+            if (matches(value)) {
+                items.push(value);
+            }
         }
+        return items;
     }
 
-    _getByProperty(name, value, node) {
-        if (!node) {
-            return [];
+    _select(index) {
+        const size = this.size();
+        let position = index < 0 ? size + index : index;
+        if (position < 0 || position >= size) {
+            return null;
         }
-        const items = [];
 
-        this._traverse(node, (nodeValue) => {
-            if (nodeValue[name] === value) {
-                items.push(nodeValue);
+        let node = this.root;
+        while (node) {
+            const leftSize = this._getSize(node.left);
+            const count = this._getCount(node);
+            if (position < leftSize) {
+                node = node.left;
+            } else if (position < leftSize + count) {
+                return { node, value: node.values ? node.values[position - leftSize] : node.value };
+            } else {
+                position -= leftSize + count;
+                node = node.right;
             }
-        });
-
-        return items;
+        }
+        return null;
     }
 
     _minimum(node) {
@@ -564,7 +2984,7 @@ class BTree {
             return true;
         }
 
-        if (node.key < minKey || node.key > maxKey) {
+        if (this._compare(node.key, minKey) < 0 || this._compare(node.key, maxKey) > 0) {
             return false;
         }
 
@@ -580,6 +3000,31 @@ class BTree {
         return node ? node.height : 0;
     }
 
+    /**
+     * Get number of values in the subtree rooted at a node
+     * @private
+     */
+    _getSize(node) {
+        return node ? node.size : 0;
+    }
+
+    /**
+     * Get number of values stored in a single node
+     * @private
+     */
+    _getCount(node) {
+        return node.values ? node.values.length : 1;
+    }
+
+    /**
+     * Recompute the height and subtree size of a node from its children
+     * @private
+     */
+    _updateNode(node) {
+        node.height = 1 + Math.max(this._getHeight(node.left), this._getHeight(node.right));
+        node.size = this._getCount(node) + this._getSize(node.left) + this._getSize(node.right);
+    }
+
     /**
      * Get balance factor of a node
      * @private
@@ -593,6 +3038,8 @@ class BTree {
      * @private
      */
     _rotateRight(y) {
+        y = this._copyNode(y);
+        y.left = this._copyNode(y.left);
         const x = y.left;
         const T2 = x.right;
 
@@ -601,15 +3048,17 @@ class BTree {
         y.left = T2;
 
         // Update parent references
-        if (T2) {
-            T2.parent = y;
-        }
+        this._setParent(T2, y);
         x.parent = y.parent;
         y.parent = x;
 
-        // Update heights
+        // Update heights and subtree sizes
         y.height = Math.max(this._getHeight(y.left), this._getHeight(y.right)) + 1;
         x.height = Math.max(this._getHeight(x.left), this._getHeight(x.right)) + 1;
+        y.size = this._getCount(y) + this._getSize(y.left) + this._getSize(y.right);
+        x.size = this._getCount(x) + this._getSize(x.left) + this._getSize(x.right);
+
+        this._changed('rotate', { direction: 'right', key: y.key });
 
         // Return new root
         return x;
@@ -620,6 +3069,8 @@ class BTree {
      * @private
      */
     _rotateLeft(x) {
+        x = this._copyNode(x);
+        x.right = this._copyNode(x.right);
         const y = x.right;
         const T2 = y.left;
 
@@ -628,15 +3079,17 @@ class BTree {
         x.right = T2;
 
         // Update parent references
-        if (T2) {
-            T2.parent = x;
-        }
+        this._setParent(T2, x);
         y.parent = x.parent;
         x.parent = y;
 
-        // Update heights
+        // Update heights and subtree sizes
         x.height = Math.max(this._getHeight(x.left), this._getHeight(x.right)) + 1;
         y.height = Math.max(this._getHeight(y.left), this._getHeight(y.right)) + 1;
+        x.size = this._getCount(x) + this._getSize(x.left) + this._getSize(x.right);
+        y.size = this._getCount(y) + this._getSize(y.left) + this._getSize(y.right);
+
+        this._changed('rotate', { direction: 'left', key: x.key });
 
         // Return new root
         return y;
@@ -695,5 +3148,19 @@ function createTree(values, options) {
 
 module.exports = {
     BTree,
-    createTree
+    BPlusTree,
+    createTree,
+    comparators,
+    BTreeError,
+    DuplicateKeyError,
+    KeyNotFoundError,
+    InvalidKeyError,
+    EmptyTreeError,
+    InvalidOptionsError
 };
+
+// Resolved lazily because ImmutableBTree extends BTree and requires this module
+Object.defineProperty(module.exports, 'ImmutableBTree', {
+    enumerable: true,
+    get: () => require('./immutable-btree')
+});
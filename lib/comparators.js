@@ -0,0 +1,83 @@
+/**
+ * Built-in key comparators for BTree ordering
+ * Every comparator follows the Array.prototype.sort contract:
+ * negative when a < b, positive when a > b and zero when equal
+ */
+
+/**
+ * Default comparator using JavaScript's relational operators
+ * @param {*} a - First key
+ * @param {*} b - Second key
+ * @returns {number} Comparison result
+ */
+function natural(a, b) {
+    if (a < b) {
+        return -1;
+    }
+    if (a > b) {
+        return 1;
+    }
+    return 0;
+}
+
+/**
+ * Compare numeric keys
+ * @param {number} a - First key
+ * @param {number} b - Second key
+ * @returns {number} Comparison result
+ */
+function numeric(a, b) {
+    return a - b;
+}
+
+/**
+ * Compare Date keys by their timestamp
+ * @param {Date} a - First key
+ * @param {Date} b - Second key
+ * @returns {number} Comparison result
+ */
+function date(a, b) {
+    return a.getTime() - b.getTime();
+}
+
+/**
+ * Create a locale-aware string comparator backed by Intl.Collator
+ * @param {string|Array} locales - Locale(s) passed to Intl.Collator
+ * @param {Object} options - Intl.Collator options (e.g. { sensitivity: 'base' })
+ * @returns {Function} Comparator function
+ */
+function localeString(locales, options) {
+    const collator = new Intl.Collator(locales, options);
+    return (a, b) => collator.compare(a, b);
+}
+
+/**
+ * Create a comparator for compound keys that orders arrays field by field
+ * Only the fields present in both keys are compared, so a prefix such as ['Smith'] compares
+ * equal to every key starting with 'Smith'. A key that is not an array is a one-field prefix.
+ * @param {Function} compare - Comparator for individual fields
+ * @param {Array} directions - 'asc' or 'desc' per field (default 'asc')
+ * @returns {Function} Comparator function
+ */
+function tuple(compare = natural, directions = []) {
+    return (a, b) => {
+        const left = Array.isArray(a) ? a : [a];
+        const right = Array.isArray(b) ? b : [b];
+        const length = Math.min(left.length, right.length);
+        for (let i = 0; i < length; i++) {
+            const cmp = compare(left[i], right[i]);
+            if (cmp !== 0) {
+                return directions[i] === 'desc' ? -cmp : cmp;
+            }
+        }
+        return 0;
+    };
+}
+
+module.exports = {
+    natural,
+    numeric,
+    date,
+    localeString,
+    tuple
+};
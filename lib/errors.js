@@ -0,0 +1,87 @@
+/**
+ * Error classes raised by BTree
+ * Every error carries a machine-readable `code` and, where relevant, the `key` involved
+ */
+class BTreeError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - Error details
+     * @param {string} details.code - Machine-readable error code
+     * @param {*} details.key - Key involved in the error
+     * @param {Error} details.cause - Underlying error
+     */
+    constructor(message, { code = 'EBTREE', key, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.key = key;
+        this.cause = cause;
+    }
+}
+
+/** A key is already stored and duplicates are rejected */
+class DuplicateKeyError extends BTreeError {
+    constructor(message, { key, cause } = {}) {
+        super(message, { code: 'EDUPLICATEKEY', key, cause });
+    }
+}
+
+/** A key is not stored in the tree */
+class KeyNotFoundError extends BTreeError {
+    constructor(message, { key, cause } = {}) {
+        super(message, { code: 'EKEYNOTFOUND', key, cause });
+    }
+}
+
+/** A key is missing, null or cannot be resolved from a value */
+class InvalidKeyError extends BTreeError {
+    constructor(message, { key, cause } = {}) {
+        super(message, { code: 'EINVALIDKEY', key, cause });
+    }
+}
+
+/** An operation needs at least one value */
+class EmptyTreeError extends BTreeError {
+    constructor(message, { key, cause } = {}) {
+        super(message, { code: 'EEMPTYTREE', key, cause });
+    }
+}
+
+/** Tree, range or key options are invalid */
+class InvalidOptionsError extends BTreeError {
+    constructor(message, { key, cause } = {}) {
+        super(message, { code: 'EINVALIDOPTIONS', key, cause });
+    }
+}
+
+/**
+ * Prefix an error message with context while keeping the error's class
+ * Errors that are not BTreeErrors (e.g. thrown by callbacks) become a BTreeError with the
+ * original as `cause`. The original stack frames are kept so the throw site stays visible.
+ * @param {Error} error - Error to wrap
+ * @param {string} context - Message prefix
+ * @returns {BTreeError} Wrapped error
+ */
+function wrapError(error, context) {
+    const message = `${context}: ${error.message}`;
+    const ErrorClass = error instanceof BTreeError ? error.constructor : BTreeError;
+    const code = error instanceof BTreeError ? error.code : undefined;
+    const wrapped = new ErrorClass(message, { code, key: error.key, cause: error });
+
+    if (typeof error.stack === 'string') {
+        const header = `${error.name}: ${error.message}`;
+        const frames = error.stack.startsWith(header) ? error.stack.slice(header.length) : `\n${error.stack}`;
+        wrapped.stack = `${wrapped.name}: ${message}${frames}`;
+    }
+    return wrapped;
+}
+
+module.exports = {
+    BTreeError,
+    DuplicateKeyError,
+    KeyNotFoundError,
+    InvalidKeyError,
+    EmptyTreeError,
+    InvalidOptionsError,
+    wrapError
+};
@@ -0,0 +1,298 @@
+const { BTree } = require('./btree');
+const { BTreeError, wrapError } = require('./errors');
+
+/**
+ * Persistent (immutable) variant of BTree
+ * Every mutating method returns a new tree and leaves the original untouched, including
+ * delete(), tryRemove() and the pop methods, which return the tree instead of a boolean or the
+ * removed values (this tree when nothing was removed). Only the nodes on the modified path are
+ * copied, all other subtrees are shared between versions. split(), join() and the set
+ * operations share nodes with their inputs too, so their inputs are not cleared.
+ *
+ * Node `parent` pointers are not maintained because shared subtrees belong to several
+ * versions at once; successor() and predecessor() search from the root instead.
+ *
+ * Change events are emitted by the version an operation was called on, once the new version
+ * has been built successfully.
+ */
+class ImmutableBTree extends BTree {
+    /**
+     * Create a tree from values already sorted by key in O(n)
+     * @param {Array} values - Values sorted by key
+     * @param {Object} options - Configuration options
+     * @returns {ImmutableBTree} New tree
+     */
+    static fromSorted(values, options = {}) {
+        return new this(options).init(values, { presorted: true });
+    }
+
+    /**
+     * Persistence logs the changes of a single mutable tree, so it is not available here
+     */
+    static open() {
+        throw new BTreeError('Failed to open tree log: ImmutableBTree does not support persistence');
+    }
+
+    /**
+     * Return a new tree initialized with values and options
+     * @param {Array} values - Array of values to add
+     * @param {Object} options - Configuration options
+     * @returns {ImmutableBTree} New tree
+     */
+    init(values, options = {}) {
+        return this._mutate(tree => BTree.prototype.init.call(tree, values, options));
+    }
+
+    /**
+     * Return a new tree with a value added
+     * @param {*} value - Value to add
+     * @param {*} key - Optional key
+     * @returns {ImmutableBTree} New tree
+     */
+    add(value, key) {
+        return this._mutate(tree => BTree.prototype.add.call(tree, value, key));
+    }
+
+    /**
+     * Return a new tree with the first value for a key removed
+     * @param {*} key - Key to remove
+     * @returns {ImmutableBTree} New tree
+     */
+    remove(key) {
+        return this._mutate(tree => BTree.prototype.remove.call(tree, key));
+    }
+
+    /**
+     * Return a new tree with every value for a key removed
+     * @param {*} key - Key to remove
+     * @returns {ImmutableBTree} New tree
+     */
+    removeAll(key) {
+        return this._mutate(tree => BTree.prototype.removeAll.call(tree, key));
+    }
+
+    /**
+     * Return a new tree with value as the only value for a key
+     * @param {*} key - Key to store the value under
+     * @param {*} value - Value to store
+     * @returns {ImmutableBTree} New tree
+     */
+    set(key, value) {
+        return this._mutate(tree => BTree.prototype.set.call(tree, key, value));
+    }
+
+    /**
+     * Return a new tree without any value for a key, or this tree if the key is not stored
+     * @param {*} key - Key to remove
+     * @returns {ImmutableBTree} New tree
+     */
+    delete(key) {
+        return this._mutate(tree => BTree.prototype.delete.call(tree, key));
+    }
+
+    /**
+     * Return a new tree with the first value for a key removed like remove(), or this tree if the
+     * key is not stored. In 'bucket' mode every value of the key is removed.
+     * @param {*} key - Key to remove
+     * @returns {ImmutableBTree} New tree
+     */
+    tryRemove(key) {
+        return this._mutate(tree => BTree.prototype.tryRemove.call(tree, key));
+    }
+
+    /**
+     * Return a new tree without the minimum value (read it first with peekMin())
+     * @returns {ImmutableBTree} New tree
+     */
+    popMin() {
+        return this._mutate(tree => BTree.prototype.popMin.call(tree));
+    }
+
+    /**
+     * Return a new tree without the maximum value (read it first with peekMax())
+     * @returns {ImmutableBTree} New tree
+     */
+    popMax() {
+        return this._mutate(tree => BTree.prototype.popMax.call(tree));
+    }
+
+    /**
+     * Return a new tree without the n smallest values
+     * @param {number} n - Number of values to remove
+     * @returns {ImmutableBTree} New tree
+     */
+    popMinN(n) {
+        return this._mutate(tree => BTree.prototype.popMinN.call(tree, n));
+    }
+
+    /**
+     * Return a new tree without the n largest values
+     * @param {number} n - Number of values to remove
+     * @returns {ImmutableBTree} New tree
+     */
+    popMaxN(n) {
+        return this._mutate(tree => BTree.prototype.popMaxN.call(tree, n));
+    }
+
+    /**
+     * Return a new tree with the changes from diff() applied
+     * @param {Array|Object|string} patch - Changes, or a compact patch or its JSON string
+     * @param {Object} options - Patch options
+     * @returns {ImmutableBTree} New tree
+     */
+    applyPatch(patch, options = {}) {
+        return this._mutate(tree => BTree.prototype.applyPatch.call(tree, patch, options));
+    }
+
+    /**
+     * Return an empty tree with the same options
+     * @returns {ImmutableBTree} New tree
+     */
+    clear() {
+        return this._mutate(tree => BTree.prototype.clear.call(tree));
+    }
+
+    /**
+     * Immutable trees are kept AVL balanced by every operation
+     * @returns {ImmutableBTree} This tree
+     */
+    balance() {
+        return this;
+    }
+
+    /**
+     * Secondary indexes are mutable state and cannot be shared between versions
+     */
+    createIndex() {
+        throw new BTreeError('Failed to create index: ImmutableBTree does not support secondary indexes');
+    }
+
+    /**
+     * Every ImmutableBTree operation is already all or nothing, a failed one returns no new tree
+     */
+    transaction() {
+        throw new BTreeError('Transaction failed: ImmutableBTree does not support transactions');
+    }
+
+    /**
+     * Every ImmutableBTree operation is already all or nothing, a failed one returns no new tree
+     */
+    begin() {
+        throw new BTreeError('Failed to begin transaction: ImmutableBTree does not support transactions');
+    }
+
+    /**
+     * Adding returns a new tree each time, so there is no tree for a stream to fill
+     */
+    createWriteStream() {
+        throw new BTreeError('Failed to create write stream: ImmutableBTree does not support writing');
+    }
+
+    /**
+     * Get the node that follows the given node in key order
+     * @param {Object} node - A node of this tree
+     * @returns {Object} Next node, or null if the node is the maximum
+     */
+    successor(node) {
+        try {
+            this._validateNode(node);
+            if (node.right) {
+                return this._minimum(node.right);
+            }
+            return this._ancestorOf(node, 'left');
+        } catch (error) {
+            throw wrapError(error, 'Failed to find successor');
+        }
+    }
+
+    /**
+     * Get the node that precedes the given node in key order
+     * @param {Object} node - A node of this tree
+     * @returns {Object} Previous node, or null if the node is the minimum
+     */
+    predecessor(node) {
+        try {
+            this._validateNode(node);
+            if (node.left) {
+                return this._maximum(node.left);
+            }
+            return this._ancestorOf(node, 'right');
+        } catch (error) {
+            throw wrapError(error, 'Failed to find predecessor');
+        }
+    }
+
+    // Private helper methods
+
+    /**
+     * Apply BTree mutations to a new version of the tree
+     * Nested calls (e.g. init() calling add()) mutate the version being built in place
+     * @private
+     */
+    _mutate(fn) {
+        if (this._owned) {
+            fn(this);
+            return this;
+        }
+
+        const next = new this.constructor(this.options);
+        next.options = this.options;
+        next.root = this.root;
+        next._owned = new WeakSet();
+        try {
+            next._batchEvents(() => fn(next), this);
+        } finally {
+            next._owned = null;
+        }
+
+        if (next.root === this.root && next.options === this.options) {
+            return this;
+        }
+        return next;
+    }
+
+    // The version being built is discarded when an operation fails
+    _atomic(fn) {
+        return fn();
+    }
+
+    _restructure(fn) {
+        if (this._owned) {
+            fn();
+            return;
+        }
+        this._owned = new WeakSet();
+        try {
+            fn();
+        } finally {
+            this._owned = null;
+        }
+    }
+
+    // Versions always share nodes and copy the ones they change
+    _shareNodes() {}
+
+    // Other versions keep their nodes
+    _detachRoot() {
+        return this.root;
+    }
+
+    /**
+     * Copy a node unless it was created by the mutation in progress
+     * Parent pointers are left alone, the children are shared with other versions
+     * @private
+     */
+    _copyNode(node) {
+        if (!node || !this._owned || this._owned.has(node)) {
+            return node;
+        }
+        const copy = { ...node };
+        if (node.values) {
+            copy.values = node.values.slice();
+        }
+        this._owned.add(copy);
+        return copy;
+    }
+}
+
+module.exports = ImmutableBTree;
@@ -0,0 +1,315 @@
+/**
+ * Key extraction and ordering for the `key` option
+ * `key` is either a property path, an extractor function, or an array of fields for a compound
+ * key. Each field is a property path or a { path, direction } object with direction 'asc' or
+ * 'desc'. Compound keys are stored as arrays and ordered field by field.
+ *
+ * A property path is a dotted string ('meta.createdAt') or, inside a compound key, an array of
+ * segments (['meta', 'createdAt']).
+ */
+const helpers = require('./helpers');
+const comparators = require('./comparators');
+const { InvalidKeyError, InvalidOptionsError, wrapError } = require('./errors');
+
+const DIRECTIONS = ['asc', 'desc'];
+
+/**
+ * Split a property path into its segments
+ * @param {string|Array} path - Dotted string or array of segments
+ * @returns {Array} Path segments
+ */
+function parsePath(path) {
+    const segments = Array.isArray(path) ? path : String(path).split('.');
+    if (segments.length === 0 || segments.some(segment => typeof segment !== 'string' || segment === '')) {
+        throw new Error(`Property path '${formatPath(path)}' must not have empty segments`);
+    }
+    return segments;
+}
+
+/**
+ * Format a property path for error messages
+ * @private
+ */
+function formatPath(path) {
+    return Array.isArray(path) ? path.join('.') : String(path);
+}
+
+/**
+ * Read a property path, returning undefined when any part of it is missing
+ * @param {*} value - Value to read from
+ * @param {Array} segments - Path segments from parsePath()
+ * @returns {*} Property value
+ */
+function getPath(value, segments) {
+    let current = value;
+    for (const segment of segments) {
+        if (current === undefined || current === null) {
+            return undefined;
+        }
+        current = current[segment];
+    }
+    return current;
+}
+
+/**
+ * Check whether a key option names a single top-level property
+ * @param {*} key - Key option
+ * @returns {boolean} True for property names without a path
+ */
+function isPropertyName(key) {
+    return typeof key === 'string' && !key.includes('.');
+}
+
+/**
+ * Normalize a compound key field to { path, direction }
+ * @private
+ */
+function normalizeField(field) {
+    if (typeof field === 'string' || Array.isArray(field)) {
+        return { path: parsePath(field), direction: 'asc' };
+    }
+    if (!field || typeof field !== 'object' || (typeof field.path !== 'string' && !Array.isArray(field.path))) {
+        throw new Error('Key fields must be property paths or { path, direction } objects');
+    }
+    const direction = field.direction === undefined ? 'asc' : field.direction;
+    if (!DIRECTIONS.includes(direction)) {
+        throw new Error(`Key field direction must be one of: ${DIRECTIONS.join(', ')}`);
+    }
+    return { path: parsePath(field.path), direction };
+}
+
+/**
+ * Validate a key option
+ * @param {string|Function|Array} key - Key option
+ */
+function validateKeyOption(key) {
+    try {
+        if (typeof key === 'function') {
+            return;
+        }
+        if (typeof key === 'string') {
+            parsePath(key);
+            return;
+        }
+        if (!Array.isArray(key)) {
+            throw new Error('Key option must be a string, function or array of fields');
+        }
+        if (key.length === 0) {
+            throw new Error('Compound key must have at least one field');
+        }
+        key.forEach(normalizeField);
+    } catch (error) {
+        throw new InvalidOptionsError(error.message, { cause: error });
+    }
+}
+
+/**
+ * Check whether two key options store values under the same keys in the same order
+ * Functions must be the same function, paths may be written as strings or arrays
+ * @param {string|Function|Array} a - Key option
+ * @param {string|Function|Array} b - Key option
+ * @returns {boolean} True if the options are equivalent
+ */
+function isSameKeyOption(a, b) {
+    if (typeof a === 'function' || typeof b === 'function') {
+        return a === b;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) {
+        return false;
+    }
+    if (!Array.isArray(a)) {
+        return parsePath(a).join('.') === parsePath(b).join('.');
+    }
+    if (a.length !== b.length) {
+        return false;
+    }
+    return a.every((field, i) => {
+        const left = normalizeField(field);
+        const right = normalizeField(b[i]);
+        return left.path.join('.') === right.path.join('.') && left.direction === right.direction;
+    });
+}
+
+/**
+ * Validate a key passed to add() alongside its value
+ * A compound key needs a value for every field, a shorter one would match as a prefix
+ * @param {string|Function|Array} keyOption - Key option
+ * @param {*} key - Explicit key
+ */
+function validateExplicitKey(keyOption, key) {
+    if (Array.isArray(keyOption)) {
+        if (!Array.isArray(key)) {
+            throw new InvalidKeyError('Key must be an array for compound keys', { key });
+        }
+        if (key.length !== keyOption.length) {
+            throw new InvalidKeyError(`Compound key must have ${keyOption.length} fields, got ${key.length}`, { key });
+        }
+        return;
+    }
+    if (helpers.getType(key) !== 'string' && helpers.getType(key) !== 'number') {
+        throw new InvalidKeyError('Key must be a string or number', { key });
+    }
+}
+
+/**
+ * Get the key of an item in an array passed to add()
+ * @param {string|Function|Array} keyOption - Key option
+ * @param {Function} resolve - Key resolver from createResolver()
+ * @param {*} item - Array item
+ * @param {number} index - Position of the item, for error messages
+ * @returns {*} Key of the item
+ */
+function resolveItemKey(keyOption, resolve, item, index) {
+    if (!isPropertyName(keyOption)) {
+        try {
+            return resolve(item);
+        } catch (error) {
+            throw wrapError(error, `Array item at index ${index}`);
+        }
+    }
+    if (!item.hasOwnProperty(keyOption)) {
+        throw new InvalidKeyError(`Array item at index ${index} must have property '${keyOption}'`);
+    }
+    if (item[keyOption] === undefined || item[keyOption] === null) {
+        throw new InvalidKeyError(`Array item at index ${index} property '${keyOption}' cannot be undefined or null`);
+    }
+    return item[keyOption];
+}
+
+/**
+ * Validate { gte, gt, lte, lt } range bounds
+ * @param {Object} bounds - Range options
+ */
+function validateBounds(bounds) {
+    if (!bounds || typeof bounds !== 'object') {
+        throw new InvalidOptionsError('Range options must be an object');
+    }
+    if (bounds.gt !== undefined && bounds.gte !== undefined) {
+        throw new InvalidOptionsError('Range cannot have both gt and gte bounds');
+    }
+    if (bounds.lt !== undefined && bounds.lte !== undefined) {
+        throw new InvalidOptionsError('Range cannot have both lt and lte bounds');
+    }
+}
+
+/**
+ * Check a key against the lower bound of a range
+ * @param {Function} compare - Key comparator
+ * @param {*} key - Key to check
+ * @param {Object} bounds - Range options
+ * @returns {boolean} True if the key is not below the range
+ */
+function isAboveLower(compare, key, bounds) {
+    if (bounds.gte !== undefined) {
+        return compare(key, bounds.gte) >= 0;
+    }
+    if (bounds.gt !== undefined) {
+        return compare(key, bounds.gt) > 0;
+    }
+    return true;
+}
+
+/**
+ * Check a key against the upper bound of a range
+ * @param {Function} compare - Key comparator
+ * @param {*} key - Key to check
+ * @param {Object} bounds - Range options
+ * @returns {boolean} True if the key is not above the range
+ */
+function isBelowUpper(compare, key, bounds) {
+    if (bounds.lte !== undefined) {
+        return compare(key, bounds.lte) <= 0;
+    }
+    if (bounds.lt !== undefined) {
+        return compare(key, bounds.lt) < 0;
+    }
+    return true;
+}
+
+/**
+ * Read a key property path from an object value, naming the missing part of the path
+ * @private
+ */
+function readProperty(value, segments) {
+    const path = segments.join('.');
+    let current = value;
+    for (let i = 0; i < segments.length; i++) {
+        const reached = segments.slice(0, i + 1).join('.');
+        if (!Object.prototype.hasOwnProperty.call(current, segments[i])) {
+            throw new InvalidKeyError(i === segments.length - 1
+                ? `Object must have property '${path}'`
+                : `Object must have property '${reached}' to read '${path}'`);
+        }
+        current = current[segments[i]];
+        if (current === undefined || current === null) {
+            throw new InvalidKeyError(i === segments.length - 1
+                ? `Object property '${path}' cannot be undefined or null`
+                : `Object property '${reached}' cannot be undefined or null to read '${path}'`);
+        }
+        if (i < segments.length - 1 && typeof current !== 'object') {
+            throw new InvalidKeyError(`Object property '${reached}' must be an object to read '${path}'`);
+        }
+    }
+    return current;
+}
+
+/**
+ * Create a function returning the key a value is stored under
+ * Strings, numbers and dates are their own key unless the key option is a function
+ * @param {string|Function|Array} key - Key option
+ * @returns {Function} Key resolver
+ */
+function createResolver(key) {
+    if (typeof key === 'function') {
+        return value => {
+            const result = key(value);
+            if (result === undefined || result === null) {
+                throw new InvalidKeyError('Key function cannot return undefined or null');
+            }
+            return result;
+        };
+    }
+
+    const fields = Array.isArray(key) ? key.map(normalizeField) : null;
+    const segments = fields ? null : parsePath(key);
+    return value => {
+        switch (helpers.getType(value)) {
+            case 'string':
+            case 'number':
+            case 'date':
+                return value;
+            case 'object':
+                return fields ? fields.map(field => readProperty(value, field.path)) : readProperty(value, segments);
+            default:
+                throw new InvalidKeyError(`Unsupported value type: ${helpers.getType(value)}`);
+        }
+    };
+}
+
+/**
+ * Create the comparator used to order keys
+ * @param {string|Function|Array} key - Key option
+ * @param {Function} compare - Compare option
+ * @returns {Function} Key comparator
+ */
+function createComparator(key, compare) {
+    if (!Array.isArray(key)) {
+        return compare;
+    }
+    return comparators.tuple(compare, key.map(field => normalizeField(field).direction));
+}
+
+module.exports = {
+    parsePath,
+    getPath,
+    isPropertyName,
+    validateKeyOption,
+    isSameKeyOption,
+    validateExplicitKey,
+    resolveItemKey,
+    validateBounds,
+    isAboveLower,
+    isBelowUpper,
+    createResolver,
+    createComparator
+};
@@ -0,0 +1,153 @@
+/**
+ * Diffs between trees and the patch format used to replay them
+ * A diff is an array of changes in key order:
+ *   { type: 'added', key, value }
+ *   { type: 'removed', key, value }
+ *   { type: 'changed', key, value, oldValue }
+ * The compact form is JSON-safe: { version, changes } where each change is ['+', key, value],
+ * ['-', key, value] or ['~', key, value, oldValue], keys are encoded as in toJSON() and a value
+ * equal to its key is omitted.
+ */
+const helpers = require('./helpers');
+const serialization = require('./serialization');
+
+const PATCH_VERSION = 1;
+const OPERATIONS = { added: '+', removed: '-', changed: '~' };
+const TYPES = { '+': 'added', '-': 'removed', '~': 'changed' };
+
+/**
+ * Structural equality for values stored in a tree
+ * Compares primitives with Object.is, dates by time, regexps by source and flags, and arrays
+ * and plain objects by their own enumerable properties
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True if the values are equal
+ */
+function deepEqual(a, b) {
+    if (Object.is(a, b)) {
+        return true;
+    }
+    const type = helpers.getType(a);
+    if (type !== helpers.getType(b)) {
+        return false;
+    }
+    switch (type) {
+        case 'date':
+            return a.getTime() === b.getTime();
+        case 'regexp':
+            return String(a) === String(b);
+        case 'array':
+            return a.length === b.length && a.every((item, i) => deepEqual(item, b[i]));
+        case 'object': {
+            const names = Object.keys(a);
+            return names.length === Object.keys(b).length &&
+                names.every(name => Object.prototype.hasOwnProperty.call(b, name) && deepEqual(a[name], b[name]));
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Diff two in-order streams of [key, value] entries with a single merged walk
+ * Values under equal keys are paired in order; unpaired values are added or removed
+ * @param {Iterator} before - Entries of the old tree
+ * @param {Iterator} after - Entries of the new tree
+ * @param {Function} compareKeys - Key comparator
+ * @param {Function} equals - Value equality
+ * @returns {Array} Changes in key order
+ */
+function diffEntries(before, after, compareKeys, equals) {
+    const changes = [];
+    let left = before.next();
+    let right = after.next();
+
+    while (!left.done || !right.done) {
+        const cmp = left.done ? 1 : right.done ? -1 : compareKeys(left.value[0], right.value[0]);
+        if (cmp < 0) {
+            changes.push({ type: 'removed', key: left.value[0], value: left.value[1] });
+            left = before.next();
+        } else if (cmp > 0) {
+            changes.push({ type: 'added', key: right.value[0], value: right.value[1] });
+            right = after.next();
+        } else {
+            const [key, oldValue] = left.value;
+            const value = right.value[1];
+            if (!equals(oldValue, value)) {
+                changes.push({ type: 'changed', key, value, oldValue });
+            }
+            left = before.next();
+            right = after.next();
+        }
+    }
+    return changes;
+}
+
+/**
+ * Encode one change into its compact form
+ * @param {Object} change - Change from diff()
+ * @returns {Array} ['+', key, value], ['-', key, value] or ['~', key, value, oldValue]
+ */
+function encodeChange(change) {
+    const operation = OPERATIONS[change.type];
+    if (change.type === 'changed') {
+        return [operation, serialization.encodeKey(change.key), change.value, change.oldValue];
+    }
+    return [operation, ...serialization.encodeEntry(change.key, change.value)];
+}
+
+/**
+ * Decode one compact change
+ * @param {Array} encoded - Compact change
+ * @param {number} i - Position of the change, used in error messages
+ * @returns {Object} Change
+ */
+function decodeChange(encoded, i) {
+    if (!Array.isArray(encoded) || !TYPES[encoded[0]]) {
+        throw new Error(`Patch change ${i} must start with '+', '-' or '~'`);
+    }
+    const type = TYPES[encoded[0]];
+    if (type === 'changed') {
+        if (encoded.length !== 4) {
+            throw new Error(`Patch change ${i} must be ['~', key, value, oldValue]`);
+        }
+        return { type, key: serialization.decodeKey(encoded[1]), value: encoded[2], oldValue: encoded[3] };
+    }
+    const [key, value] = serialization.decodeEntry(encoded.slice(1));
+    return { type, key, value };
+}
+
+/**
+ * Encode changes into the compact patch format
+ * @param {Array} changes - Changes from diff()
+ * @returns {Object} Compact patch
+ */
+function encodePatch(changes) {
+    return { version: PATCH_VERSION, changes: changes.map(encodeChange) };
+}
+
+/**
+ * Decode a compact patch back into changes
+ * @param {Object|string} patch - Compact patch or its JSON string
+ * @returns {Array} Changes
+ */
+function decodePatch(patch) {
+    const data = typeof patch === 'string' ? JSON.parse(patch) : patch;
+    if (!data || typeof data !== 'object' || !Array.isArray(data.changes)) {
+        throw new Error('Patch must be an array of changes or a compact patch object');
+    }
+    if (data.version !== PATCH_VERSION) {
+        throw new Error(`Unsupported patch version: ${data.version}`);
+    }
+
+    return data.changes.map(decodeChange);
+}
+
+module.exports = {
+    deepEqual,
+    diffEntries,
+    encodeChange,
+    decodeChange,
+    encodePatch,
+    decodePatch
+};
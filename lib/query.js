@@ -0,0 +1,168 @@
+/**
+ * Query objects for find() and findAll()
+ * Every property of a query must match (AND). A property maps a property path either to a
+ * value, matched with ===, or to an object of operators such as { $gt: 5, $lt: 10 }.
+ * $or and $and take arrays of queries.
+ */
+const helpers = require('./helpers');
+const comparators = require('./comparators');
+const keys = require('./keys');
+
+const LOGICAL_OPERATORS = ['$or', '$and'];
+
+/**
+ * Check whether a condition is an operator object such as { $gt: 1 }
+ * @private
+ */
+function isOperatorObject(condition, prop) {
+    if (helpers.getType(condition) !== 'object') {
+        return false;
+    }
+    const names = Object.keys(condition);
+    const operators = names.filter(name => name.startsWith('$'));
+    if (operators.length > 0 && operators.length < names.length) {
+        throw new Error(`Query for '${prop}' cannot mix operators and values`);
+    }
+    return names.length > 0 && operators.length === names.length;
+}
+
+// Missing values never satisfy an ordering comparison
+function isOrdered(actual) {
+    return actual !== undefined && actual !== null;
+}
+
+/**
+ * Create the test for one operator applied to a property value
+ * @private
+ */
+function compileOperator(operator, operand, compare) {
+    switch (operator) {
+        case '$eq':
+            return actual => actual === operand;
+        case '$ne':
+            return actual => actual !== operand;
+        case '$gt':
+            return actual => isOrdered(actual) && compare(actual, operand) > 0;
+        case '$gte':
+            return actual => isOrdered(actual) && compare(actual, operand) >= 0;
+        case '$lt':
+            return actual => isOrdered(actual) && compare(actual, operand) < 0;
+        case '$lte':
+            return actual => isOrdered(actual) && compare(actual, operand) <= 0;
+        case '$in':
+        case '$nin': {
+            if (!Array.isArray(operand)) {
+                throw new Error(`${operator} requires an array`);
+            }
+            return operator === '$in' ? actual => operand.includes(actual) : actual => !operand.includes(actual);
+        }
+        case '$regex': {
+            if (!(operand instanceof RegExp) && typeof operand !== 'string') {
+                throw new Error('$regex requires a RegExp or string');
+            }
+            const pattern = operand instanceof RegExp ? operand : new RegExp(operand);
+            return actual => {
+                pattern.lastIndex = 0;
+                return typeof actual === 'string' && pattern.test(actual);
+            };
+        }
+        case '$exists':
+            return actual => (actual !== undefined) === Boolean(operand);
+        default:
+            throw new Error(`Unknown query operator '${operator}'`);
+    }
+}
+
+/**
+ * Tighten key bounds with a comparison on the key
+ * @private
+ */
+function narrow(bounds, operator, operand, compare) {
+    if (!isOrdered(operand)) {
+        return;
+    }
+    const lower = { $eq: 'gte', $gte: 'gte', $gt: 'gt' }[operator];
+    const upper = { $eq: 'lte', $lte: 'lte', $lt: 'lt' }[operator];
+
+    if (lower) {
+        const current = bounds.gt !== undefined ? bounds.gt : bounds.gte;
+        const cmp = current === undefined ? 1 : compare(operand, current);
+        if (cmp > 0 || (cmp === 0 && lower === 'gt')) {
+            delete bounds.gt;
+            delete bounds.gte;
+            bounds[lower] = operand;
+        }
+    }
+    if (upper) {
+        const current = bounds.lt !== undefined ? bounds.lt : bounds.lte;
+        const cmp = current === undefined ? -1 : compare(operand, current);
+        if (cmp < 0 || (cmp === 0 && upper === 'lt')) {
+            delete bounds.lt;
+            delete bounds.lte;
+            bounds[upper] = operand;
+        }
+    }
+}
+
+/**
+ * Compile a query object
+ * @param {Object} query - Query object
+ * @param {Object} options - Compile options
+ * @param {string} options.keyPath - Property path the tree is keyed by, if any
+ * @param {Function} options.compareKeys - Comparator for the tree key
+ * @returns {Object} { matches(value), bounds, equalities } where bounds limits the key range to
+ *     walk (or is null) and equalities maps each property matched by value to that value
+ */
+function compileQuery(query, options = {}) {
+    if (helpers.getType(query) !== 'object') {
+        throw new Error('Query must be an object');
+    }
+
+    const tests = [];
+    const bounds = {};
+    const equalities = {};
+    for (const prop of Object.keys(query)) {
+        const condition = query[prop];
+
+        if (LOGICAL_OPERATORS.includes(prop)) {
+            if (!Array.isArray(condition) || condition.length === 0) {
+                throw new Error(`${prop} requires a non-empty array of queries`);
+            }
+            const branches = condition.map(branch => compileQuery(branch, options).matches);
+            tests.push(prop === '$or'
+                ? value => branches.some(matches => matches(value))
+                : value => branches.every(matches => matches(value)));
+            continue;
+        }
+        if (prop.startsWith('$')) {
+            throw new Error(`Unknown query operator '${prop}'`);
+        }
+
+        const segments = keys.parsePath(prop);
+        const isKey = prop === options.keyPath;
+        const compare = isKey ? options.compareKeys : comparators.natural;
+        const operators = isOperatorObject(condition, prop) ? condition : { $eq: condition };
+
+        for (const operator of Object.keys(operators)) {
+            const test = compileOperator(operator, operators[operator], compare);
+            // A missing path reads as undefined rather than throwing
+            tests.push(value => test(keys.getPath(value, segments)));
+            if (operator === '$eq') {
+                equalities[prop] = operators[operator];
+            }
+            if (isKey) {
+                narrow(bounds, operator, operators[operator], compare);
+            }
+        }
+    }
+
+    return {
+        matches: value => tests.every(test => test(value)),
+        bounds: Object.keys(bounds).length > 0 ? bounds : null,
+        equalities
+    };
+}
+
+module.exports = {
+    compileQuery
+};
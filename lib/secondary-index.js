@@ -0,0 +1,144 @@
+const keys = require('./keys');
+const { DuplicateKeyError } = require('./errors');
+
+/**
+ * Secondary index mapping property values to the tree entries holding them
+ * Each field adds a level of nested Maps, so lookups use the same identity rules as `===`.
+ * Leaf buckets map each value to the tree keys it is stored under, in insertion order.
+ */
+class SecondaryIndex {
+    /**
+     * @param {Array} fields - Property paths of the indexed fields
+     * @param {Object} options - Index options
+     * @param {boolean} options.unique - Reject two values with the same field values
+     */
+    constructor(fields, { unique = false } = {}) {
+        this.fields = fields;
+        this.paths = fields.map(keys.parsePath);
+        this.unique = Boolean(unique);
+        this.name = fields.join(',');
+        this._root = new Map();
+    }
+
+    /**
+     * Get the indexed field values of a value
+     * @param {*} value - Stored value
+     * @returns {Array} Field values
+     */
+    fieldValues(value) {
+        return this.paths.map(path => keys.getPath(value, path));
+    }
+
+    /**
+     * Find a value that would violate the unique constraint if value were added
+     * Values with an undefined or null field never conflict
+     * @param {*} value - Value to check
+     * @returns {*} Conflicting value, or undefined
+     */
+    findConflict(value) {
+        if (!this.unique) {
+            return undefined;
+        }
+        const fieldValues = this.fieldValues(value);
+        if (fieldValues.some(fieldValue => fieldValue === undefined || fieldValue === null)) {
+            return undefined;
+        }
+        const bucket = this._bucket(fieldValues, false);
+        return bucket && bucket.size > 0 ? bucket.keys().next().value : undefined;
+    }
+
+    /**
+     * Add a tree entry
+     * @param {*} key - Tree key
+     * @param {*} value - Stored value
+     */
+    add(key, value) {
+        const conflict = this.findConflict(value);
+        if (conflict !== undefined) {
+            const fieldValues = this.fieldValues(value);
+            throw new DuplicateKeyError(`Index '${this.name}' already contains '${fieldValues.join(', ')}'`, {
+                key: fieldValues.length === 1 ? fieldValues[0] : fieldValues
+            });
+        }
+
+        const bucket = this._bucket(this.fieldValues(value), true);
+        if (!bucket.has(value)) {
+            bucket.set(value, []);
+        }
+        bucket.get(value).push(key);
+    }
+
+    /**
+     * Remove a tree entry
+     * @param {*} key - Tree key
+     * @param {*} value - Stored value
+     */
+    remove(key, value) {
+        const fieldValues = this.fieldValues(value);
+        const path = [];
+        let map = this._root;
+        for (const fieldValue of fieldValues) {
+            path.push([map, fieldValue]);
+            map = map.get(fieldValue);
+            if (!map) {
+                return;
+            }
+        }
+
+        const entryKeys = map.get(value);
+        if (!entryKeys) {
+            return;
+        }
+        const position = entryKeys.lastIndexOf(key);
+        entryKeys.splice(position === -1 ? entryKeys.length - 1 : position, 1);
+        if (entryKeys.length > 0) {
+            return;
+        }
+
+        // Prune maps left empty so removed values don't leak
+        map.delete(value);
+        for (let i = path.length - 1; i >= 0 && map.size === 0; i--) {
+            const [parent, fieldValue] = path[i];
+            parent.delete(fieldValue);
+            map = parent;
+        }
+    }
+
+    /**
+     * Get the tree entries whose fields equal the given values
+     * @param {Array} fieldValues - One value per indexed field
+     * @returns {Array} [key, value] pairs in insertion order
+     */
+    get(fieldValues) {
+        const bucket = this._bucket(fieldValues, false);
+        const entries = [];
+        if (bucket) {
+            bucket.forEach((entryKeys, value) => {
+                entryKeys.forEach(key => entries.push([key, value]));
+            });
+        }
+        return entries;
+    }
+
+    clear() {
+        this._root = new Map();
+    }
+
+    _bucket(fieldValues, create) {
+        let map = this._root;
+        for (const fieldValue of fieldValues) {
+            let next = map.get(fieldValue);
+            if (!next) {
+                if (!create) {
+                    return null;
+                }
+                next = new Map();
+                map.set(fieldValue, next);
+            }
+            map = next;
+        }
+        return map;
+    }
+}
+
+module.exports = SecondaryIndex;
@@ -0,0 +1,85 @@
+/**
+ * JSON encoding helpers for persisting BTree contents
+ * Keys keep their type across a round trip: Date keys are written as { $date: isoString }
+ */
+const helpers = require('./helpers');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Encode a key into a JSON-safe value
+ * @param {*} key - Key to encode
+ * @returns {*} Encoded key
+ */
+function encodeKey(key) {
+    switch (helpers.getType(key)) {
+        case 'date':
+            return { $date: key.toISOString() };
+        case 'array':
+            return key.map(encodeKey);
+        default:
+            return key;
+    }
+}
+
+/**
+ * Decode a key produced by encodeKey()
+ * @param {*} encoded - Encoded key
+ * @returns {*} Original key
+ */
+function decodeKey(encoded) {
+    if (Array.isArray(encoded)) {
+        return encoded.map(decodeKey);
+    }
+    if (encoded && typeof encoded === 'object' && typeof encoded.$date === 'string') {
+        return new Date(encoded.$date);
+    }
+    return encoded;
+}
+
+/**
+ * Encode a key/value pair, omitting the value when it is the key itself
+ * @param {*} key - Entry key
+ * @param {*} value - Entry value
+ * @returns {Array} [key] or [key, value]
+ */
+function encodeEntry(key, value) {
+    return value === key ? [encodeKey(key)] : [encodeKey(key), value];
+}
+
+/**
+ * Decode an entry produced by encodeEntry()
+ * @param {Array} entry - Encoded entry
+ * @returns {Array} [key, value]
+ */
+function decodeEntry(entry) {
+    if (!Array.isArray(entry) || entry.length < 1 || entry.length > 2) {
+        throw new Error('Entries must be [key] or [key, value] arrays');
+    }
+    const key = decodeKey(entry[0]);
+    return [key, entry.length === 1 ? key : entry[1]];
+}
+
+/**
+ * Pick the options that survive JSON serialization (functions such as compare are dropped)
+ * @param {Object} options - Tree options
+ * @returns {Object} Serializable options
+ */
+function serializableOptions(options) {
+    const result = {};
+    for (const name of Object.keys(options)) {
+        if (typeof options[name] !== 'function' && options[name] !== undefined) {
+            result[name] = options[name];
+        }
+    }
+    return result;
+}
+
+module.exports = {
+    FORMAT_VERSION,
+    encodeKey,
+    decodeKey,
+    encodeEntry,
+    decodeEntry,
+    serializableOptions
+};
@@ -0,0 +1,143 @@
+/**
+ * Node.js streams over a BTree
+ * TreeReadStream yields [key, value] entries lazily in key order and TreeWriteStream adds the
+ * values written to it.
+ */
+const { Readable, Writable } = require('stream');
+const { wrapError } = require('./errors');
+
+class TreeReadStream extends Readable {
+    /**
+     * @param {BTree} tree - Tree to read
+     * @param {Object} options - Bounds ({ gte, gt, lte, lt, reverse }) and highWaterMark
+     */
+    constructor(tree, options = {}) {
+        const { highWaterMark, ...bounds } = options;
+        super({ objectMode: true, highWaterMark });
+        this.tree = tree;
+        this.bounds = bounds;
+        this._entries = tree.entries(bounds);
+        this._lastKey = undefined;
+        this._lastKeyCount = 0;
+        this._skip = 0;
+        // The tree bumps its version on every change, which may invalidate a paused walk
+        this._version = tree._version;
+    }
+
+    _read() {
+        try {
+            for (;;) {
+                // A 'data' listener may change the tree while push() is running
+                if (this._version !== this.tree._version) {
+                    this._resume();
+                }
+                const next = this._entries.next();
+                if (next.done) {
+                    this.push(null);
+                    return;
+                }
+                const [key] = next.value;
+                const sameKey = this._lastKeyCount > 0 && this.tree._compare(key, this._lastKey) === 0;
+                if (sameKey && this._skip > 0) {
+                    this._skip--;
+                    continue;
+                }
+                this._skip = 0;
+                if (sameKey) {
+                    this._lastKeyCount++;
+                } else {
+                    this._lastKey = key;
+                    this._lastKeyCount = 1;
+                }
+                if (!this.push(next.value)) {
+                    return;
+                }
+            }
+        } catch (error) {
+            this.destroy(wrapError(error, 'Failed to read tree'));
+        }
+    }
+
+    /**
+     * Restart the walk after the tree changed, from the last key read
+     * Values of that key that were already read are skipped
+     * @private
+     */
+    _resume() {
+        this._version = this.tree._version;
+        if (this._lastKeyCount === 0) {
+            this._entries = this.tree.entries(this.bounds);
+            return;
+        }
+        const bounds = { ...this.bounds };
+        if (bounds.reverse) {
+            delete bounds.lt;
+            bounds.lte = this._lastKey;
+        } else {
+            delete bounds.gt;
+            bounds.gte = this._lastKey;
+        }
+        this._entries = this.tree.entries(bounds);
+        this._skip = this._lastKeyCount;
+    }
+}
+
+class TreeWriteStream extends Writable {
+    /**
+     * @param {BTree} tree - Tree to add to
+     * @param {Object} options - Stream options
+     * @param {boolean} options.atomic - Add everything in one transaction, rolled back if the
+     *     stream fails or is destroyed before it finishes
+     * @param {number} options.highWaterMark - Number of values to buffer
+     */
+    constructor(tree, options = {}) {
+        super({ objectMode: true, highWaterMark: options.highWaterMark });
+        this.tree = tree;
+        this.atomic = Boolean(options.atomic);
+        this._open = false;
+        this._written = 0;
+    }
+
+    _write(value, encoding, callback) {
+        try {
+            if (this.atomic && !this._open) {
+                this.tree.begin();
+                this._open = true;
+            }
+            this.tree.add(value);
+            this._written++;
+            callback();
+        } catch (error) {
+            callback(wrapError(error, `Failed to write value ${this._written}`));
+        }
+    }
+
+    _final(callback) {
+        try {
+            if (this._open) {
+                this._open = false;
+                this.tree.commit();
+            }
+            callback();
+        } catch (error) {
+            callback(error);
+        }
+    }
+
+    _destroy(error, callback) {
+        try {
+            if (this._open) {
+                this._open = false;
+                this.tree.rollback();
+            }
+        } catch (rollbackError) {
+            error = error || rollbackError;
+        }
+        callback(error);
+    }
+}
+
+module.exports = {
+    TreeReadStream,
+    TreeWriteStream
+};
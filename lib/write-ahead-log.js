@@ -0,0 +1,245 @@
+/**
+ * Append-only write-ahead log persisting a BTree to a local file
+ * The file is newline-delimited JSON. The first line is a checkpoint holding the whole tree and
+ * every following line is one committed change, in the order it was emitted:
+ *   ['checkpoint', tree]       tree is the output of toJSON()
+ *   ['+', key, value], ['-', key, value], ['~', key, value, oldValue]   as in lib/patch.js
+ *   ['clear']
+ *   ['options', options]       written before the next change after init() changed the options
+ * A checkpoint rewrites the file as a single checkpoint line through a temporary file and a
+ * rename, which compacts the log. A crash can only tear the last line, which is dropped on open.
+ */
+const fs = require('fs');
+const patches = require('./patch');
+const serialization = require('./serialization');
+const { wrapError } = require('./errors');
+
+const LOGGED_EVENTS = ['add', 'remove', 'replace', 'clear'];
+const CHANGE_TYPES = { add: 'added', remove: 'removed', replace: 'changed' };
+
+/**
+ * Turn a line of the log into a record for BTree#_replayRecord()
+ * @private
+ */
+function decodeRecord(record, line) {
+    switch (Array.isArray(record) ? record[0] : undefined) {
+        case 'clear':
+            return { type: 'clear' };
+        case 'options':
+            if (!record[1] || typeof record[1] !== 'object') {
+                throw new Error(`Log line ${line} must be ['options', options]`);
+            }
+            return { type: 'options', options: record[1] };
+        case '+':
+        case '-':
+        case '~':
+            return patches.decodeChange(record, line);
+        default:
+            throw new Error(`Log line ${line} is not a change record`);
+    }
+}
+
+class WriteAheadLog {
+    /**
+     * Read a log file, skipping a torn last line
+     * @param {string} path - Log file
+     * @returns {Object} { checkpoint, records, size }: the serialized tree (null when the file is
+     *     missing or empty), the changes logged after it and the byte length of the intact lines
+     */
+    static read(path) {
+        let buffer;
+        try {
+            buffer = fs.readFileSync(path);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { checkpoint: null, records: [], size: 0 };
+            }
+            throw error;
+        }
+
+        let checkpoint = null;
+        const records = [];
+        let size = 0;
+        for (let start = 0, line = 1; start < buffer.length; line++) {
+            const newline = buffer.indexOf(0x0a, start);
+            const end = newline === -1 ? buffer.length : newline + 1;
+            const last = end === buffer.length;
+            let record;
+            try {
+                // A line without its newline was cut short by a crash
+                if (newline === -1) {
+                    throw new Error('Line is incomplete');
+                }
+                record = JSON.parse(buffer.toString('utf8', start, newline));
+            } catch (error) {
+                if (last && line > 1) {
+                    break;
+                }
+                throw new Error(`Log line ${line} is corrupt`);
+            }
+
+            if (line === 1) {
+                if (!Array.isArray(record) || record[0] !== 'checkpoint') {
+                    throw new Error('Log must start with a checkpoint');
+                }
+                checkpoint = record[1];
+            } else {
+                records.push(decodeRecord(record, line));
+            }
+            size = end;
+            start = end;
+        }
+        return { checkpoint, records, size };
+    }
+
+    /**
+     * Append the changes of a tree to a log file
+     * Call checkpoint() or resume() before changes are made.
+     * @param {string} path - Log file
+     * @param {BTree} tree - Tree to persist
+     * @param {Object} options - Log options
+     * @param {boolean} options.fsync - Flush every record to disk before returning
+     * @param {number} options.checkpointInterval - Checkpoint once this many records were appended
+     */
+    constructor(path, tree, options = {}) {
+        this.path = path;
+        this.tree = tree;
+        this.fsync = Boolean(options.fsync);
+        this.checkpointInterval = options.checkpointInterval;
+        this._fd = null;
+        this._records = 0;
+        this._scheduled = null;
+        this._optionsJSON = null;
+    }
+
+    /**
+     * Continue an existing log, cutting off anything after its intact lines
+     * @param {number} size - Byte length of the intact lines, from read()
+     * @param {number} records - Number of records after the checkpoint
+     */
+    resume(size, records) {
+        fs.truncateSync(this.path, size);
+        this._open();
+        this._records = records;
+        this._optionsJSON = this._serializeOptions();
+    }
+
+    /**
+     * Log a committed change of the tree, called by the tree before its listeners
+     * Changes that do not alter the entries ('balance', 'rotate') are not logged.
+     * @param {string} type - Event name
+     * @param {Object} detail - Event payload
+     */
+    append(type, detail) {
+        if (!LOGGED_EVENTS.includes(type)) {
+            return;
+        }
+        const optionsJSON = this._serializeOptions();
+        if (optionsJSON !== this._optionsJSON) {
+            this._write(`["options",${optionsJSON}]`);
+            this._optionsJSON = optionsJSON;
+        }
+        const record = type === 'clear' ? ['clear'] : patches.encodeChange({ type: CHANGE_TYPES[type], ...detail });
+        this._write(JSON.stringify(record));
+        this._scheduleCheckpoint();
+    }
+
+    /**
+     * Replace the log with a checkpoint of the current tree
+     */
+    checkpoint() {
+        if (this.tree.inTransaction()) {
+            throw new Error('Cannot checkpoint during a transaction');
+        }
+
+        const temporary = `${this.path}.tmp`;
+        const fd = fs.openSync(temporary, 'w');
+        try {
+            fs.writeSync(fd, JSON.stringify(['checkpoint', this.tree.toJSON()]) + '\n');
+            if (this.fsync) {
+                fs.fsyncSync(fd);
+            }
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        // Windows cannot rename over an open file; the old log is reopened if the rename fails
+        this._closeFile();
+        try {
+            fs.renameSync(temporary, this.path);
+        } finally {
+            this._open();
+        }
+        this._records = 0;
+        this._optionsJSON = this._serializeOptions();
+    }
+
+    /**
+     * Stop logging, recording options changed since the last change
+     */
+    close() {
+        if (this._fd === null) {
+            return;
+        }
+        clearImmediate(this._scheduled);
+        this._scheduled = null;
+        const optionsJSON = this._serializeOptions();
+        if (optionsJSON !== this._optionsJSON) {
+            this._write(`["options",${optionsJSON}]`);
+        }
+        this._closeFile();
+    }
+
+    // Private helper methods
+
+    _open() {
+        this._fd = fs.openSync(this.path, 'a');
+    }
+
+    _closeFile() {
+        if (this._fd !== null) {
+            fs.closeSync(this._fd);
+            this._fd = null;
+        }
+    }
+
+    _write(line) {
+        fs.writeSync(this._fd, line + '\n');
+        if (this.fsync) {
+            fs.fsyncSync(this._fd);
+        }
+        this._records++;
+    }
+
+    _serializeOptions() {
+        return JSON.stringify(serialization.serializableOptions(this.tree.options));
+    }
+
+    /**
+     * Checkpoint once the interval is reached
+     * The changes of an operation are appended one by one, so the checkpoint waits for all of
+     * them to be written, and for any open transaction. A failed checkpoint leaves the log
+     * intact and is retried.
+     * @private
+     */
+    _scheduleCheckpoint() {
+        if (this._scheduled || !this.checkpointInterval || this._records < this.checkpointInterval) {
+            return;
+        }
+        this._scheduled = setImmediate(() => {
+            this._scheduled = null;
+            if (this._fd === null || this.tree.inTransaction()) {
+                return;
+            }
+            try {
+                this.checkpoint();
+            } catch (error) {
+                if (this.tree.listenerCount('error') > 0) {
+                    this.tree.emit('error', wrapError(error, 'Failed to checkpoint tree log'));
+                }
+            }
+        });
+    }
+}
+
+module.exports = WriteAheadLog;
@@ -0,0 +1,135 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree } = require('../lib/btree');
+const binary = require('../lib/binary');
+
+describe('Binary Serialization', function() {
+    function roundTrip(tree, options) {
+        return BTree.fromBuffer(tree.toBuffer(options), options);
+    }
+
+    describe('toBuffer and fromBuffer', function() {
+        it('should round trip numeric keys compactly', function() {
+            const tree = BTree.fromSorted([-(2 ** 52), -5, -0, 0, 1.5, 7, 2 ** 31, 2 ** 52, 2 ** 53 + 2, Number.MAX_VALUE, Infinity]);
+            const buffer = tree.toBuffer();
+            const restored = BTree.fromBuffer(buffer);
+
+            expect(restored.items()).to.deep.equal(tree.items());
+            expect(Object.is(restored.items()[2], -0)).to.be.true;
+            expect(restored.isAVLBalanced()).to.be.true;
+
+            const integers = BTree.fromSorted(Array.from({ length: 1000 }, (_, i) => i));
+            const json = Buffer.byteLength(JSON.stringify(integers));
+            // A tag byte, a two byte varint key and the value-is-key marker per entry
+            expect(integers.toBuffer().length).to.be.below(1000 * 4 + 100);
+            expect(integers.toBuffer().length).to.be.below(json * 0.75);
+        });
+
+        it('should round trip string, date, boolean, bigint and object keys', function() {
+            const tree = new BTree({ key: 'k', compare: (a, b) => String(a).localeCompare(String(b)) });
+            const values = [
+                { k: 'héllo ✓', n: 1 },
+                { k: new Date('2024-03-01T12:00:00Z'), n: 2 },
+                { k: true, n: 3 },
+                { k: false, n: 4 },
+                { k: 12345678901234567890n, n: 5 },
+                { k: { nested: [1, 'x'] }, n: 6 }
+            ];
+            values.forEach(value => tree.add(value));
+
+            const restored = roundTrip(tree, { compare: tree.options.compare, codec: {
+                encode: value => Buffer.from(String(value.n)),
+                decode: bytes => ({ n: Number(bytes.toString()) })
+            } });
+            const keys = [...restored.keys()];
+            expect(keys).to.deep.equal([...tree.keys()]);
+            expect(keys.find(key => key instanceof Date).getTime()).to.equal(Date.parse('2024-03-01T12:00:00Z'));
+            expect(keys).to.include(12345678901234567890n);
+            expect(restored.items().map(item => item.n)).to.deep.equal(tree.items().map(item => item.n));
+        });
+
+        it('should round trip compound keys, options and buckets', function() {
+            const tree = new BTree({ key: ['last', { path: 'born', direction: 'desc' }], duplicates: 'bucket' });
+            tree.add({ last: 'Smith', born: new Date('1990-01-01'), first: 'Al' });
+            tree.add({ last: 'Smith', born: new Date('1990-01-01'), first: 'Bo' });
+            tree.add({ last: 'Jones', born: new Date('1980-01-01'), first: 'Cy' });
+
+            const restored = BTree.fromBuffer(tree.toBuffer());
+            expect(restored.options.key).to.deep.equal(tree.options.key);
+            expect(restored.options.duplicates).to.equal('bucket');
+            expect(restored.items()).to.deep.equal(JSON.parse(JSON.stringify(tree.items())));
+            expect(restored.size()).to.equal(3);
+            expect(restored.count(['Smith', new Date('1990-01-01')])).to.equal(2);
+        });
+
+        it('should round trip empty trees and build ImmutableBTree instances', function() {
+            expect(roundTrip(new BTree()).isEmpty()).to.be.true;
+            const immutable = ImmutableBTree.fromBuffer(ImmutableBTree.fromSorted(['a', 'b']).toBuffer());
+            expect(immutable).to.be.instanceOf(ImmutableBTree);
+            expect(immutable.items()).to.deep.equal(['a', 'b']);
+        });
+
+        it('should evict values over maxSize', function() {
+            const tree = new BTree({ maxSize: 4 });
+            tree.init([1, 2, 3, 4]);
+            expect(BTree.fromBuffer(tree.toBuffer()).items()).to.deep.equal([1, 2, 3, 4]);
+            expect(BTree.fromBuffer(tree.toBuffer(), { maxSize: 2 }).items()).to.deep.equal([3, 4]);
+        });
+
+        it('should accept a Uint8Array view', function() {
+            const buffer = BTree.fromSorted([1, 2, 3]).toBuffer();
+            const padded = new Uint8Array(buffer.length + 8);
+            padded.set(buffer, 4);
+            expect(BTree.fromBuffer(padded.subarray(4, 4 + buffer.length)).items()).to.deep.equal([1, 2, 3]);
+        });
+    });
+
+    describe('corruption and errors', function() {
+        let buffer;
+
+        beforeEach(function() {
+            buffer = BTree.fromSorted([{ id: 1, name: 'one' }, { id: 2, name: 'two' }]).toBuffer();
+        });
+
+        it('should detect corrupt entries and headers with checksums', function() {
+            const entries = Buffer.from(buffer);
+            entries[entries.length - 10] ^= 0xFF;
+            expect(() => BTree.fromBuffer(entries))
+                .to.throw('Failed to deserialize tree from a buffer: Entries checksum mismatch, the data is corrupt');
+
+            const header = Buffer.from(buffer);
+            header[12] ^= 0x01;
+            expect(() => BTree.fromBuffer(header)).to.throw('Header checksum mismatch, the data is corrupt');
+        });
+
+        it('should reject truncated buffers, foreign data and unknown versions', function() {
+            expect(() => BTree.fromBuffer(buffer.slice(0, buffer.length - 3))).to.throw('checksum mismatch');
+            expect(() => BTree.fromBuffer(buffer.slice(0, 6))).to.throw('Buffer is truncated');
+            expect(() => BTree.fromBuffer(Buffer.from('{"version":1}'))).to.throw('Data is not a binary BTree');
+            expect(() => BTree.fromBuffer('BTRB')).to.throw('Data must be a Buffer or Uint8Array');
+
+            const future = Buffer.from(buffer);
+            future[4] = 2;
+            expect(() => BTree.fromBuffer(future)).to.throw('Unsupported binary format version: 2');
+        });
+
+        it('should validate the codec', function() {
+            const tree = BTree.fromSorted([{ id: 1 }]);
+            expect(() => tree.toBuffer({ codec: {} })).to.throw('Codec option must have encode and decode functions');
+            expect(() => tree.toBuffer({ codec: { encode: () => 'text', decode: () => null } }))
+                .to.throw('Failed to serialize tree to a buffer: Codec encode must return a Buffer or Uint8Array');
+        });
+
+        it('should reject keys that cannot be encoded', function() {
+            const tree = new BTree({ key: value => value.key, compare: () => 0 });
+            tree.add({ key: Symbol('s') });
+            expect(() => tree.toBuffer()).to.throw('Unsupported key type: symbol');
+        });
+    });
+
+    describe('crc32', function() {
+        it('should match the standard check value', function() {
+            expect(binary.crc32(Buffer.from('123456789'))).to.equal(0xCBF43926);
+            expect(binary.crc32(Buffer.alloc(0))).to.equal(0);
+        });
+    });
+});
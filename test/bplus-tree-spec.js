@@ -0,0 +1,241 @@
+const expect = require('chai').expect;
+const { BTree, BPlusTree, DuplicateKeyError, InvalidOptionsError } = require('../lib/btree');
+
+// Verify fill limits, separator order, leaf depth and leaf links
+function checkStructure(tree) {
+    const max = tree.options.order - 1;
+    const min = Math.ceil(tree.options.order / 2) - 1;
+    const leaves = [];
+    const depths = new Set();
+
+    (function walk(node, depth, low, high) {
+        if (node !== tree.root) {
+            expect(node.keys.length).to.be.within(min, max);
+        }
+        node.keys.forEach(key => {
+            if (low !== undefined) {
+                expect(key).to.be.at.least(low);
+            }
+            if (high !== undefined) {
+                expect(key).to.be.at.most(high);
+            }
+        });
+        if (node.leaf) {
+            depths.add(depth);
+            leaves.push(node);
+            return;
+        }
+        expect(node.children).to.have.length(node.keys.length + 1);
+        node.children.forEach((child, i) => {
+            walk(child, depth + 1, i === 0 ? low : node.keys[i - 1], i === node.keys.length ? high : node.keys[i]);
+        });
+    })(tree.root, 0);
+
+    expect(depths.size).to.equal(1);
+    leaves.forEach((leaf, i) => {
+        expect(leaf.prev).to.equal(leaves[i - 1] || null);
+        expect(leaf.next).to.equal(leaves[i + 1] || null);
+    });
+}
+
+describe('BPlusTree', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BPlusTree({ order: 4 });
+    });
+
+    describe('Constructor', function() {
+        it('should default to order 64', function() {
+            expect(new BPlusTree().options.order).to.equal(64);
+            expect(new BPlusTree().isEmpty()).to.be.true;
+        });
+
+        it('should throw error for invalid options', function() {
+            expect(() => new BPlusTree({ order: 2 })).to.throw('Order option must be an integer of at least 3');
+            expect(() => new BPlusTree({ order: 4.5 })).to.throw('Order option must be an integer of at least 3');
+            expect(() => new BPlusTree({ compare: 'desc' })).to.throw('Compare option must be a function');
+            expect(() => new BPlusTree({ duplicates: 'first' }))
+                .to.throw('Duplicates option must be one of: allow, reject, replace');
+        });
+
+        it('should reject bucket mode with its own error', function() {
+            expect(() => new BPlusTree({ duplicates: 'bucket' }))
+                .to.throw(InvalidOptionsError, "Duplicates option 'bucket' is not supported by BPlusTree, use 'allow'");
+            tree.init([1, 2]);
+            expect(() => tree.init([3], { duplicates: 'bucket' })).to.throw(InvalidOptionsError, "'bucket' is not supported");
+            expect(tree.options.duplicates).to.equal('allow');
+            expect(tree.items()).to.deep.equal([1, 2]);
+        });
+
+        it('should not change order once the tree has values', function() {
+            tree.init([1, 2, 3]);
+            expect(() => tree.init([], { order: 8 })).to.throw('Order option cannot be changed once the tree has values');
+        });
+    });
+
+    describe('Shared API', function() {
+        const items = [
+            { id: 5, name: 'five' },
+            { id: 1, name: 'one' },
+            { id: 3, name: 'three' },
+            { id: 4, name: 'four' },
+            { id: 2, name: 'two' }
+        ];
+
+        it('should behave like BTree for the core methods', function() {
+            const avl = new BTree();
+            avl.init(items);
+            tree.init(items);
+
+            expect(tree.items()).to.deep.equal(avl.items());
+            expect(tree.find(3)).to.deep.equal(avl.find(3));
+            expect(tree.find(9)).to.deep.equal(avl.find(9));
+            expect(tree.findAll(2)).to.deep.equal(avl.findAll(2));
+            expect(tree.find({ name: 'four' })).to.deep.equal(avl.find({ name: 'four' }));
+            expect(tree.minimum()).to.deep.equal(avl.minimum());
+            expect(tree.maximum()).to.deep.equal(avl.maximum());
+            expect(tree.size()).to.equal(avl.size());
+        });
+
+        it('should add primitives, explicit keys and arrays of objects', function() {
+            tree.add('b');
+            tree.add({ label: 'x' }, 'a');
+            tree.add([{ id: 'c' }, { id: 'd' }]);
+            expect([...tree.keys()]).to.deep.equal(['a', 'b', 'c', 'd']);
+        });
+
+        it('should call forEach in key order', function() {
+            tree.init([3, 1, 2]);
+            const visited = [];
+            tree.forEach(value => visited.push(value));
+            expect(visited).to.deep.equal([1, 2, 3]);
+        });
+
+        it('should support custom comparators', function() {
+            const desc = new BPlusTree({ order: 3, compare: (a, b) => b - a });
+            desc.init([1, 5, 3, 2, 4]);
+            expect(desc.items()).to.deep.equal([5, 4, 3, 2, 1]);
+        });
+
+        it('should throw the same errors as BTree', function() {
+            expect(() => tree.add(null)).to.throw('Value cannot be undefined or null');
+            expect(() => tree.add({ name: 'x' })).to.throw("Object must have property 'id'");
+            expect(() => tree.remove(1)).to.throw('Cannot remove from empty tree');
+            expect(() => tree.minimum()).to.throw('Cannot find minimum in empty tree');
+            expect(() => tree.maximum()).to.throw('Cannot find maximum in empty tree');
+            expect(() => tree.forEach('x')).to.throw('Callback must be a function');
+            tree.add(1);
+            expect(() => tree.remove(2)).to.throw("Key '2' not found in tree");
+        });
+    });
+
+    describe('Structure', function() {
+        it('should split and stay valid while adding', function() {
+            for (let i = 0; i < 200; i++) {
+                tree.add((i * 37) % 200);
+                checkStructure(tree);
+            }
+            expect(tree.items()).to.deep.equal(Array.from({ length: 200 }, (_, i) => i));
+            expect(tree.getHeight()).to.be.within(4, 8);
+        });
+
+        it('should borrow and merge while removing', function() {
+            tree.init(Array.from({ length: 200 }, (_, i) => i));
+            for (let i = 0; i < 200; i++) {
+                tree.remove((i * 53) % 200);
+                checkStructure(tree);
+            }
+            expect(tree.isEmpty()).to.be.true;
+            expect(tree.getHeight()).to.equal(0);
+        });
+
+        it('should keep few levels with a large order', function() {
+            const wide = new BPlusTree({ order: 64 });
+            for (let i = 0; i < 10000; i++) {
+                wide.add(i);
+            }
+            expect(wide.getHeight()).to.be.at.most(3);
+            checkStructure(wide);
+        });
+    });
+
+    describe('Duplicates', function() {
+        it('should keep duplicates in insertion order across leaves', function() {
+            for (let i = 0; i < 20; i++) {
+                tree.add({ id: i % 2, seq: i });
+            }
+            checkStructure(tree);
+            expect(tree.findAll(1).map(item => item.seq)).to.deep.equal([1, 3, 5, 7, 9, 11, 13, 15, 17, 19]);
+            expect(tree.count(0)).to.equal(10);
+
+            tree.remove(0);
+            expect(tree.find(0).seq).to.equal(2);
+            expect(tree.removeAll(1)).to.equal(10);
+            checkStructure(tree);
+            expect(tree.size()).to.equal(9);
+        });
+
+        it('should reject or replace duplicates', function() {
+            const unique = new BPlusTree({ order: 3, duplicates: 'reject' });
+            unique.init([1, 2, 3]);
+            expect(() => unique.add(2)).to.throw(DuplicateKeyError);
+
+            const upserts = new BPlusTree({ order: 3, duplicates: 'replace' });
+            upserts.init([{ id: 1, v: 'a' }, { id: 1, v: 'b' }]);
+            expect(upserts.findAll(1)).to.deep.equal([{ id: 1, v: 'b' }]);
+        });
+    });
+
+    describe('Range scans', function() {
+        beforeEach(function() {
+            tree.init(Array.from({ length: 50 }, (_, i) => i * 2));
+        });
+
+        it('should scan ranges through the linked leaves', function() {
+            expect(tree.range({ gte: 10, lt: 20 })).to.deep.equal([10, 12, 14, 16, 18]);
+            expect(tree.range({ gt: 11, lte: 17 })).to.deep.equal([12, 14, 16]);
+            expect(tree.range({ gte: 90, limit: 3 })).to.deep.equal([90, 92, 94]);
+            expect(tree.range({ gte: 200 })).to.deep.equal([]);
+        });
+
+        it('should scan ranges in reverse', function() {
+            expect(tree.range({ gte: 10, lt: 20, reverse: true })).to.deep.equal([18, 16, 14, 12, 10]);
+            expect(tree.range({ lt: 5, reverse: true })).to.deep.equal([4, 2, 0]);
+            expect([...tree.keys({ reverse: true })].slice(0, 2)).to.deep.equal([98, 96]);
+        });
+
+        it('should iterate lazily', function() {
+            expect([...tree].length).to.equal(50);
+            const iterator = tree.entries({ gt: 40 });
+            expect(iterator.next().value).to.deep.equal([42, 42]);
+        });
+
+        it('should throw error for invalid ranges', function() {
+            expect(() => tree.range({ gt: 1, gte: 1 })).to.throw('Range cannot have both gt and gte bounds');
+            expect(() => tree.range({ limit: -1 })).to.throw('Range limit must be a non-negative integer');
+        });
+    });
+
+    describe('Events', function() {
+        it('should emit add, remove, replace and clear', function() {
+            const events = [];
+            const upserts = new BPlusTree({ duplicates: 'replace' });
+            ['add', 'remove', 'replace', 'clear'].forEach(type => upserts.on(type, detail => events.push([type, detail])));
+
+            upserts.add('a');
+            upserts.add('a');
+            upserts.remove('a');
+            upserts.add('b');
+            upserts.clear();
+
+            expect(events).to.deep.equal([
+                ['add', { key: 'a', value: 'a' }],
+                ['replace', { key: 'a', value: 'a', oldValue: 'a' }],
+                ['remove', { key: 'a', value: 'a' }],
+                ['add', { key: 'b', value: 'b' }],
+                ['clear', { size: 1 }]
+            ]);
+        });
+    });
+});
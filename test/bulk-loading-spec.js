@@ -0,0 +1,121 @@
+const expect = require('chai').expect;
+const { BTree, DuplicateKeyError } = require('../lib/btree');
+
+// Verify heights, sizes and parent pointers of a subtree
+function checkNodes(node, parent) {
+    if (!node) {
+        return 0;
+    }
+    expect(node.parent).to.equal(parent);
+    const height = 1 + Math.max(checkNodes(node.left, node), checkNodes(node.right, node));
+    expect(node.height).to.equal(height);
+    return height;
+}
+
+describe('Bulk Loading', function() {
+    describe('BTree.fromSorted()', function() {
+        it('should build a tree from sorted values', function() {
+            const tree = BTree.fromSorted([1, 2, 3, 4, 5, 6, 7]);
+
+            expect(tree).to.be.instanceOf(BTree);
+            expect(tree.items()).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+            expect(tree.root.key).to.equal(4);
+            expect(tree.getHeight()).to.equal(3);
+        });
+
+        it('should build a perfectly height-balanced tree', function() {
+            const values = [];
+            for (let i = 0; i < 1000; i++) {
+                values.push(i);
+            }
+            const tree = BTree.fromSorted(values);
+
+            expect(tree.size()).to.equal(1000);
+            expect(tree.getHeight()).to.equal(10);
+            expect(tree.isAVLBalanced()).to.be.true;
+            checkNodes(tree.root, null);
+        });
+
+        it('should build from sorted objects using the key option', function() {
+            const tree = BTree.fromSorted([
+                { sku: 'A1', name: 'apple' },
+                { sku: 'B2', name: 'banana' }
+            ], { key: 'sku' });
+
+            expect(tree.find('B2').name).to.equal('banana');
+            expect(tree.options).to.not.have.property('presorted');
+        });
+
+        it('should support further insertions and removals', function() {
+            const tree = BTree.fromSorted([10, 20, 30, 40, 50]);
+            tree.add(25);
+            tree.remove(40);
+
+            expect(tree.items()).to.deep.equal([10, 20, 25, 30, 50]);
+            expect(tree.isAVLBalanced()).to.be.true;
+            checkNodes(tree.root, null);
+        });
+
+        it('should apply the duplicates option', function() {
+            expect(BTree.fromSorted([1, 1, 2]).size()).to.equal(3);
+            expect(BTree.fromSorted([1, 1, 2], { duplicates: 'bucket' }).count(1)).to.equal(2);
+            expect(() => BTree.fromSorted([1, 1, 2], { duplicates: 'reject' })).to.throw(DuplicateKeyError);
+        });
+
+        it('should throw error for unsorted values', function() {
+            expect(() => BTree.fromSorted([1, 3, 2]))
+                .to.throw('Failed to add item at index 2: Values must be sorted by key (index 2 is out of order)');
+        });
+
+        it('should throw error for invalid values', function() {
+            expect(() => BTree.fromSorted([1, null])).to.throw('Value cannot be undefined or null');
+            expect(() => BTree.fromSorted([{ name: 'apple' }])).to.throw("Object must have property 'id'");
+        });
+    });
+
+    describe('init() with presorted values', function() {
+        it('should build the tree directly', function() {
+            const tree = new BTree();
+            tree.init(['apple', 'banana', 'cherry'], { presorted: true });
+
+            expect(tree.items()).to.deep.equal(['apple', 'banana', 'cherry']);
+            expect(tree.isAVLBalanced()).to.be.true;
+        });
+
+        it('should merge with existing values', function() {
+            const tree = new BTree();
+            tree.init([2, 4, 6]);
+            tree.init([1, 3, 5, 7], { presorted: true });
+
+            expect(tree.items()).to.deep.equal([1, 2, 3, 4, 5, 6, 7]);
+            expect(tree.isAVLBalanced()).to.be.true;
+            checkNodes(tree.root, null);
+        });
+    });
+
+    describe('balance()', function() {
+        it('should rebuild a perfectly balanced tree in place', function() {
+            const tree = new BTree();
+            for (let i = 1; i <= 100; i++) {
+                tree.add(i);
+            }
+            const minNode = tree.getMinimumNode();
+            tree.balance();
+
+            expect(tree.items()).to.have.length(100);
+            expect(tree.getHeight()).to.equal(7);
+            expect(tree.getMinimumNode()).to.equal(minNode);
+            checkNodes(tree.root, null);
+        });
+
+        it('should keep explicit keys', function() {
+            const tree = new BTree();
+            tree.add('first', 'b');
+            tree.add('second', 'a');
+            tree.balance();
+
+            expect(tree.find('a')).to.equal('second');
+            expect(tree.find('b')).to.equal('first');
+        });
+    });
+});
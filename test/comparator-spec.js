@@ -0,0 +1,123 @@
+const expect = require('chai').expect;
+const { BTree, createTree, comparators } = require('../lib/btree');
+
+describe('Custom Comparators', function() {
+    describe('compare option', function() {
+        it('should default to natural ordering', function() {
+            const tree = new BTree();
+            expect(tree.options.compare).to.equal(comparators.natural);
+        });
+
+        it('should order keys using a custom comparator', function() {
+            const tree = new BTree({ compare: (a, b) => b - a });
+            tree.init([3, 1, 4, 1, 5, 9, 2, 6]);
+
+            expect(tree.items()).to.deep.equal([9, 6, 5, 4, 3, 2, 1, 1]);
+            expect(tree.minimum()).to.equal(9);
+            expect(tree.maximum()).to.equal(1);
+            expect(tree.isAVLBalanced()).to.be.true;
+        });
+
+        it('should accept the comparator through init() options', function() {
+            const tree = new BTree();
+            tree.init(['b', 'a', 'c'], { compare: (a, b) => comparators.natural(b, a) });
+            expect(tree.items()).to.deep.equal(['c', 'b', 'a']);
+        });
+
+        it('should accept the comparator through the factory function', function() {
+            const tree = createTree(['b', 'a', 'c'], { compare: (a, b) => comparators.natural(b, a) });
+            expect(tree.items()).to.deep.equal(['c', 'b', 'a']);
+        });
+
+        it('should use the comparator to find keys', function() {
+            const tree = new BTree({ compare: comparators.localeString('en', { sensitivity: 'base' }) });
+            tree.init(['Apple', 'banana', 'Cherry']);
+
+            expect(tree.find('apple')).to.equal('Apple');
+            expect(tree.find('CHERRY')).to.equal('Cherry');
+            expect(tree.find('grape')).to.deep.equal([]);
+        });
+
+        it('should use the comparator to remove keys', function() {
+            const tree = new BTree({ compare: comparators.localeString('en', { sensitivity: 'base' }) });
+            tree.init(['Apple', 'banana', 'Cherry']);
+
+            tree.remove('BANANA');
+            expect(tree.items()).to.deep.equal(['Apple', 'Cherry']);
+            expect(() => tree.remove('grape')).to.throw("Key 'grape' not found in tree");
+        });
+
+        it('should keep the tree balanced with a custom comparator', function() {
+            const tree = new BTree({ compare: (a, b) => b - a });
+            for (let i = 1; i <= 1000; i++) {
+                tree.add(i);
+            }
+            for (let i = 1; i <= 1000; i += 3) {
+                tree.remove(i);
+            }
+
+            expect(tree.isAVLBalanced()).to.be.true;
+            expect(tree.isBalanced()).to.be.true;
+            expect(tree.getHeight()).to.be.at.most(10);
+        });
+
+        it('should order object keys with a custom comparator', function() {
+            const semver = (a, b) => {
+                const pa = a.split('.').map(Number);
+                const pb = b.split('.').map(Number);
+                for (let i = 0; i < 3; i++) {
+                    if (pa[i] !== pb[i]) {
+                        return pa[i] - pb[i];
+                    }
+                }
+                return 0;
+            };
+            const tree = new BTree({ key: 'version', compare: semver });
+            tree.init([
+                { version: '1.10.0' },
+                { version: '1.2.0' },
+                { version: '1.9.3' }
+            ]);
+
+            expect(tree.items().map(item => item.version)).to.deep.equal(['1.2.0', '1.9.3', '1.10.0']);
+            expect(tree.find('1.9.3')).to.deep.equal({ version: '1.9.3' });
+        });
+
+        it('should throw error for non-function comparators', function() {
+            expect(() => new BTree({ compare: 'desc' })).to.throw('Compare option must be a function');
+            expect(() => new BTree().init([], { compare: 42 })).to.throw('Compare option must be a function');
+        });
+    });
+
+    describe('Built-in comparators', function() {
+        it('should compare numbers numerically', function() {
+            expect(comparators.numeric(2, 10)).to.be.below(0);
+            expect(comparators.numeric(10, 2)).to.be.above(0);
+            expect(comparators.numeric(5, 5)).to.equal(0);
+        });
+
+        it('should compare dates by timestamp', function() {
+            const tree = new BTree({ compare: comparators.date });
+            const dates = [new Date(2020, 5, 1), new Date(2019, 0, 1), new Date(2021, 11, 31)];
+            tree.init(dates);
+
+            expect(tree.minimum()).to.equal(dates[1]);
+            expect(tree.maximum()).to.equal(dates[2]);
+            expect(tree.find(new Date(2020, 5, 1))).to.equal(dates[0]);
+        });
+
+        it('should compare strings using the given locale', function() {
+            const compare = comparators.localeString('de');
+            const tree = new BTree({ compare });
+            tree.init(['Zebra', 'Äpfel', 'apple', 'zucchini']);
+
+            expect(tree.items()).to.deep.equal(['Äpfel', 'apple', 'Zebra', 'zucchini']);
+        });
+
+        it('should compare mixed values with the natural comparator', function() {
+            expect(comparators.natural('a', 'b')).to.equal(-1);
+            expect(comparators.natural('b', 'a')).to.equal(1);
+            expect(comparators.natural(new Date(0), new Date(0))).to.equal(0);
+        });
+    });
+});
@@ -0,0 +1,189 @@
+const expect = require('chai').expect;
+const { BTree, BPlusTree, InvalidKeyError, comparators } = require('../lib/btree');
+
+const people = [
+    { lastName: 'Smith', firstName: 'John', dob: '1980-01-01' },
+    { lastName: 'Jones', firstName: 'Amy', dob: '1975-05-20' },
+    { lastName: 'Smith', firstName: 'Anna', dob: '1990-03-15' },
+    { lastName: 'Brown', firstName: 'Zoe', dob: '1985-11-30' },
+    { lastName: 'Smith', firstName: 'Anna', dob: '1970-07-04' }
+];
+
+// Format people as "Last First dob" for compact assertions
+function names(values) {
+    return values.map(person => `${person.lastName} ${person.firstName} ${person.dob}`);
+}
+
+describe('Compound Keys', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree({ key: ['lastName', 'firstName', 'dob'] });
+        tree.init(people);
+    });
+
+    describe('Ordering', function() {
+        it('should order by each field in turn', function() {
+            expect(names(tree.items())).to.deep.equal([
+                'Brown Zoe 1985-11-30',
+                'Jones Amy 1975-05-20',
+                'Smith Anna 1970-07-04',
+                'Smith Anna 1990-03-15',
+                'Smith John 1980-01-01'
+            ]);
+        });
+
+        it('should store keys as tuples', function() {
+            expect([...tree.keys()][0]).to.deep.equal(['Brown', 'Zoe', '1985-11-30']);
+        });
+
+        it('should support a descending direction per field', function() {
+            const newestFirst = new BTree({
+                key: ['lastName', 'firstName', { path: 'dob', direction: 'desc' }]
+            });
+            newestFirst.init(people);
+
+            expect(names(newestFirst.findAll(['Smith', 'Anna']))).to.deep.equal([
+                'Smith Anna 1990-03-15',
+                'Smith Anna 1970-07-04'
+            ]);
+        });
+
+        it('should apply the compare option to every field', function() {
+            const caseless = new BTree({
+                key: ['lastName', 'firstName'],
+                compare: comparators.localeString('en', { sensitivity: 'base' })
+            });
+            caseless.init([{ lastName: 'smith', firstName: 'b' }, { lastName: 'Smith', firstName: 'a' }]);
+
+            expect(caseless.items().map(person => person.firstName)).to.deep.equal(['a', 'b']);
+        });
+
+        it('should stay AVL balanced', function() {
+            for (let i = 0; i < 500; i++) {
+                tree.add({ lastName: `L${i % 7}`, firstName: `F${i % 13}`, dob: String(i) });
+            }
+            expect(tree.isAVLBalanced()).to.be.true;
+            expect(tree.size()).to.equal(505);
+        });
+    });
+
+    describe('Queries', function() {
+        it('should find by a full tuple', function() {
+            expect(tree.find(['Smith', 'Anna', '1990-03-15']).dob).to.equal('1990-03-15');
+            expect(tree.find(['Smith', 'Anna', '2000-01-01'])).to.deep.equal([]);
+        });
+
+        it('should find by a partial prefix', function() {
+            expect(names(tree.findAll(['Smith']))).to.have.length(3);
+            expect(names(tree.findAll(['Smith', 'Anna']))).to.deep.equal([
+                'Smith Anna 1970-07-04',
+                'Smith Anna 1990-03-15'
+            ]);
+            expect(tree.find(['Jones']).firstName).to.equal('Amy');
+        });
+
+        it('should treat a single value as a one-field prefix', function() {
+            expect(tree.findAll('Smith')).to.have.length(3);
+            expect(tree.count('Smith')).to.equal(3);
+        });
+
+        it('should query ranges by tuples and prefixes', function() {
+            expect(names(tree.range({ gte: ['Jones'], lte: ['Smith', 'Anna'] }))).to.deep.equal([
+                'Jones Amy 1975-05-20',
+                'Smith Anna 1970-07-04',
+                'Smith Anna 1990-03-15'
+            ]);
+            expect(names(tree.range({ gt: ['Smith', 'Anna'] }))).to.deep.equal(['Smith John 1980-01-01']);
+            expect(names(tree.range({ lt: ['Smith'] }))).to.have.length(2);
+        });
+
+        it('should support navigation and order statistics with prefixes', function() {
+            expect(tree.rank(['Smith'])).to.equal(2);
+            expect(tree.ceiling(['Kelly']).lastName).to.equal('Smith');
+            expect(tree.floor(['Kelly']).lastName).to.equal('Jones');
+        });
+
+        it('should remove by a full tuple', function() {
+            tree.remove(['Smith', 'Anna', '1970-07-04']);
+            expect(tree.count(['Smith', 'Anna'])).to.equal(1);
+        });
+
+        it('should accept explicit tuple keys', function() {
+            tree.add({ note: 'manual' }, ['Adams', 'Ann', '2001-01-01']);
+            expect(tree.minimum().note).to.equal('manual');
+            expect(() => tree.add({ note: 'x' }, 'Adams')).to.throw('Key must be an array for compound keys');
+        });
+
+        it('should reject explicit tuple keys with missing fields', function() {
+            // A stored prefix would match every key query starting with it
+            expect(() => tree.add({ note: 'x' }, ['Smith'])).to.throw(InvalidKeyError, 'Compound key must have 3 fields, got 1');
+            expect(() => tree.set(['Smith', 'Anna'], { note: 'x' })).to.throw(InvalidKeyError, 'Compound key must have 3 fields, got 2');
+            expect(() => tree.add({ note: 'x' }, ['Smith', 'Anna', '1970-07-04', 'extra'])).to.throw('got 4');
+            expect(tree.size()).to.equal(5);
+            expect(tree.count(['Smith'])).to.equal(3);
+
+            const bplus = new BPlusTree({ key: ['lastName', 'firstName'] });
+            expect(() => bplus.add({ note: 'x' }, ['Smith'])).to.throw(InvalidKeyError, 'Compound key must have 2 fields, got 1');
+        });
+    });
+
+    describe('Extractor functions', function() {
+        it('should use the function to compute keys', function() {
+            const byLength = new BTree({ key: word => word.length, compare: comparators.numeric });
+            byLength.init(['ccc', 'a', 'bb']);
+
+            expect(byLength.items()).to.deep.equal(['a', 'bb', 'ccc']);
+            expect(byLength.find(2)).to.equal('bb');
+        });
+
+        it('should order tuples returned by the function with comparators.tuple', function() {
+            const byName = new BTree({
+                key: person => [person.lastName.toLowerCase(), person.firstName.toLowerCase()],
+                compare: comparators.tuple(comparators.natural, ['asc', 'desc'])
+            });
+            byName.init(people);
+
+            expect(byName.findAll(['smith']).map(person => person.firstName)).to.deep.equal(['John', 'Anna', 'Anna']);
+        });
+    });
+
+    describe('Validation', function() {
+        it('should throw error for invalid key options', function() {
+            expect(() => new BTree({ key: 42 })).to.throw('Key option must be a string, function or array of fields');
+            expect(() => new BTree({ key: [] })).to.throw('Compound key must have at least one field');
+            expect(() => new BTree({ key: [{ name: 'x' }] }))
+                .to.throw('Key fields must be property paths or { path, direction } objects');
+            expect(() => new BTree({ key: [{ path: 'x', direction: 'up' }] }))
+                .to.throw('Key field direction must be one of: asc, desc');
+        });
+
+        it('should throw error for missing fields', function() {
+            expect(() => tree.add({ lastName: 'Smith', firstName: 'Al' })).to.throw("Object must have property 'dob'");
+            expect(() => tree.add([{ lastName: 'Smith' }])).to.throw("Array item at index 0: Object must have property 'firstName'");
+        });
+
+        it('should throw error when the extractor returns nothing', function() {
+            const byMissing = new BTree({ key: value => value.missing });
+            expect(() => byMissing.add({ id: 1 })).to.throw('Key function cannot return undefined or null');
+        });
+    });
+
+    describe('BPlusTree', function() {
+        it('should support compound keys and prefixes', function() {
+            const bplus = new BPlusTree({ order: 3, key: ['lastName', { path: 'firstName', direction: 'desc' }] });
+            bplus.init(people);
+
+            expect(bplus.findAll(['Smith']).map(person => person.firstName)).to.deep.equal(['John', 'Anna', 'Anna']);
+            expect(bplus.range({ lt: ['Smith'] }).map(person => person.lastName)).to.deep.equal(['Brown', 'Jones']);
+        });
+    });
+
+    describe('Serialization', function() {
+        it('should round trip compound keys', function() {
+            const restored = BTree.fromJSON(JSON.stringify(tree));
+            expect(restored.options.key).to.deep.equal(['lastName', 'firstName', 'dob']);
+            expect(restored.findAll(['Smith', 'Anna'])).to.have.length(2);
+        });
+    });
+});
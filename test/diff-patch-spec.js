@@ -0,0 +1,190 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree, KeyNotFoundError } = require('../lib/btree');
+
+describe('Diff and Patch', function() {
+    let before;
+    let after;
+
+    beforeEach(function() {
+        before = new BTree({ key: 'sku' });
+        before.init([
+            { sku: 'A', qty: 1 },
+            { sku: 'B', qty: 2 },
+            { sku: 'C', qty: 3, tags: ['x'] }
+        ]);
+        after = new BTree({ key: 'sku' });
+        after.init([
+            { sku: 'B', qty: 2 },
+            { sku: 'C', qty: 4, tags: ['x'] },
+            { sku: 'D', qty: 5 }
+        ]);
+    });
+
+    describe('diff()', function() {
+        it('should list added, removed and changed entries in key order', function() {
+            expect(before.diff(after)).to.deep.equal([
+                { type: 'removed', key: 'A', value: { sku: 'A', qty: 1 } },
+                { type: 'changed', key: 'C', value: { sku: 'C', qty: 4, tags: ['x'] }, oldValue: { sku: 'C', qty: 3, tags: ['x'] } },
+                { type: 'added', key: 'D', value: { sku: 'D', qty: 5 } }
+            ]);
+        });
+
+        it('should compare values structurally by default', function() {
+            const copy = new BTree({ key: 'sku' });
+            copy.init(before.items().map(item => JSON.parse(JSON.stringify(item))));
+            expect(before.diff(copy)).to.deep.equal([]);
+            expect(new BTree().diff(new BTree())).to.deep.equal([]);
+        });
+
+        it('should accept a custom equality function', function() {
+            const sameQty = (a, b) => a.qty === b.qty;
+            const changes = before.diff(after, { equals: sameQty });
+            expect(changes.map(change => change.type)).to.deep.equal(['removed', 'changed', 'added']);
+
+            const identity = before.diff(after, { equals: (a, b) => a === b });
+            expect(identity.filter(change => change.type === 'changed').map(change => change.key)).to.deep.equal(['B', 'C']);
+        });
+
+        it('should pair duplicate values in order', function() {
+            const a = new BTree();
+            a.init([1, 2, 2]);
+            const b = new BTree();
+            b.init([2, 2, 2, 3]);
+            expect(a.diff(b)).to.deep.equal([
+                { type: 'removed', key: 1, value: 1 },
+                { type: 'added', key: 2, value: 2 },
+                { type: 'added', key: 3, value: 3 }
+            ]);
+        });
+
+        it('should return a compact JSON-safe patch', function() {
+            const dated = new BTree({ key: 'at' });
+            dated.add({ at: new Date('2024-01-01T00:00:00Z'), n: 1 });
+            const newer = new BTree({ key: 'at' });
+            newer.add({ at: new Date('2024-01-02T00:00:00Z'), n: 2 });
+
+            const patch = before.diff(after, { compact: true });
+            expect(patch).to.deep.equal({
+                version: 1,
+                changes: [
+                    ['-', 'A', { sku: 'A', qty: 1 }],
+                    ['~', 'C', { sku: 'C', qty: 4, tags: ['x'] }, { sku: 'C', qty: 3, tags: ['x'] }],
+                    ['+', 'D', { sku: 'D', qty: 5 }]
+                ]
+            });
+
+            const keys = new BTree();
+            keys.init([1, 2]);
+            expect(keys.diff(new BTree(), { compact: true }).changes).to.deep.equal([['-', 1], ['-', 2]]);
+            expect(dated.diff(newer, { compact: true }).changes[0][1]).to.deep.equal({ $date: '2024-01-01T00:00:00.000Z' });
+        });
+    });
+
+    describe('applyPatch()', function() {
+        it('should turn the old tree into the new one', function() {
+            expect(before.applyPatch(before.diff(after))).to.equal(before);
+            expect(before.items()).to.deep.equal(after.items());
+            expect(before.diff(after)).to.deep.equal([]);
+            expect(before.isAVLBalanced()).to.be.true;
+        });
+
+        it('should round trip the compact format through JSON', function() {
+            const patch = JSON.stringify(before.diff(after, { compact: true }));
+            before.applyPatch(patch);
+            expect(before.items()).to.deep.equal(after.items());
+
+            const dated = new BTree({ key: 'at' });
+            const newer = new BTree({ key: 'at' });
+            newer.add({ at: new Date('2024-01-02T00:00:00Z') });
+            dated.applyPatch(JSON.parse(JSON.stringify(dated.diff(newer, { compact: true }))));
+            expect(dated.minimum().at).to.equal('2024-01-02T00:00:00.000Z');
+            expect(dated.getMinimumNode().key).to.be.instanceOf(Date);
+        });
+
+        it('should emit events and keep indexes up to date', function() {
+            const events = [];
+            ['add', 'remove', 'replace'].forEach(type => before.on(type, event => events.push([type, event.key])));
+            before.createIndex('qty');
+
+            before.applyPatch(before.diff(after));
+
+            expect(events).to.deep.equal([['remove', 'A'], ['replace', 'C'], ['add', 'D']]);
+            expect(before.find({ qty: 4 }).sku).to.equal('C');
+            expect(before.findAll({ qty: 3 })).to.deep.equal([]);
+        });
+
+        it('should change and remove single values of buckets', function() {
+            const a = new BTree({ duplicates: 'bucket', key: 'k' });
+            a.init([{ k: 1, v: 'a' }, { k: 1, v: 'b' }, { k: 1, v: 'c' }]);
+            const b = new BTree({ duplicates: 'bucket', key: 'k' });
+            b.init([{ k: 1, v: 'a' }, { k: 1, v: 'B' }]);
+
+            a.applyPatch(a.diff(b));
+
+            expect(a.findAll(1).map(value => value.v)).to.deep.equal(['a', 'B']);
+            expect(a.size()).to.equal(2);
+            expect(a.root.size).to.equal(2);
+        });
+
+        it('should throw error for values that are not in the tree', function() {
+            const error = (() => {
+                try {
+                    before.applyPatch([{ type: 'removed', key: 'A', value: { sku: 'A', qty: 99 } }]);
+                } catch (caught) {
+                    return caught;
+                }
+            })();
+            expect(error).to.be.instanceOf(KeyNotFoundError);
+            expect(error.message).to.equal("Failed to apply patch: Change 0: No matching value for key 'A' in tree");
+        });
+
+        it('should leave the tree unchanged when a change fails', function() {
+            const items = before.items();
+            const events = [];
+            ['add', 'remove', 'replace'].forEach(type => before.on(type, () => events.push(type)));
+            const patch = [
+                { type: 'added', key: 'Z', value: { sku: 'Z', qty: 1 } },
+                { type: 'removed', key: 'missing', value: { sku: 'missing' } },
+                { type: 'removed', key: 'A', value: items[0] }
+            ];
+
+            expect(() => before.applyPatch(patch)).to.throw(KeyNotFoundError, 'Change 1');
+            expect(before.items()).to.deep.equal(items);
+            expect(events).to.deep.equal([]);
+
+            const rejecting = new BTree({ duplicates: 'reject' });
+            rejecting.init([1, 2]);
+            expect(() => rejecting.applyPatch([{ type: 'removed', key: 1 }, { type: 'added', key: 2, value: 2 }]))
+                .to.throw('Change 1');
+            expect(rejecting.items()).to.deep.equal([1, 2]);
+        });
+
+        it('should throw error for malformed patches', function() {
+            expect(() => before.applyPatch([{ type: 'moved', key: 'A', value: {} }])).to.throw("Unknown change type 'moved'");
+            expect(() => before.applyPatch({ version: 2, changes: [] })).to.throw('Unsupported patch version: 2');
+            expect(() => before.applyPatch({ version: 1, changes: [['*', 'A']] })).to.throw("Patch change 0 must start with '+', '-' or '~'");
+            expect(() => before.applyPatch(42)).to.throw('Patch must be an array of changes or a compact patch object');
+            expect(() => before.diff([])).to.throw('Failed to diff trees: Other must be a tree');
+            expect(() => before.diff(after, { equals: true })).to.throw('Equals option must be a function');
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should return a new version from applyPatch', function() {
+            const v1 = ImmutableBTree.fromSorted([1, 2, 3]);
+            const target = ImmutableBTree.fromSorted([2, 3, 4]);
+            const v2 = v1.applyPatch(v1.diff(target));
+
+            expect([...v1]).to.deep.equal([1, 2, 3]);
+            expect([...v2]).to.deep.equal([2, 3, 4]);
+            expect(v2.diff(target)).to.deep.equal([]);
+        });
+
+        it('should copy bucket nodes before changing them', function() {
+            const v1 = new ImmutableBTree({ duplicates: 'bucket' }).init(['a', 'a', 'b']);
+            const v2 = v1.applyPatch([{ type: 'removed', key: 'a', value: 'a' }]);
+            expect(v1.count('a')).to.equal(2);
+            expect(v2.count('a')).to.equal(1);
+        });
+    });
+});
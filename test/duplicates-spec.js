@@ -0,0 +1,180 @@
+const expect = require('chai').expect;
+const { BTree, BTreeError, DuplicateKeyError } = require('../lib/btree');
+
+describe('Duplicate Keys', function() {
+    describe('duplicates option', function() {
+        it('should default to allow', function() {
+            expect(new BTree().options.duplicates).to.equal('allow');
+        });
+
+        it('should throw error for unknown modes', function() {
+            expect(() => new BTree({ duplicates: 'ignore' }))
+                .to.throw('Duplicates option must be one of: allow, reject, replace, bucket');
+            expect(() => new BTree().init([], { duplicates: true }))
+                .to.throw('Duplicates option must be one of: allow, reject, replace, bucket');
+        });
+    });
+
+    describe("'allow' mode", function() {
+        let tree;
+
+        beforeEach(function() {
+            tree = new BTree();
+            tree.init([
+                { id: 2, name: 'banana' },
+                { id: 1, name: 'apple' },
+                { id: 2, name: 'blueberry' },
+                { id: 3, name: 'cherry' },
+                { id: 2, name: 'blackberry' }
+            ]);
+        });
+
+        it('should keep every value in insertion order', function() {
+            expect(tree.size()).to.equal(5);
+            expect(tree.findAll(2).map(item => item.name)).to.deep.equal(['banana', 'blueberry', 'blackberry']);
+        });
+
+        it('should find the first inserted value', function() {
+            expect(tree.find(2)).to.deep.equal({ id: 2, name: 'banana' });
+        });
+
+        it('should count values for a key', function() {
+            expect(tree.count(2)).to.equal(3);
+            expect(tree.count(1)).to.equal(1);
+            expect(tree.count(4)).to.equal(0);
+        });
+
+        it('should remove the first inserted value', function() {
+            tree.remove(2);
+            expect(tree.findAll(2).map(item => item.name)).to.deep.equal(['blueberry', 'blackberry']);
+            expect(tree.size()).to.equal(4);
+        });
+
+        it('should remove all values for a key', function() {
+            expect(tree.removeAll(2)).to.equal(3);
+            expect(tree.items().map(item => item.name)).to.deep.equal(['apple', 'cherry']);
+            expect(tree.removeAll(2)).to.equal(0);
+        });
+
+        it('should stay balanced with many duplicates', function() {
+            const numbers = new BTree();
+            for (let i = 0; i < 1000; i++) {
+                numbers.add(i % 10);
+            }
+            expect(numbers.isAVLBalanced()).to.be.true;
+            expect(numbers.count(7)).to.equal(100);
+
+            numbers.removeAll(7);
+            expect(numbers.size()).to.equal(900);
+            expect(numbers.isAVLBalanced()).to.be.true;
+        });
+    });
+
+    describe("'reject' mode", function() {
+        let tree;
+
+        beforeEach(function() {
+            tree = new BTree({ duplicates: 'reject' });
+            tree.init([{ id: 1, name: 'apple' }, { id: 2, name: 'banana' }]);
+        });
+
+        it('should throw a DuplicateKeyError', function() {
+            let caught;
+            try {
+                tree.add({ id: 1, name: 'avocado' });
+            } catch (error) {
+                caught = error;
+            }
+
+            expect(caught).to.be.instanceOf(DuplicateKeyError);
+            expect(caught).to.be.instanceOf(BTreeError);
+            expect(caught.code).to.equal('EDUPLICATEKEY');
+            expect(caught.key).to.equal(1);
+            expect(caught.message).to.equal("Failed to add value: Key '1' already exists in tree");
+        });
+
+        it('should leave the tree unchanged', function() {
+            expect(() => tree.add({ id: 2, name: 'blueberry' })).to.throw(DuplicateKeyError);
+            expect(tree.size()).to.equal(2);
+            expect(tree.find(2)).to.deep.equal({ id: 2, name: 'banana' });
+        });
+
+        it('should reject duplicates during initialization', function() {
+            expect(() => new BTree({ duplicates: 'reject' }).init([1, 2, 1]))
+                .to.throw(DuplicateKeyError, "Failed to add item at index 2: Failed to add value: Key '1' already exists in tree");
+        });
+    });
+
+    describe("'replace' mode", function() {
+        let tree;
+
+        beforeEach(function() {
+            tree = new BTree({ duplicates: 'replace' });
+            tree.init([{ id: 1, name: 'apple' }, { id: 2, name: 'banana' }]);
+        });
+
+        it('should upsert the value for an existing key', function() {
+            tree.add({ id: 2, name: 'blueberry' });
+            expect(tree.size()).to.equal(2);
+            expect(tree.find(2)).to.deep.equal({ id: 2, name: 'blueberry' });
+            expect(tree.count(2)).to.equal(1);
+        });
+
+        it('should insert new keys normally', function() {
+            tree.add({ id: 3, name: 'cherry' });
+            expect(tree.size()).to.equal(3);
+        });
+    });
+
+    describe("'bucket' mode", function() {
+        let tree;
+
+        beforeEach(function() {
+            tree = new BTree({ duplicates: 'bucket' });
+            tree.init([
+                { id: 2, name: 'banana' },
+                { id: 1, name: 'apple' },
+                { id: 2, name: 'blueberry' },
+                { id: 3, name: 'cherry' }
+            ]);
+        });
+
+        it('should store all values for a key in one node', function() {
+            const node = tree.root;
+            expect(node.key).to.equal(2);
+            expect(node.values.map(item => item.name)).to.deep.equal(['banana', 'blueberry']);
+        });
+
+        it('should return every value from findAll', function() {
+            expect(tree.findAll(2).map(item => item.name)).to.deep.equal(['banana', 'blueberry']);
+            expect(tree.find(2)).to.deep.equal({ id: 2, name: 'banana' });
+        });
+
+        it('should count values across the tree', function() {
+            expect(tree.size()).to.equal(4);
+            expect(tree.count(2)).to.equal(2);
+            expect(tree.items().map(item => item.name)).to.deep.equal(['apple', 'banana', 'blueberry', 'cherry']);
+        });
+
+        it('should select values inside buckets', function() {
+            expect(tree.select(2).name).to.equal('blueberry');
+            expect(tree.rank(3)).to.equal(3);
+        });
+
+        it('should iterate values inside buckets', function() {
+            expect([...tree.keys()]).to.deep.equal([1, 2, 2, 3]);
+            expect([...tree.reverse()].map(item => item.name)).to.deep.equal(['cherry', 'blueberry', 'banana', 'apple']);
+        });
+
+        it('should remove the whole bucket', function() {
+            tree.remove(2);
+            expect(tree.size()).to.equal(2);
+            expect(tree.findAll(2)).to.deep.equal([]);
+        });
+
+        it('should report how many values were removed', function() {
+            expect(tree.removeAll(2)).to.equal(2);
+            expect(tree.isAVLBalanced()).to.be.true;
+        });
+    });
+});
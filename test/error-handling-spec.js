@@ -1,5 +1,15 @@
 const expect = require('chai').expect;
-const { BTree, createTree } = require('../lib/btree');
+const {
+    BTree,
+    BPlusTree,
+    createTree,
+    BTreeError,
+    DuplicateKeyError,
+    KeyNotFoundError,
+    InvalidKeyError,
+    EmptyTreeError,
+    InvalidOptionsError
+} = require('../lib/btree');
 
 describe('Error Handling and Edge Cases', function() {
     let tree;
@@ -363,4 +373,94 @@ describe('Error Handling and Edge Cases', function() {
             expect(tree.isAVLBalanced()).to.be.true;
         });
     });
+
+    describe('Error Classes', function() {
+        // Run fn and return what it throws
+        function caught(fn) {
+            try {
+                fn();
+            } catch (error) {
+                return error;
+            }
+            throw new Error('Expected function to throw');
+        }
+
+        it('should throw KeyNotFoundError for missing keys', function() {
+            tree.init([1, 2, 3]);
+            const error = caught(() => tree.remove(5));
+
+            expect(error).to.be.instanceOf(KeyNotFoundError);
+            expect(error).to.be.instanceOf(BTreeError);
+            expect(error).to.be.instanceOf(Error);
+            expect(error.name).to.equal('KeyNotFoundError');
+            expect(error.code).to.equal('EKEYNOTFOUND');
+            expect(error.key).to.equal(5);
+            expect(error.message).to.equal("Failed to remove key '5': Key '5' not found in tree");
+        });
+
+        it('should throw InvalidKeyError for unusable keys', function() {
+            expect(caught(() => tree.find(null))).to.be.instanceOf(InvalidKeyError);
+            expect(caught(() => tree.add({ name: 'no id' }))).to.be.instanceOf(InvalidKeyError);
+            expect(caught(() => tree.add({ id: 1 }, { bad: true }))).to.include({ code: 'EINVALIDKEY' });
+            expect(caught(() => new BTree({ key: 'meta.id' }).add({ meta: null }))).to.be.instanceOf(InvalidKeyError);
+            expect(caught(() => new BTree({ key: () => null }).add({}))).to.be.instanceOf(InvalidKeyError);
+        });
+
+        it('should throw EmptyTreeError for operations on an empty tree', function() {
+            const error = caught(() => tree.minimum());
+            expect(error).to.be.instanceOf(EmptyTreeError);
+            expect(error.code).to.equal('EEMPTYTREE');
+            expect(caught(() => tree.remove(1))).to.be.instanceOf(EmptyTreeError);
+            expect(caught(() => tree.median())).to.be.instanceOf(EmptyTreeError);
+            expect(caught(() => new BPlusTree().maximum())).to.be.instanceOf(EmptyTreeError);
+        });
+
+        it('should throw InvalidOptionsError for invalid options', function() {
+            expect(caught(() => new BTree({ compare: 'natural' }))).to.be.instanceOf(InvalidOptionsError);
+            expect(caught(() => new BTree({ key: [] }))).to.be.instanceOf(InvalidOptionsError);
+            expect(caught(() => tree.init([], { duplicates: 'sometimes' }))).to.include({ code: 'EINVALIDOPTIONS' });
+            expect(caught(() => tree.range({ gt: 1, gte: 1 }))).to.be.instanceOf(InvalidOptionsError);
+            expect(caught(() => new BPlusTree({ order: 2 }))).to.be.instanceOf(InvalidOptionsError);
+        });
+
+        it('should throw InvalidOptionsError for invalid arguments', function() {
+            tree.init([1, 2, 3]);
+            expect(caught(() => tree.select(3))).to.include({ code: 'EINVALIDOPTIONS' });
+            expect(caught(() => tree.select(0.5))).to.be.instanceOf(InvalidOptionsError);
+            expect(caught(() => tree.at('0'))).to.be.instanceOf(InvalidOptionsError);
+            expect(caught(() => tree.popMinN(-1))).to.include({ code: 'EINVALIDOPTIONS' });
+            expect(caught(() => tree.init('1, 2'))).to.include({ code: 'EINVALIDOPTIONS' });
+            expect(caught(() => new BPlusTree().init({}))).to.be.instanceOf(InvalidOptionsError);
+            expect(caught(() => tree.toBuffer({ codec: {} }))).to.include({ code: 'EINVALIDOPTIONS' });
+        });
+
+        it('should keep the class through nested wrapping', function() {
+            const error = caught(() => new BTree({ duplicates: 'reject' }).init([1, 1]));
+            expect(error).to.be.instanceOf(DuplicateKeyError);
+            expect(error.key).to.equal(1);
+            expect(error.cause).to.be.instanceOf(DuplicateKeyError);
+            expect(error.cause.cause.cause.message).to.equal("Key '1' already exists in tree");
+        });
+
+        it('should keep errors thrown by callbacks as the cause', function() {
+            tree.init([1, 2]);
+            const original = new TypeError('callback failed');
+            const error = caught(() => tree.forEach(() => {
+                throw original;
+            }));
+
+            expect(error).to.be.instanceOf(BTreeError);
+            expect(error.code).to.equal('EBTREE');
+            expect(error.cause).to.equal(original);
+            expect(error.message).to.equal('Failed to iterate tree: callback failed');
+        });
+
+        it('should preserve the original stack', function() {
+            const error = caught(() => tree.minimum());
+            const original = error.cause;
+
+            expect(error.stack.split('\n')[0]).to.equal('EmptyTreeError: Failed to find minimum: Cannot find minimum in empty tree');
+            expect(error.stack.split('\n').slice(1)).to.deep.equal(original.stack.split('\n').slice(1));
+        });
+    });
 });
@@ -0,0 +1,285 @@
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const { BTree, ImmutableBTree } = require('../lib/btree');
+
+// Record every change event emitted by a tree
+function record(tree) {
+    const events = [];
+    ['add', 'remove', 'replace', 'clear', 'balance', 'rotate'].forEach(type => {
+        tree.on(type, detail => events.push([type, detail]));
+    });
+    return events;
+}
+
+// Keep only the events of the given types
+function only(events, ...types) {
+    return events.filter(([type]) => types.includes(type));
+}
+
+describe('Change Events', function() {
+    let tree;
+    let events;
+
+    beforeEach(function() {
+        tree = new BTree();
+        events = record(tree);
+    });
+
+    it('should be an EventEmitter', function() {
+        expect(tree).to.be.instanceOf(EventEmitter);
+    });
+
+    describe('add', function() {
+        it('should emit the key and value of each added item', function() {
+            tree.add({ id: 1, name: 'one' });
+            tree.add('b', 2);
+
+            expect(only(events, 'add')).to.deep.equal([
+                ['add', { key: 1, value: { id: 1, name: 'one' } }],
+                ['add', { key: 2, value: 'b' }]
+            ]);
+        });
+
+        it('should emit for every item added by init() and array add()', function() {
+            tree.init([3, 1, 2]);
+            tree.add([{ id: 4 }, { id: 5 }]);
+
+            expect(only(events, 'add').map(([, detail]) => detail.key)).to.deep.equal([3, 1, 2, 4, 5]);
+        });
+
+        it('should emit for new items only when bulk loading', function() {
+            tree.init([1, 3]);
+            events.length = 0;
+            tree.init([2, 4], { presorted: true });
+
+            expect(only(events, 'add').map(([, detail]) => detail.key)).to.deep.equal([2, 4]);
+        });
+
+        it('should not emit when bulk loading fails', function() {
+            tree.init([1, 3]);
+            events.length = 0;
+            expect(() => tree.init([2, 4, 0], { presorted: true })).to.throw('out of order');
+            expect(events).to.deep.equal([]);
+        });
+
+        it('should emit when a value joins a bucket', function() {
+            const buckets = new BTree({ duplicates: 'bucket' });
+            const bucketEvents = record(buckets);
+            buckets.add('a');
+            buckets.add('a');
+
+            expect(only(bucketEvents, 'add')).to.have.length(2);
+        });
+
+        it('should not report existing bucket values again when bulk loading', function() {
+            const buckets = new BTree({ duplicates: 'bucket' });
+            buckets.init([1, 1, 2]);
+            const bucketEvents = record(buckets);
+            buckets.init([1, 3], { presorted: true });
+
+            expect(only(bucketEvents, 'add').map(([, detail]) => detail.key)).to.deep.equal([1, 3]);
+            expect(buckets.items()).to.deep.equal([1, 1, 1, 2, 3]);
+        });
+    });
+
+    describe('replace', function() {
+        it('should emit the old and new value', function() {
+            const upserts = new BTree({ duplicates: 'replace' });
+            const upsertEvents = record(upserts);
+            upserts.add({ id: 1, v: 'old' });
+            upserts.add({ id: 1, v: 'new' });
+
+            expect(only(upsertEvents, 'replace')).to.deep.equal([
+                ['replace', { key: 1, value: { id: 1, v: 'new' }, oldValue: { id: 1, v: 'old' } }]
+            ]);
+        });
+    });
+
+    describe('remove', function() {
+        it('should emit the removed key and value', function() {
+            tree.init([{ id: 1 }, { id: 2 }, { id: 3 }]);
+            events.length = 0;
+            tree.remove(2);
+
+            expect(only(events, 'remove')).to.deep.equal([['remove', { key: 2, value: { id: 2 } }]]);
+        });
+
+        it('should report the removed entry for nodes with two children', function() {
+            tree.init([20, 10, 30, 25, 35]);
+            events.length = 0;
+            tree.remove(30);
+
+            expect(only(events, 'remove')).to.deep.equal([['remove', { key: 30, value: 30 }]]);
+            expect(tree.items()).to.deep.equal([10, 20, 25, 35]);
+        });
+
+        it('should emit once per value removed by removeAll()', function() {
+            tree.init(['a', 'b', 'a']);
+            events.length = 0;
+            expect(tree.removeAll('a')).to.equal(2);
+
+            expect(only(events, 'remove')).to.have.length(2);
+        });
+
+        it('should not emit when removal fails', function() {
+            tree.init([1]);
+            events.length = 0;
+            expect(() => tree.remove(2)).to.throw("Key '2' not found in tree");
+            expect(events).to.deep.equal([]);
+        });
+    });
+
+    describe('clear and balance', function() {
+        it('should emit clear with the previous size', function() {
+            tree.init([1, 2, 3]);
+            tree.clear();
+
+            expect(only(events, 'clear')).to.deep.equal([['clear', { size: 3 }]]);
+        });
+
+        it('should emit clear when init() is given an empty array', function() {
+            tree.init([1, 2]);
+            tree.init([]);
+
+            expect(only(events, 'clear')).to.deep.equal([['clear', { size: 2 }]]);
+        });
+
+        it('should emit balance with the new height', function() {
+            tree.init([1, 2, 3, 4, 5, 6, 7]);
+            tree.balance();
+
+            expect(only(events, 'balance')).to.deep.equal([['balance', { height: 3 }]]);
+        });
+    });
+
+    describe('rotate', function() {
+        it('should emit rotations while rebalancing', function() {
+            tree.add(1);
+            tree.add(2);
+            tree.add(3);
+
+            expect(only(events, 'rotate')).to.deep.equal([['rotate', { direction: 'left', key: 1 }]]);
+        });
+
+        it('should emit both rotations of a double rotation', function() {
+            tree.add(3);
+            tree.add(1);
+            tree.add(2);
+
+            expect(only(events, 'rotate')).to.deep.equal([
+                ['rotate', { direction: 'left', key: 1 }],
+                ['rotate', { direction: 'right', key: 3 }]
+            ]);
+        });
+    });
+
+    describe('Derived state', function() {
+        it('should keep a derived cache in sync', function() {
+            const cache = new Map();
+            tree.on('add', ({ key, value }) => cache.set(key, value));
+            tree.on('remove', ({ key }) => cache.delete(key));
+            tree.on('clear', () => cache.clear());
+
+            for (let i = 0; i < 100; i++) {
+                tree.add(i);
+            }
+            for (let i = 0; i < 100; i += 2) {
+                tree.remove(i);
+            }
+
+            expect([...cache.keys()].sort((a, b) => a - b)).to.deep.equal([...tree.keys()]);
+            tree.clear();
+            expect(cache.size).to.equal(0);
+        });
+
+        it('should let listeners query the tree once the change is complete', function() {
+            const seen = [];
+            ['add', 'remove', 'rotate'].forEach(type => {
+                tree.on(type, ({ key }) => seen.push([type, key, tree.has(key), tree.size(), tree.isAVLBalanced()]));
+            });
+
+            tree.add(1);
+            tree.add(2);
+            tree.add(3);
+            tree.remove(1);
+
+            expect(seen).to.deep.equal([
+                ['add', 1, true, 1, true],
+                ['add', 2, true, 2, true],
+                ['add', 3, true, 3, true],
+                ['rotate', 1, true, 3, true],
+                ['remove', 1, false, 2, true]
+            ]);
+        });
+
+        it('should emit after overflowing values were evicted', function() {
+            const bounded = new BTree({ maxSize: 2 });
+            const seen = [];
+            ['add', 'remove'].forEach(type => {
+                bounded.on(type, ({ key }) => seen.push([type, key, bounded.size(), [...bounded.keys()]]));
+            });
+
+            bounded.add(1);
+            bounded.add(2);
+            bounded.add(3);
+            bounded.set(4, 4);
+
+            expect(seen).to.deep.equal([
+                ['add', 1, 1, [1]],
+                ['add', 2, 2, [1, 2]],
+                ['add', 3, 2, [2, 3]],
+                ['remove', 1, 2, [2, 3]],
+                ['add', 4, 2, [3, 4]],
+                ['remove', 2, 2, [3, 4]]
+            ]);
+        });
+    });
+
+    describe('Unobserved changes', function() {
+        it('should only emit the types that are listened to', function() {
+            const quiet = new BTree();
+            const emitted = [];
+            quiet.on('add', () => {});
+            quiet.emit = type => emitted.push(type);
+
+            for (let i = 0; i < 100; i++) {
+                quiet.add(i);
+            }
+            quiet.remove(50);
+            quiet.balance();
+            expect(emitted).to.deep.equal(Array(100).fill('add'));
+        });
+
+        it('should still record changes for indexes and transactions', function() {
+            const quiet = new BTree();
+            quiet.createIndex('name');
+            quiet.add({ id: 1, name: 'a' });
+            expect(quiet.find({ name: 'a' })).to.deep.equal({ id: 1, name: 'a' });
+
+            quiet.begin();
+            quiet.add({ id: 2, name: 'b' });
+            const added = [];
+            quiet.on('add', ({ key }) => added.push(key));
+            quiet.commit();
+            expect(added).to.deep.equal([2]);
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should emit on the version the operation was called on', function() {
+            const v1 = new ImmutableBTree().init([1, 2]);
+            const v1Events = record(v1);
+            const v2 = v1.add(3).remove(1);
+
+            expect(only(v1Events, 'add', 'remove')).to.deep.equal([['add', { key: 3, value: 3 }]]);
+            expect(v2.items()).to.deep.equal([2, 3]);
+        });
+
+        it('should not emit when the operation fails', function() {
+            const v1 = new ImmutableBTree({ duplicates: 'reject' });
+            const v1Events = record(v1);
+            expect(() => v1.init([1, 2, 2])).to.throw('already exists');
+            expect(v1Events).to.deep.equal([]);
+        });
+    });
+});
@@ -0,0 +1,167 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree, DuplicateKeyError } = require('../lib/btree');
+
+describe('ImmutableBTree', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new ImmutableBTree().init([10, 20, 30, 40, 50, 60, 70]);
+    });
+
+    describe('Construction', function() {
+        it('should be a BTree', function() {
+            expect(tree).to.be.instanceOf(ImmutableBTree);
+            expect(tree).to.be.instanceOf(BTree);
+        });
+
+        it('should return a new tree from init()', function() {
+            const empty = new ImmutableBTree();
+            const filled = empty.init(['b', 'a']);
+
+            expect(empty.isEmpty()).to.be.true;
+            expect(filled.items()).to.deep.equal(['a', 'b']);
+        });
+
+        it('should build from sorted values and JSON', function() {
+            const sorted = ImmutableBTree.fromSorted([1, 2, 3]);
+            expect(sorted).to.be.instanceOf(ImmutableBTree);
+            expect(sorted.items()).to.deep.equal([1, 2, 3]);
+
+            const restored = ImmutableBTree.fromJSON(JSON.stringify(sorted));
+            expect(restored).to.be.instanceOf(ImmutableBTree);
+            expect(restored.add(4).items()).to.deep.equal([1, 2, 3, 4]);
+            expect(restored.size()).to.equal(3);
+        });
+    });
+
+    describe('Persistence', function() {
+        it('should leave the original unchanged when adding', function() {
+            const next = tree.add(35);
+
+            expect(next).to.not.equal(tree);
+            expect(next.items()).to.deep.equal([10, 20, 30, 35, 40, 50, 60, 70]);
+            expect(tree.items()).to.deep.equal([10, 20, 30, 40, 50, 60, 70]);
+        });
+
+        it('should leave the original unchanged when removing', function() {
+            const next = tree.remove(40);
+
+            expect(next.items()).to.deep.equal([10, 20, 30, 50, 60, 70]);
+            expect(tree.items()).to.deep.equal([10, 20, 30, 40, 50, 60, 70]);
+            expect(tree.size()).to.equal(7);
+        });
+
+        it('should keep every version intact through many operations', function() {
+            const versions = [];
+            const snapshots = [];
+            let current = new ImmutableBTree();
+            for (let i = 0; i < 300; i++) {
+                current = i % 4 === 3 ? current.remove(current.select(0)) : current.add((i * 37) % 101);
+                versions.push(current);
+                snapshots.push(JSON.stringify(current.toJSON({ shape: true })));
+            }
+
+            versions.forEach((version, i) => {
+                expect(JSON.stringify(version.toJSON({ shape: true }))).to.equal(snapshots[i]);
+                expect(version.isAVLBalanced()).to.be.true;
+            });
+        });
+
+        it('should return an empty tree from clear()', function() {
+            const empty = tree.clear();
+            expect(empty.isEmpty()).to.be.true;
+            expect(tree.size()).to.equal(7);
+            expect(empty.options).to.equal(tree.options);
+        });
+
+        it('should return the same tree when nothing changes', function() {
+            expect(tree.removeAll(99)).to.equal(tree);
+            expect(tree.balance()).to.equal(tree);
+        });
+
+        it('should leave the original unchanged when an operation fails', function() {
+            const unique = new ImmutableBTree({ duplicates: 'reject' }).init([1, 2, 3]);
+            expect(() => unique.add(2)).to.throw(DuplicateKeyError);
+            expect(() => unique.remove(9)).to.throw("Key '9' not found in tree");
+            expect(unique.items()).to.deep.equal([1, 2, 3]);
+        });
+
+        it('should copy buckets before changing them', function() {
+            const buckets = new ImmutableBTree({ duplicates: 'bucket' }).init(['a']);
+            const next = buckets.add('a');
+
+            expect(buckets.count('a')).to.equal(1);
+            expect(next.count('a')).to.equal(2);
+        });
+    });
+
+    describe('Structural sharing', function() {
+        it('should share subtrees that were not modified', function() {
+            const next = tree.add(75);
+
+            expect(next.root).to.not.equal(tree.root);
+            expect(next.root.left).to.equal(tree.root.left);
+        });
+
+        it('should only copy the modified path', function() {
+            const large = ImmutableBTree.fromSorted(Array.from({ length: 1024 }, (_, i) => i * 2));
+            const next = large.add(501);
+
+            const shared = new Set();
+            const collect = node => {
+                if (node) {
+                    shared.add(node);
+                    collect(node.left);
+                    collect(node.right);
+                }
+            };
+            collect(large.root);
+
+            let copied = 0;
+            const count = node => {
+                if (node) {
+                    if (!shared.has(node)) {
+                        copied++;
+                    }
+                    count(node.left);
+                    count(node.right);
+                }
+            };
+            count(next.root);
+
+            expect(copied).to.be.at.most(2 * next.getHeight());
+        });
+    });
+
+    describe('Query API', function() {
+        it('should support the BTree query methods', function() {
+            expect(tree.find(30)).to.equal(30);
+            expect(tree.range({ gt: 20, lt: 60 })).to.deep.equal([30, 40, 50]);
+            expect(tree.rank(40)).to.equal(3);
+            expect(tree.select(-1)).to.equal(70);
+            expect(tree.floor(45)).to.equal(40);
+            expect([...tree.reverse()]).to.deep.equal([70, 60, 50, 40, 30, 20, 10]);
+        });
+
+        it('should walk nodes with successor() and predecessor()', function() {
+            const next = tree.remove(40).add(45);
+
+            const forward = [];
+            for (let node = next.getMinimumNode(); node; node = next.successor(node)) {
+                forward.push(node.key);
+            }
+            const backward = [];
+            for (let node = next.getMaximumNode(); node; node = next.predecessor(node)) {
+                backward.push(node.key);
+            }
+
+            expect(forward).to.deep.equal([10, 20, 30, 45, 50, 60, 70]);
+            expect(backward).to.deep.equal(forward.slice().reverse());
+        });
+
+        it('should throw error for nodes from another version', function() {
+            const next = tree.add(80);
+            expect(() => tree.successor(next.getMaximumNode())).to.throw('Node is not in this tree');
+        });
+    });
+});
@@ -0,0 +1,129 @@
+const expect = require('chai').expect;
+const { BTree } = require('../lib/btree');
+
+describe('Iteration Protocol', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree({ key: 'name' });
+        tree.init([
+            { name: 'cherry', price: 3 },
+            { name: 'apple', price: 1 },
+            { name: 'elderberry', price: 5 },
+            { name: 'banana', price: 2 },
+            { name: 'date', price: 4 }
+        ]);
+    });
+
+    describe('Symbol.iterator', function() {
+        it('should iterate values with for...of', function() {
+            const names = [];
+            for (const item of tree) {
+                names.push(item.name);
+            }
+            expect(names).to.deep.equal(['apple', 'banana', 'cherry', 'date', 'elderberry']);
+        });
+
+        it('should spread into an array', function() {
+            expect([...tree]).to.deep.equal(tree.items());
+        });
+
+        it('should iterate an empty tree', function() {
+            expect([...new BTree()]).to.deep.equal([]);
+        });
+
+        it('should allow breaking out early', function() {
+            const names = [];
+            for (const item of tree) {
+                names.push(item.name);
+                if (item.name === 'banana') {
+                    break;
+                }
+            }
+            expect(names).to.deep.equal(['apple', 'banana']);
+        });
+    });
+
+    describe('keys(), values() and entries()', function() {
+        it('should iterate keys in order', function() {
+            expect([...tree.keys()]).to.deep.equal(['apple', 'banana', 'cherry', 'date', 'elderberry']);
+        });
+
+        it('should iterate values in order', function() {
+            expect([...tree.values()].map(item => item.price)).to.deep.equal([1, 2, 3, 4, 5]);
+        });
+
+        it('should iterate entries as key/value pairs', function() {
+            const entries = [...tree.entries()];
+            expect(entries[0]).to.deep.equal(['apple', { name: 'apple', price: 1 }]);
+            expect(entries).to.have.length(5);
+        });
+
+        it('should build a Map from entries', function() {
+            const map = new Map(tree.entries());
+            expect(map.size).to.equal(5);
+            expect(map.get('date').price).to.equal(4);
+        });
+
+        it('should be lazy', function() {
+            const iterator = tree.keys();
+            expect(iterator.next()).to.deep.equal({ value: 'apple', done: false });
+            expect(iterator.next()).to.deep.equal({ value: 'banana', done: false });
+        });
+    });
+
+    describe('Reverse iteration', function() {
+        it('should iterate values in descending order', function() {
+            expect([...tree.reverse()].map(item => item.name))
+                .to.deep.equal(['elderberry', 'date', 'cherry', 'banana', 'apple']);
+        });
+
+        it('should iterate keys in descending order', function() {
+            expect([...tree.keys({ reverse: true })])
+                .to.deep.equal(['elderberry', 'date', 'cherry', 'banana', 'apple']);
+        });
+    });
+
+    describe('Seeking', function() {
+        it('should start iterating from a given key', function() {
+            expect([...tree.keys({ gte: 'cherry' })]).to.deep.equal(['cherry', 'date', 'elderberry']);
+            expect([...tree.keys({ gt: 'cherry' })]).to.deep.equal(['date', 'elderberry']);
+        });
+
+        it('should start iterating from a key that is not in the tree', function() {
+            expect([...tree.keys({ gte: 'coconut' })]).to.deep.equal(['date', 'elderberry']);
+        });
+
+        it('should stop iterating at an upper bound', function() {
+            expect([...tree.keys({ gt: 'apple', lt: 'date' })]).to.deep.equal(['banana', 'cherry']);
+        });
+
+        it('should seek backwards from a given key', function() {
+            expect([...tree.reverse({ lte: 'cherry' })].map(item => item.name))
+                .to.deep.equal(['cherry', 'banana', 'apple']);
+        });
+
+        it('should not walk the prefix when seeking', function() {
+            let comparisons = 0;
+            const large = new BTree({
+                compare: (a, b) => {
+                    comparisons++;
+                    return a - b;
+                }
+            });
+            for (let i = 1; i <= 10000; i++) {
+                large.add(i);
+            }
+
+            comparisons = 0;
+            const iterator = large.keys({ gte: 9000 });
+            expect(iterator.next().value).to.equal(9000);
+            expect(comparisons).to.be.below(50);
+        });
+
+        it('should throw error for conflicting bounds', function() {
+            expect(() => tree.keys({ gt: 'a', gte: 'a' })).to.throw('Range cannot have both gt and gte bounds');
+            expect(() => tree.values('invalid')).to.throw('Range options must be an object');
+        });
+    });
+});
@@ -0,0 +1,173 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree, DuplicateKeyError } = require('../lib/btree');
+
+describe('Map-like API', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+        tree.init([{ id: 1, name: 'apple' }, { id: 2, name: 'banana' }, { id: 3, name: 'cherry' }]);
+    });
+
+    describe('get and has', function() {
+        it('should return a single value or the default', function() {
+            expect(tree.get(2)).to.deep.equal({ id: 2, name: 'banana' });
+            expect(tree.get(9)).to.be.undefined;
+            expect(tree.get(9, null)).to.be.null;
+            expect(tree.get(null, 'none')).to.equal('none');
+        });
+
+        it('should return the first value for duplicate keys', function() {
+            tree.add({ id: 2, name: 'blueberry' });
+            expect(tree.get(2).name).to.equal('banana');
+        });
+
+        it('should check whether a key is stored', function() {
+            expect(tree.has(1)).to.be.true;
+            expect(tree.has(4)).to.be.false;
+            expect(tree.has(undefined)).to.be.false;
+            expect(new BTree().has(1)).to.be.false;
+        });
+    });
+
+    describe('set', function() {
+        it('should add a missing key and return the tree', function() {
+            expect(tree.set(4, { id: 4, name: 'date' })).to.equal(tree);
+            expect(tree.get(4).name).to.equal('date');
+            expect(tree.size()).to.equal(4);
+            expect(tree.isAVLBalanced()).to.be.true;
+        });
+
+        it('should replace the value for an existing key', function() {
+            const events = [];
+            tree.on('replace', event => events.push(event));
+
+            tree.set(2, { id: 2, name: 'blackberry' });
+
+            expect(tree.get(2).name).to.equal('blackberry');
+            expect(tree.size()).to.equal(3);
+            expect(events).to.have.length(1);
+            expect(events[0].oldValue.name).to.equal('banana');
+        });
+
+        it('should leave a single value for duplicate keys', function() {
+            const removed = [];
+            tree.on('remove', event => removed.push(event.value.name));
+            tree.add({ id: 2, name: 'blueberry' });
+
+            tree.set(2, { id: 2, name: 'boysenberry' });
+
+            expect(tree.findAll(2).map(value => value.name)).to.deep.equal(['boysenberry']);
+            expect(removed).to.deep.equal(['blueberry']);
+        });
+
+        it('should replace whole buckets', function() {
+            const buckets = new BTree({ duplicates: 'bucket' });
+            buckets.init(['a', 'b', 'a']);
+            buckets.set('a', 'A');
+            expect(buckets.findAll('a')).to.deep.equal(['A']);
+            expect(buckets.size()).to.equal(2);
+        });
+
+        it('should overwrite even when duplicates are rejected', function() {
+            const strict = new BTree({ duplicates: 'reject' });
+            strict.init([1, 2]);
+            strict.set(1, 'one');
+            expect(strict.get(1)).to.equal('one');
+            expect(() => strict.add('x', 1)).to.throw(DuplicateKeyError);
+        });
+
+        it('should keep unique indexes consistent', function() {
+            tree.createIndex('name', { unique: true });
+            tree.set(1, { id: 1, name: 'apple', ripe: true });
+            expect(tree.find({ name: 'apple' }).ripe).to.be.true;
+
+            expect(() => tree.set(1, { id: 1, name: 'banana' })).to.throw(DuplicateKeyError);
+            expect(tree.get(1).name).to.equal('apple');
+        });
+
+        it('should throw error for invalid keys and values', function() {
+            expect(() => tree.set(null, {})).to.throw('Failed to set key \'null\': Key cannot be undefined or null');
+            expect(() => tree.set(5)).to.throw('Value cannot be undefined or null');
+            expect(() => tree.set({}, 'x')).to.throw('Key must be a string or number');
+        });
+    });
+
+    describe('delete and tryRemove', function() {
+        it('should return whether anything was deleted', function() {
+            expect(tree.delete(2)).to.be.true;
+            expect(tree.delete(2)).to.be.false;
+            expect(tree.has(2)).to.be.false;
+            expect(tree.delete(null)).to.be.false;
+            expect(new BTree().delete(1)).to.be.false;
+        });
+
+        it('should delete every value for a key', function() {
+            tree.add({ id: 3, name: 'cranberry' });
+            expect(tree.delete(3)).to.be.true;
+            expect(tree.count(3)).to.equal(0);
+        });
+
+        it('should remove a single value with tryRemove', function() {
+            tree.add({ id: 3, name: 'cranberry' });
+            expect(tree.tryRemove(3)).to.be.true;
+            expect(tree.findAll(3).map(value => value.name)).to.deep.equal(['cranberry']);
+            expect(tree.tryRemove(7)).to.be.false;
+            expect(new BTree().tryRemove(7)).to.be.false;
+        });
+
+        it('should remove the whole bucket with tryRemove in bucket mode', function() {
+            const buckets = new BTree({ duplicates: 'bucket' });
+            buckets.init([1, 1, 2]);
+            expect(buckets.size()).to.equal(3);
+            expect(buckets.tryRemove(1)).to.be.true;
+            expect(buckets.size()).to.equal(1);
+            expect(buckets.items()).to.deep.equal([2]);
+            expect(buckets.tryRemove(1)).to.be.false;
+        });
+
+        it('should remove more than popMin() from a bucket', function() {
+            const buckets = new BTree({ duplicates: 'bucket' });
+            buckets.init([1, 1, 1, 2]);
+            expect(buckets.popMin()).to.equal(1);
+            expect(buckets.count(1)).to.equal(2);
+            expect(buckets.tryRemove(1)).to.be.true;
+            expect(buckets.count(1)).to.equal(0);
+            expect(buckets.items()).to.deep.equal([2]);
+        });
+    });
+
+    describe('peekMin and peekMax', function() {
+        it('should return the extremes', function() {
+            expect(tree.peekMin().name).to.equal('apple');
+            expect(tree.peekMax().name).to.equal('cherry');
+        });
+
+        it('should return undefined for an empty tree', function() {
+            const empty = new BTree();
+            expect(empty.peekMin()).to.be.undefined;
+            expect(empty.peekMax()).to.be.undefined;
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should return new versions from set, delete and tryRemove', function() {
+            const v1 = ImmutableBTree.fromSorted([1, 2, 3]);
+            const v2 = v1.set(2, 'two');
+            const v3 = v2.delete(1);
+            const v4 = v3.tryRemove(3);
+
+            expect(v1.get(2)).to.equal(2);
+            expect(v2.get(2)).to.equal('two');
+            expect(v3.has(1)).to.be.false;
+            expect(v2.has(1)).to.be.true;
+            expect([...v4]).to.deep.equal(['two']);
+        });
+
+        it('should return the same tree when nothing was removed', function() {
+            const tree = ImmutableBTree.fromSorted([1, 2]);
+            expect(tree.delete(5)).to.equal(tree);
+            expect(tree.tryRemove(5)).to.equal(tree);
+        });
+    });
+});
@@ -0,0 +1,121 @@
+const expect = require('chai').expect;
+const { BTree } = require('../lib/btree');
+
+// Verify every child points back at its parent
+function checkParents(node, parent) {
+    if (!node) {
+        return;
+    }
+    expect(node.parent).to.equal(parent);
+    checkParents(node.left, node);
+    checkParents(node.right, node);
+}
+
+describe('Navigation Queries', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+        tree.init([10, 20, 30, 40, 50]);
+    });
+
+    describe('floor() and ceiling()', function() {
+        it('should return the value for an exact match', function() {
+            expect(tree.floor(30)).to.equal(30);
+            expect(tree.ceiling(30)).to.equal(30);
+        });
+
+        it('should return the nearest value at or below the key', function() {
+            expect(tree.floor(35)).to.equal(30);
+            expect(tree.floor(100)).to.equal(50);
+        });
+
+        it('should return the nearest value at or above the key', function() {
+            expect(tree.ceiling(35)).to.equal(40);
+            expect(tree.ceiling(1)).to.equal(10);
+        });
+
+        it('should return null when there is no such value', function() {
+            expect(tree.floor(5)).to.be.null;
+            expect(tree.ceiling(55)).to.be.null;
+            expect(new BTree().floor(1)).to.be.null;
+        });
+
+        it('should look up price levels by key', function() {
+            const levels = new BTree({ key: 'price' });
+            levels.init([
+                { price: 99.5, size: 10 },
+                { price: 100, size: 4 },
+                { price: 100.25, size: 7 }
+            ]);
+            expect(levels.floor(100.1)).to.deep.equal({ price: 100, size: 4 });
+            expect(levels.ceiling(100.1)).to.deep.equal({ price: 100.25, size: 7 });
+        });
+    });
+
+    describe('lower() and higher()', function() {
+        it('should return the nearest value strictly below the key', function() {
+            expect(tree.lower(30)).to.equal(20);
+            expect(tree.lower(35)).to.equal(30);
+            expect(tree.lower(10)).to.be.null;
+        });
+
+        it('should return the nearest value strictly above the key', function() {
+            expect(tree.higher(30)).to.equal(40);
+            expect(tree.higher(35)).to.equal(40);
+            expect(tree.higher(50)).to.be.null;
+        });
+
+        it('should throw error for null/undefined keys', function() {
+            expect(() => tree.floor(null)).to.throw('Key cannot be undefined or null');
+            expect(() => tree.ceiling(undefined)).to.throw('Key cannot be undefined or null');
+            expect(() => tree.lower(null)).to.throw('Key cannot be undefined or null');
+            expect(() => tree.higher(undefined)).to.throw('Key cannot be undefined or null');
+        });
+    });
+
+    describe('successor() and predecessor()', function() {
+        it('should walk forwards through every node', function() {
+            const keys = [];
+            for (let node = tree.getMinimumNode(); node; node = tree.successor(node)) {
+                keys.push(node.key);
+            }
+            expect(keys).to.deep.equal([10, 20, 30, 40, 50]);
+        });
+
+        it('should walk backwards through every node', function() {
+            const keys = [];
+            for (let node = tree.getMaximumNode(); node; node = tree.predecessor(node)) {
+                keys.push(node.key);
+            }
+            expect(keys).to.deep.equal([50, 40, 30, 20, 10]);
+        });
+
+        it('should return null at either end', function() {
+            expect(tree.successor(tree.getMaximumNode())).to.be.null;
+            expect(tree.predecessor(tree.getMinimumNode())).to.be.null;
+        });
+
+        it('should keep parent pointers valid after removals', function() {
+            const large = new BTree();
+            for (let i = 1; i <= 200; i++) {
+                large.add(i);
+            }
+            for (let i = 3; i <= 200; i += 3) {
+                large.remove(i);
+                checkParents(large.root, null);
+            }
+
+            const keys = [];
+            for (let node = large.getMinimumNode(); node; node = large.successor(node)) {
+                keys.push(node.key);
+            }
+            expect(keys).to.deep.equal(large.items());
+        });
+
+        it('should throw error for invalid nodes', function() {
+            expect(() => tree.successor(null)).to.throw('Node must be a tree node');
+            expect(() => tree.predecessor({ key: 1 })).to.throw('Node must be a tree node');
+        });
+    });
+});
@@ -0,0 +1,107 @@
+const expect = require('chai').expect;
+const { BTree, BPlusTree } = require('../lib/btree');
+
+const documents = [
+    { id: 'c', meta: { createdAt: '2024-03-01', author: { name: 'Ann' } }, address: { postcode: 'EH1' } },
+    { id: 'a', meta: { createdAt: '2024-01-15', author: { name: 'Bob' } }, address: { postcode: 'G2' } },
+    { id: 'b', meta: { createdAt: '2024-02-10', author: { name: 'Ann' } }, address: { postcode: 'EH1' } }
+];
+
+describe('Nested Property Paths', function() {
+    describe('Key option', function() {
+        it('should order by a dotted path', function() {
+            const tree = new BTree({ key: 'meta.createdAt' });
+            tree.init(documents);
+
+            expect(tree.items().map(doc => doc.id)).to.deep.equal(['a', 'b', 'c']);
+            expect(tree.find('2024-02-10').id).to.equal('b');
+            expect([...tree.keys()]).to.deep.equal(['2024-01-15', '2024-02-10', '2024-03-01']);
+        });
+
+        it('should accept array paths as compound key fields', function() {
+            const tree = new BTree({ key: [['meta', 'author', 'name'], { path: 'meta.createdAt', direction: 'desc' }] });
+            tree.init(documents);
+
+            expect(tree.findAll(['Ann']).map(doc => doc.id)).to.deep.equal(['c', 'b']);
+            expect(tree.find('Bob').id).to.equal('a');
+        });
+
+        it('should support nested paths in BPlusTree', function() {
+            const tree = new BPlusTree({ order: 3, key: 'meta.author.name' });
+            tree.init(documents);
+
+            expect(tree.findAll('Ann').map(doc => doc.id)).to.deep.equal(['c', 'b']);
+        });
+
+        it('should read segments containing dots from array paths', function() {
+            const tree = new BTree({ key: [['headers', 'x.request.id']] });
+            tree.add({ headers: { 'x.request.id': 'r1' } });
+
+            expect(tree.find('r1').headers['x.request.id']).to.equal('r1');
+        });
+    });
+
+    describe('Missing paths', function() {
+        let tree;
+
+        beforeEach(function() {
+            tree = new BTree({ key: 'user.address.postcode' });
+        });
+
+        it('should name the missing part of the path', function() {
+            expect(() => tree.add({ user: {} }))
+                .to.throw("Object must have property 'user.address' to read 'user.address.postcode'");
+            expect(() => tree.add({ account: {} }))
+                .to.throw("Object must have property 'user' to read 'user.address.postcode'");
+            expect(() => tree.add({ user: { address: {} } }))
+                .to.throw("Object must have property 'user.address.postcode'");
+        });
+
+        it('should reject null and non-object values along the path', function() {
+            expect(() => tree.add({ user: { address: null } }))
+                .to.throw("Object property 'user.address' cannot be undefined or null to read 'user.address.postcode'");
+            expect(() => tree.add({ user: { address: 'unknown' } }))
+                .to.throw("Object property 'user.address' must be an object to read 'user.address.postcode'");
+            expect(() => tree.add({ user: { address: { postcode: null } } }))
+                .to.throw("Object property 'user.address.postcode' cannot be undefined or null");
+        });
+
+        it('should report the index of array items with missing paths', function() {
+            expect(() => tree.add([{ user: { address: { postcode: 'EH1' } } }, { user: {} }]))
+                .to.throw("Array item at index 1: Object must have property 'user.address'");
+        });
+
+        it('should throw error for paths with empty segments', function() {
+            expect(() => new BTree({ key: 'meta..createdAt' }))
+                .to.throw("Property path 'meta..createdAt' must not have empty segments");
+            expect(() => new BTree({ key: [['meta', '']] }))
+                .to.throw("Property path 'meta.' must not have empty segments");
+        });
+    });
+
+    describe('find() and findAll() property queries', function() {
+        let tree;
+
+        beforeEach(function() {
+            tree = new BTree();
+            tree.init(documents.concat([{ id: 'd', meta: null }, { id: 'e' }]));
+        });
+
+        it('should match nested properties by dotted path', function() {
+            expect(tree.findAll({ 'address.postcode': 'EH1' }).map(doc => doc.id)).to.deep.equal(['b', 'c']);
+            expect(tree.find({ 'meta.author.name': 'Bob' }).id).to.equal('a');
+        });
+
+        it('should treat missing paths as non-matches', function() {
+            expect(tree.findAll({ 'meta.author.name': 'Nobody' })).to.deep.equal([]);
+            expect(tree.findAll({ 'missing.path': 'x' })).to.deep.equal([]);
+        });
+
+        it('should match nested properties in BPlusTree', function() {
+            const bplus = new BPlusTree();
+            bplus.init(documents);
+            expect(bplus.findAll({ 'address.postcode': 'EH1', 'meta.author.name': 'Ann' }).map(doc => doc.id))
+                .to.deep.equal(['b', 'c']);
+        });
+    });
+});
@@ -0,0 +1,159 @@
+const expect = require('chai').expect;
+const { BTree } = require('../lib/btree');
+
+// Verify every node's subtree count matches its actual number of descendants
+function countNodes(node) {
+    if (!node) {
+        return 0;
+    }
+    const count = 1 + countNodes(node.left) + countNodes(node.right);
+    expect(node.size).to.equal(count);
+    return count;
+}
+
+describe('Order Statistics', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+    });
+
+    describe('Subtree sizes', function() {
+        it('should maintain subtree sizes through insertions', function() {
+            for (let i = 1; i <= 100; i++) {
+                tree.add(i);
+                countNodes(tree.root);
+            }
+            expect(tree.size()).to.equal(100);
+        });
+
+        it('should maintain subtree sizes through removals', function() {
+            for (let i = 1; i <= 100; i++) {
+                tree.add(i);
+            }
+            for (let i = 1; i <= 100; i += 2) {
+                tree.remove(i);
+                countNodes(tree.root);
+            }
+            expect(tree.size()).to.equal(50);
+        });
+
+        it('should maintain subtree sizes through balancing and clearing', function() {
+            tree.init([5, 3, 8, 1, 4]);
+            tree.balance();
+            countNodes(tree.root);
+            expect(tree.size()).to.equal(5);
+
+            tree.clear();
+            expect(tree.size()).to.equal(0);
+        });
+
+        it('should compute size without materialising items', function() {
+            for (let i = 1; i <= 10; i++) {
+                tree.add(i);
+            }
+            tree.items = () => {
+                throw new Error('items() should not be called');
+            };
+            expect(tree.size()).to.equal(10);
+        });
+    });
+
+    describe('rank()', function() {
+        beforeEach(function() {
+            tree.init([10, 20, 30, 40, 50]);
+        });
+
+        it('should count keys less than the given key', function() {
+            expect(tree.rank(10)).to.equal(0);
+            expect(tree.rank(30)).to.equal(2);
+            expect(tree.rank(50)).to.equal(4);
+        });
+
+        it('should rank keys that are not in the tree', function() {
+            expect(tree.rank(5)).to.equal(0);
+            expect(tree.rank(35)).to.equal(3);
+            expect(tree.rank(100)).to.equal(5);
+        });
+
+        it('should return zero for an empty tree', function() {
+            expect(new BTree().rank(1)).to.equal(0);
+        });
+
+        it('should throw error for null/undefined keys', function() {
+            expect(() => tree.rank(null)).to.throw('Key cannot be undefined or null');
+            expect(() => tree.rank(undefined)).to.throw('Key cannot be undefined or null');
+        });
+    });
+
+    describe('select() and at()', function() {
+        beforeEach(function() {
+            tree.init(['delta', 'alpha', 'echo', 'charlie', 'bravo']);
+        });
+
+        it('should select the i-th smallest value', function() {
+            expect(tree.select(0)).to.equal('alpha');
+            expect(tree.select(2)).to.equal('charlie');
+            expect(tree.select(4)).to.equal('echo');
+        });
+
+        it('should select from the end with negative indexes', function() {
+            expect(tree.select(-1)).to.equal('echo');
+            expect(tree.select(-5)).to.equal('alpha');
+        });
+
+        it('should agree with items() for every index', function() {
+            const large = new BTree();
+            for (let i = 0; i < 500; i++) {
+                large.add((i * 7919) % 1000);
+            }
+            const items = large.items();
+            for (let i = 0; i < items.length; i++) {
+                expect(large.select(i)).to.equal(items[i]);
+            }
+        });
+
+        it('should throw error for out of range indexes', function() {
+            expect(() => tree.select(5)).to.throw('Index 5 out of range');
+            expect(() => tree.select(-6)).to.throw('Index -6 out of range');
+            expect(() => new BTree().select(0)).to.throw('Index 0 out of range');
+        });
+
+        it('should throw error for non-integer indexes', function() {
+            expect(() => tree.select(1.5)).to.throw('Index must be an integer');
+            expect(() => tree.select('1')).to.throw('Index must be an integer');
+            expect(() => tree.at(null)).to.throw('Index must be an integer');
+        });
+
+        it('should return undefined from at() when out of range', function() {
+            expect(tree.at(1)).to.equal('bravo');
+            expect(tree.at(-2)).to.equal('delta');
+            expect(tree.at(5)).to.be.undefined;
+            expect(tree.at(-6)).to.be.undefined;
+        });
+
+        it('should paginate by offset', function() {
+            const page = [];
+            for (let i = 2; i < 4; i++) {
+                page.push(tree.at(i));
+            }
+            expect(page).to.deep.equal(['charlie', 'delta']);
+        });
+    });
+
+    describe('median()', function() {
+        it('should return the middle value for an odd number of items', function() {
+            tree.init([9, 1, 5, 3, 7]);
+            expect(tree.median()).to.equal(5);
+        });
+
+        it('should return the lower median for an even number of items', function() {
+            tree.init([4, 1, 3, 2]);
+            expect(tree.median()).to.equal(2);
+        });
+
+        it('should throw error for median on empty tree', function() {
+            expect(() => tree.median()).to.throw('Cannot find median in empty tree');
+        });
+    });
+});
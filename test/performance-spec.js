@@ -1,5 +1,19 @@
 const expect = require('chai').expect;
-const { BTree } = require('../lib/btree');
+const { BTree, BPlusTree } = require('../lib/btree');
+
+// Time fn in milliseconds
+function measure(fn) {
+    const startTime = process.hrtime.bigint();
+    fn();
+    return Number(process.hrtime.bigint() - startTime) / 1000000;
+}
+
+// Print AVL and B+tree timings side by side when run with BENCHMARK=1
+function report(workload, avlDuration, bplusDuration) {
+    if (process.env.BENCHMARK) {
+        console.log(`      ${workload}: AVL ${avlDuration.toFixed(1)}ms, B+tree ${bplusDuration.toFixed(1)}ms`);
+    }
+}
 
 describe('Performance Benchmarks', function() {
     let tree;
@@ -60,6 +74,38 @@ describe('Performance Benchmarks', function() {
         });
     });
 
+    describe('Bulk Loading Performance', function() {
+        it('should bulk load 100000 sorted items efficiently', function() {
+            const values = [];
+            for (let i = 1; i <= 100000; i++) {
+                values.push(i);
+            }
+
+            const startTime = process.hrtime.bigint();
+            const bulkTree = BTree.fromSorted(values);
+            const endTime = process.hrtime.bigint();
+            const duration = Number(endTime - startTime) / 1000000;
+
+            expect(bulkTree.size()).to.equal(100000);
+            expect(bulkTree.getHeight()).to.equal(17);
+            expect(duration).to.be.at.most(1000); // Should complete in under 1 second
+        });
+
+        it('should rebalance 100000 items in linear time', function() {
+            for (let i = 1; i <= 100000; i++) {
+                tree.add(i);
+            }
+
+            const startTime = process.hrtime.bigint();
+            tree.balance();
+            const endTime = process.hrtime.bigint();
+            const duration = Number(endTime - startTime) / 1000000;
+
+            expect(tree.isAVLBalanced()).to.be.true;
+            expect(duration).to.be.at.most(500); // Should complete in under 500ms
+        });
+    });
+
     describe('Search Performance', function() {
         beforeEach(function() {
             // Pre-populate tree with 1000 items
@@ -295,6 +341,105 @@ describe('Performance Benchmarks', function() {
         });
     });
 
+    describe('Secondary Index Performance', function() {
+        it('should find 1000 items by an indexed property efficiently', function() {
+            const catalog = [];
+            for (let i = 0; i < 100000; i++) {
+                catalog.push({ id: i, sku: `SKU-${i}` });
+            }
+            const indexed = BTree.fromSorted(catalog);
+            indexed.createIndex('sku', { unique: true });
+
+            const duration = measure(() => {
+                for (let i = 0; i < 1000; i++) {
+                    indexed.find({ sku: `SKU-${i * 97}` });
+                }
+            });
+
+            expect(indexed.find({ sku: 'SKU-99999' }).id).to.equal(99999);
+            expect(duration).to.be.at.most(100); // A full scan per query would take seconds
+        });
+    });
+
+    describe('AVL vs B+tree Benchmarks', function() {
+        const count = 50000;
+        let keys;
+
+        before(function() {
+            // Deterministic shuffle so both trees see the same workload
+            keys = Array.from({ length: count }, (_, i) => i);
+            let seed = 42;
+            for (let i = keys.length - 1; i > 0; i--) {
+                seed = (seed * 1103515245 + 12345) % 2147483648;
+                const j = seed % (i + 1);
+                [keys[i], keys[j]] = [keys[j], keys[i]];
+            }
+        });
+
+        // Build both trees from the shuffled keys
+        function build() {
+            const avlTree = new BTree();
+            const bplusTree = new BPlusTree({ order: 64 });
+            const avlDuration = measure(() => keys.forEach(key => avlTree.add({ id: key })));
+            const bplusDuration = measure(() => keys.forEach(key => bplusTree.add({ id: key })));
+            return { avlTree, bplusTree, avlDuration, bplusDuration };
+        }
+
+        it('should insert 50000 random items into both trees efficiently', function() {
+            const { avlTree, bplusTree, avlDuration, bplusDuration } = build();
+            report('insert', avlDuration, bplusDuration);
+
+            expect(avlTree.size()).to.equal(count);
+            expect(bplusTree.size()).to.equal(count);
+            expect(avlDuration).to.be.at.most(2000);
+            expect(bplusDuration).to.be.at.most(2000);
+        });
+
+        it('should look up 50000 items in both trees efficiently', function() {
+            const { avlTree, bplusTree } = build();
+            const avlDuration = measure(() => keys.forEach(key => avlTree.find(key)));
+            const bplusDuration = measure(() => keys.forEach(key => bplusTree.find(key)));
+            report('find', avlDuration, bplusDuration);
+
+            expect(bplusTree.find(123)).to.deep.equal({ id: 123 });
+            expect(avlDuration).to.be.at.most(2000);
+            expect(bplusDuration).to.be.at.most(2000);
+        });
+
+        it('should scan ranges in both trees efficiently', function() {
+            const { avlTree, bplusTree } = build();
+            let avlResult;
+            let bplusResult;
+            const avlDuration = measure(() => {
+                for (let low = 0; low < count; low += 500) {
+                    avlResult = avlTree.range({ gte: low, lt: low + 5000 });
+                }
+            });
+            const bplusDuration = measure(() => {
+                for (let low = 0; low < count; low += 500) {
+                    bplusResult = bplusTree.range({ gte: low, lt: low + 5000 });
+                }
+            });
+            report('range', avlDuration, bplusDuration);
+
+            expect(bplusResult).to.deep.equal(avlResult);
+            expect(avlDuration).to.be.at.most(2000);
+            expect(bplusDuration).to.be.at.most(2000);
+        });
+
+        it('should remove 50000 random items from both trees efficiently', function() {
+            const { avlTree, bplusTree } = build();
+            const avlDuration = measure(() => keys.forEach(key => avlTree.remove(key)));
+            const bplusDuration = measure(() => keys.forEach(key => bplusTree.remove(key)));
+            report('remove', avlDuration, bplusDuration);
+
+            expect(avlTree.isEmpty()).to.be.true;
+            expect(bplusTree.isEmpty()).to.be.true;
+            expect(avlDuration).to.be.at.most(2000);
+            expect(bplusDuration).to.be.at.most(2000);
+        });
+    });
+
     describe('Comparison with Unbalanced Tree', function() {
         it('should demonstrate AVL advantage over unbalanced BST', function() {
             // Create AVL tree
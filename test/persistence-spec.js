@@ -0,0 +1,247 @@
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BTree, ImmutableBTree, BTreeError, InvalidOptionsError } = require('../lib/btree');
+
+describe('Write-ahead Log Persistence', function() {
+    let dir;
+    let file;
+    let tree;
+
+    beforeEach(function() {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'btree-log-'));
+        file = path.join(dir, 'tree.log');
+    });
+
+    afterEach(function() {
+        if (tree) {
+            tree.close();
+            tree = null;
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    function lines() {
+        return fs.readFileSync(file, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+    }
+
+    function reopen(options) {
+        tree.close();
+        tree = BTree.open(file, options);
+        return tree;
+    }
+
+    describe('open', function() {
+        it('should create a log that starts with a checkpoint', function() {
+            tree = BTree.open(file, { key: 'sku' });
+            expect(tree.isEmpty()).to.be.true;
+            expect(lines()).to.deep.equal([['checkpoint', { version: 1, options: { key: 'sku', duplicates: 'allow' }, entries: [] }]]);
+        });
+
+        it('should append every change and restore it on reopen', function() {
+            tree = BTree.open(file);
+            tree.add({ id: 1, name: 'one' });
+            tree.add([{ id: 2 }, { id: 3 }]);
+            tree.remove(2);
+            expect(lines().slice(1)).to.deep.equal([
+                ['+', 1, { id: 1, name: 'one' }],
+                ['+', 2, { id: 2 }],
+                ['+', 3, { id: 3 }],
+                ['-', 2, { id: 2 }]
+            ]);
+
+            reopen();
+            expect(tree.items()).to.deep.equal([{ id: 1, name: 'one' }, { id: 3 }]);
+            expect(tree.isAVLBalanced()).to.be.true;
+
+            tree.clear();
+            tree.add({ id: 4 });
+            expect(reopen().items()).to.deep.equal([{ id: 4 }]);
+        });
+
+        it('should replay replaced values, buckets and evictions', function() {
+            tree = BTree.open(file, { duplicates: 'bucket', maxSize: 4 });
+            tree.init(['b', 'a', 'a', 'c']);
+            tree.set('b', 'b');
+            tree.add('d');
+            tree.applyPatch([{ type: 'changed', key: 'a', value: 'a', oldValue: 'a' }]);
+            const expected = tree.items();
+
+            reopen();
+            expect(tree.items()).to.deep.equal(expected);
+            expect(tree.options.maxSize).to.equal(4);
+            tree.add('e');
+            expect(tree.items()).to.deep.equal(['b', 'c', 'd', 'e']);
+        });
+
+        it('should replay option changes made by init()', function() {
+            tree = BTree.open(file);
+            tree.init([3, 1, 2], { maxSize: 2 });
+            tree.add(4);
+            tree.init(undefined, { maxSize: undefined, duplicates: 'replace' });
+
+            reopen();
+            expect(tree.items()).to.deep.equal([3, 4]);
+            expect(tree.options.maxSize).to.be.undefined;
+            expect(tree.options.duplicates).to.equal('replace');
+        });
+
+        it('should keep Date keys and accept a custom compare', function() {
+            const descending = (a, b) => b - a;
+            tree = BTree.open(file, { key: 'at', compare: descending });
+            const day = new Date('2024-01-02T00:00:00Z');
+            tree.add({ at: day, n: 1 });
+            tree.add({ at: new Date('2024-01-01T00:00:00Z'), n: 2 });
+
+            reopen({ key: 'at', compare: descending });
+            expect(tree.find(day).n).to.equal(1);
+            expect(tree.keys().next().value).to.be.instanceOf(Date);
+            expect(tree.items().map(item => item.n)).to.deep.equal([1, 2]);
+        });
+
+        it('should validate its arguments', function() {
+            expect(() => BTree.open('')).to.throw('Path must be a non-empty string');
+            expect(() => BTree.open(file, { checkpointInterval: 0 }))
+                .to.throw(InvalidOptionsError, 'CheckpointInterval option must be a positive integer');
+            expect(() => ImmutableBTree.open(file)).to.throw(BTreeError, 'ImmutableBTree does not support persistence');
+        });
+    });
+
+    describe('crash recovery', function() {
+        it('should drop a torn last record and keep appending after it', function() {
+            tree = BTree.open(file);
+            tree.add(1);
+            tree.add(2);
+            tree.close();
+            fs.appendFileSync(file, '["+",3');
+
+            tree = BTree.open(file);
+            expect(tree.items()).to.deep.equal([1, 2]);
+            tree.add(4);
+            expect(reopen().items()).to.deep.equal([1, 2, 4]);
+            expect(lines()).to.have.length(4);
+        });
+
+        it('should drop an unreadable last line', function() {
+            tree = BTree.open(file);
+            tree.add(1);
+            tree.close();
+            fs.appendFileSync(file, '\u0000\u0000\u0000\n');
+
+            tree = BTree.open(file);
+            expect(tree.items()).to.deep.equal([1]);
+        });
+
+        it('should refuse corrupt records before the last line', function() {
+            tree = BTree.open(file);
+            tree.add(1);
+            tree.close();
+            tree = null;
+            fs.appendFileSync(file, 'garbage\n["+",2]\n');
+
+            expect(() => BTree.open(file)).to.throw("Failed to open tree log '" + file + "': Log line 3 is corrupt");
+        });
+
+        it('should refuse files that are not tree logs', function() {
+            fs.writeFileSync(file, '["+",1]\n');
+            expect(() => BTree.open(file)).to.throw('Log must start with a checkpoint');
+            fs.writeFileSync(file, '["checkpoint",{"version":1,"options":{},"entries":[]}]\n["-",1]\n');
+            expect(() => BTree.open(file)).to.throw("Failed to replay log record 1: No matching value for key '1' in tree");
+        });
+    });
+
+    describe('checkpoint', function() {
+        it('should compact the log into a single snapshot', function() {
+            tree = BTree.open(file);
+            for (let i = 0; i < 20; i++) {
+                tree.add(i);
+            }
+            tree.removeAll(5);
+            expect(tree.checkpoint()).to.equal(tree);
+            expect(lines()).to.have.length(1);
+            expect(fs.existsSync(`${file}.tmp`)).to.be.false;
+
+            tree.add(100);
+            expect(lines()).to.have.length(2);
+            expect(reopen().size()).to.equal(20);
+        });
+
+        it('should checkpoint automatically once the interval is reached', function(done) {
+            tree = BTree.open(file, { checkpointInterval: 5 });
+            tree.add([1, 2, 3, 4, 5, 6].map(id => ({ id })));
+            expect(lines()).to.have.length(7);
+            setImmediate(() => {
+                expect(lines()).to.have.length(1);
+                expect(reopen().size()).to.equal(6);
+                done();
+            });
+        });
+
+        it('should not checkpoint during a transaction or without a log', function() {
+            tree = BTree.open(file);
+            tree.begin();
+            expect(() => tree.checkpoint()).to.throw('Cannot checkpoint during a transaction');
+            tree.rollback();
+            expect(() => new BTree().checkpoint()).to.throw('Tree was not opened with BTree.open()');
+        });
+    });
+
+    describe('transactions and close', function() {
+        it('should only log committed changes', function() {
+            tree = BTree.open(file, { duplicates: 'reject' });
+            tree.add(1);
+            expect(() => tree.init([2, 3, 1])).to.throw('already exists');
+            expect(() => tree.transaction(t => {
+                t.add(4);
+                throw new Error('boom');
+            })).to.throw('boom');
+            tree.transaction(t => t.add(5));
+
+            expect(lines().slice(1)).to.deep.equal([['+', 1], ['+', 5]]);
+            expect(reopen().items()).to.deep.equal([1, 5]);
+        });
+
+        it('should log changes whose listeners throw', function() {
+            tree = BTree.open(file);
+            tree.on('add', ({ key }) => {
+                if (key === 2 || key === 4) {
+                    throw new Error('listener failed');
+                }
+            });
+            tree.add(1);
+            // The log used to listen after every user listener once it had checkpointed
+            tree.checkpoint();
+            expect(() => tree.add(2)).to.throw('listener failed');
+            expect(() => tree.transaction(t => {
+                t.add(4);
+                t.add(5);
+            })).to.throw('listener failed');
+            tree.add(3);
+
+            expect(tree.items()).to.deep.equal([1, 2, 3, 4, 5]);
+            expect(reopen().items()).to.deep.equal([1, 2, 3, 4, 5]);
+        });
+
+        it('should keep logging after removeAllListeners()', function() {
+            tree = BTree.open(file);
+            tree.add(1);
+            tree.removeAllListeners();
+            tree.add(2);
+            tree.remove(1);
+
+            expect(lines().slice(1)).to.deep.equal([['+', 1], ['+', 2], ['-', 1]]);
+            expect(reopen().items()).to.deep.equal([2]);
+        });
+
+        it('should stop logging once closed', function() {
+            tree = BTree.open(file);
+            tree.add(1);
+            expect(tree.close()).to.equal(tree);
+            tree.add(2);
+            expect(tree.close()).to.equal(tree);
+
+            expect(BTree.open(file).close().items()).to.deep.equal([1]);
+        });
+    });
+});
@@ -0,0 +1,144 @@
+const expect = require('chai').expect;
+const { BTree } = require('../lib/btree');
+
+describe('Predicate Queries', function() {
+    let tree;
+    let calls;
+
+    // Predicate that records every value it is called with
+    function tracked(predicate) {
+        return (value, key) => {
+            calls.push(key);
+            return predicate(value, key);
+        };
+    }
+
+    beforeEach(function() {
+        tree = new BTree();
+        for (let i = 1; i <= 10; i++) {
+            tree.add({ id: i, even: i % 2 === 0 });
+        }
+        calls = [];
+    });
+
+    describe('filter', function() {
+        it('should return matching values in key order', function() {
+            expect(tree.filter(value => value.even).map(value => value.id)).to.deep.equal([2, 4, 6, 8, 10]);
+            expect(tree.filter((value, key) => key > 8).map(value => value.id)).to.deep.equal([9, 10]);
+        });
+
+        it('should only walk the given range', function() {
+            const results = tree.filter(tracked(value => value.even), { gte: 3, lt: 7 });
+            expect(results.map(value => value.id)).to.deep.equal([4, 6]);
+            expect(calls).to.deep.equal([3, 4, 5, 6]);
+        });
+
+        it('should walk backwards with reverse', function() {
+            expect(tree.filter(value => value.even, { reverse: true }).map(value => value.id)).to.deep.equal([10, 8, 6, 4, 2]);
+        });
+    });
+
+    describe('findFirst and findLast', function() {
+        it('should stop at the first match', function() {
+            expect(tree.findFirst(tracked(value => value.id > 3)).id).to.equal(4);
+            expect(calls).to.deep.equal([1, 2, 3, 4]);
+        });
+
+        it('should search from the end for findLast', function() {
+            expect(tree.findLast(tracked(value => value.id < 8)).id).to.equal(7);
+            expect(calls).to.deep.equal([10, 9, 8, 7]);
+        });
+
+        it('should respect ranges', function() {
+            expect(tree.findFirst(value => value.even, { gt: 4 }).id).to.equal(6);
+            expect(tree.findLast(value => value.even, { lte: 5 }).id).to.equal(4);
+        });
+
+        it('should return undefined without a match', function() {
+            expect(tree.findFirst(value => value.id > 100)).to.be.undefined;
+            expect(tree.findLast(value => value.id > 100)).to.be.undefined;
+            expect(new BTree().findFirst(() => true)).to.be.undefined;
+        });
+    });
+
+    describe('some and every', function() {
+        it('should short-circuit some', function() {
+            expect(tree.some(tracked(value => value.id === 2))).to.be.true;
+            expect(calls).to.deep.equal([1, 2]);
+            expect(tree.some(value => value.id > 10)).to.be.false;
+        });
+
+        it('should short-circuit every', function() {
+            expect(tree.every(tracked(value => value.id < 3))).to.be.false;
+            expect(calls).to.deep.equal([1, 2, 3]);
+            expect(tree.every(value => value.id > 0)).to.be.true;
+        });
+
+        it('should respect ranges', function() {
+            expect(tree.every(value => value.even, { gte: 4, lte: 4 })).to.be.true;
+            expect(tree.some(value => value.id === 1, { gt: 1 })).to.be.false;
+        });
+
+        it('should handle empty trees like arrays', function() {
+            const empty = new BTree();
+            expect(empty.some(() => true)).to.be.false;
+            expect(empty.every(() => false)).to.be.true;
+        });
+    });
+
+    describe('count', function() {
+        it('should count values matching a predicate', function() {
+            expect(tree.count(value => value.even)).to.equal(5);
+            expect(tree.count(value => value.even, { gt: 5 })).to.equal(3);
+        });
+
+        it('should still count values by key', function() {
+            tree.add({ id: 3, even: false });
+            expect(tree.count(3)).to.equal(2);
+        });
+    });
+
+    describe('reduce', function() {
+        it('should fold values in key order', function() {
+            expect(tree.reduce((sum, value) => sum + value.id, 0)).to.equal(55);
+            expect(tree.reduce((ids, value, key) => ids.concat(key), [], { gte: 8 })).to.deep.equal([8, 9, 10]);
+            expect(tree.reduce((ids, value) => ids.concat(value.id), [], { lt: 4, reverse: true })).to.deep.equal([3, 2, 1]);
+        });
+
+        it('should use the first value without an initial value', function() {
+            const tags = new BTree({ key: tag => tag });
+            tags.init(['b', 'c', 'a']);
+            expect(tags.reduce((joined, tag) => joined + tag)).to.equal('abc');
+        });
+
+        it('should throw error reducing an empty tree without an initial value', function() {
+            expect(() => new BTree().reduce((sum, value) => sum + value)).to.throw('Failed to reduce tree: Cannot reduce an empty tree without an initial value');
+            expect(new BTree().reduce((sum, value) => sum + value, 0)).to.equal(0);
+        });
+    });
+
+    describe('Duplicates', function() {
+        it('should visit every value of a bucket', function() {
+            const bucketed = new BTree({ duplicates: 'bucket' });
+            bucketed.init([{ id: 1, n: 'a' }, { id: 1, n: 'b' }, { id: 2, n: 'c' }]);
+            expect(bucketed.filter(() => true).map(value => value.n)).to.deep.equal(['a', 'b', 'c']);
+            expect(bucketed.count((value, key) => key === 1)).to.equal(2);
+            expect(bucketed.findLast(value => value.id === 1).n).to.equal('b');
+        });
+    });
+
+    describe('Validation', function() {
+        it('should throw error for invalid callbacks and ranges', function() {
+            expect(() => tree.filter('even')).to.throw('Failed to filter tree: Callback must be a function');
+            expect(() => tree.some()).to.throw('Failed to test tree: Callback must be a function');
+            expect(() => tree.findFirst(() => true, { gt: 1, gte: 1 })).to.throw('Range cannot have both gt and gte bounds');
+            expect(() => tree.reduce(null, 0)).to.throw('Failed to reduce tree: Callback must be a function');
+        });
+
+        it('should not swallow errors thrown by the predicate', function() {
+            expect(() => tree.every(() => {
+                throw new Error('boom');
+            })).to.throw('Failed to test tree: boom');
+        });
+    });
+});
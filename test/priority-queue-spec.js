@@ -0,0 +1,145 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree } = require('../lib/btree');
+
+describe('Priority Queue Operations', function() {
+    let queue;
+
+    beforeEach(function() {
+        queue = new BTree({ key: 'priority' });
+        queue.init([5, 1, 4, 2, 3].map(priority => ({ priority, task: `task ${priority}` })));
+    });
+
+    describe('popMin and popMax', function() {
+        it('should remove and return the extremes', function() {
+            expect(queue.popMin().priority).to.equal(1);
+            expect(queue.popMax().priority).to.equal(5);
+            expect(queue.items().map(item => item.priority)).to.deep.equal([2, 3, 4]);
+            expect(queue.size()).to.equal(3);
+            expect(queue.isAVLBalanced()).to.be.true;
+        });
+
+        it('should return undefined when empty', function() {
+            const empty = new BTree();
+            expect(empty.popMin()).to.be.undefined;
+            expect(empty.popMax()).to.be.undefined;
+        });
+
+        it('should keep the tree balanced and ordered while draining', function() {
+            const numbers = new BTree();
+            for (let i = 0; i < 200; i++) {
+                numbers.add((i * 37) % 200);
+            }
+
+            const drained = [];
+            while (!numbers.isEmpty()) {
+                drained.push(drained.length % 2 === 0 ? numbers.popMin() : numbers.popMax());
+                expect(numbers.isAVLBalanced()).to.be.true;
+                expect(numbers.isBalanced()).to.be.true;
+            }
+            expect(drained.slice(0, 4)).to.deep.equal([0, 199, 1, 198]);
+            expect(drained).to.have.length(200);
+        });
+
+        it('should pop duplicates in insertion order', function() {
+            queue.add({ priority: 1, task: 'second 1' });
+            expect(queue.popMin().task).to.equal('task 1');
+            expect(queue.popMin().task).to.equal('second 1');
+
+            const buckets = new BTree({ duplicates: 'bucket' });
+            buckets.init(['b', 'a', 'a', 'c', 'c']);
+            expect(buckets.popMin()).to.equal('a');
+            expect(buckets.count('a')).to.equal(1);
+            expect(buckets.popMax()).to.equal('c');
+            expect(buckets.size()).to.equal(3);
+            expect([...buckets]).to.deep.equal(['a', 'b', 'c']);
+        });
+
+        it('should emit remove events and update indexes', function() {
+            const removed = [];
+            queue.on('remove', event => removed.push(event.key));
+            queue.createIndex('task');
+
+            queue.popMin();
+            queue.popMax();
+
+            expect(removed).to.deep.equal([1, 5]);
+            expect(queue.findAll({ task: 'task 1' })).to.deep.equal([]);
+        });
+    });
+
+    describe('popMinN and popMaxN', function() {
+        it('should pop several values in order', function() {
+            expect(queue.popMinN(2).map(item => item.priority)).to.deep.equal([1, 2]);
+            expect(queue.popMaxN(2).map(item => item.priority)).to.deep.equal([5, 4]);
+            expect(queue.popMinN(10).map(item => item.priority)).to.deep.equal([3]);
+            expect(queue.popMinN(1)).to.deep.equal([]);
+        });
+
+        it('should throw error for invalid counts', function() {
+            expect(() => queue.popMinN(-1)).to.throw('Failed to pop minimum values: Count must be a non-negative integer');
+            expect(() => queue.popMaxN(1.5)).to.throw('Failed to pop maximum values: Count must be a non-negative integer');
+            expect(queue.popMinN(0)).to.deep.equal([]);
+        });
+    });
+
+    describe('maxSize option', function() {
+        it('should evict the minimum by default to keep the top k', function() {
+            const top = new BTree({ maxSize: 3 });
+            [5, 1, 9, 3, 7, 2].forEach(score => top.add(score));
+            expect([...top]).to.deep.equal([5, 7, 9]);
+            expect(top.size()).to.equal(3);
+        });
+
+        it('should evict the maximum when configured', function() {
+            const bottom = new BTree({ maxSize: 2, evict: 'max' });
+            bottom.init([4, 8, 1, 6]);
+            expect([...bottom]).to.deep.equal([1, 4]);
+        });
+
+        it('should emit remove events for evicted values', function() {
+            const top = new BTree({ maxSize: 2 });
+            const removed = [];
+            top.on('remove', event => removed.push(event.value));
+            top.init([3, 1, 2]);
+            expect(removed).to.deep.equal([1]);
+        });
+
+        it('should apply to bulk loads, set and option changes', function() {
+            const top = BTree.fromSorted([1, 2, 3, 4, 5], { maxSize: 3 });
+            expect([...top]).to.deep.equal([3, 4, 5]);
+
+            top.set(6, 6);
+            expect([...top]).to.deep.equal([4, 5, 6]);
+
+            top.init(undefined, { maxSize: 1 });
+            expect([...top]).to.deep.equal([6]);
+        });
+
+        it('should throw error for invalid options', function() {
+            expect(() => new BTree({ maxSize: 0 })).to.throw('MaxSize option must be a positive integer');
+            expect(() => new BTree({ maxSize: '10' })).to.throw('MaxSize option must be a positive integer');
+            expect(() => new BTree({ evict: 'oldest' })).to.throw('Evict option must be one of: min, max');
+            expect(() => new BTree().init([], { evict: 'first' })).to.throw('Evict option must be one of: min, max');
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should return new versions from pop methods', function() {
+            const v1 = ImmutableBTree.fromSorted([1, 2, 3, 4, 5]);
+            const v2 = v1.popMin();
+            const v3 = v2.popMaxN(2);
+
+            expect([...v1]).to.deep.equal([1, 2, 3, 4, 5]);
+            expect([...v2]).to.deep.equal([2, 3, 4, 5]);
+            expect([...v3]).to.deep.equal([2, 3]);
+            expect(v3.isAVLBalanced()).to.be.true;
+        });
+
+        it('should evict without changing earlier versions', function() {
+            const v1 = new ImmutableBTree({ maxSize: 2 }).init([1, 2]);
+            const v2 = v1.add(3);
+            expect([...v1]).to.deep.equal([1, 2]);
+            expect([...v2]).to.deep.equal([2, 3]);
+        });
+    });
+});
@@ -0,0 +1,134 @@
+const expect = require('chai').expect;
+const { BTree, BPlusTree } = require('../lib/btree');
+
+const produce = [
+    { id: 1, type: 'fruit', name: 'apple', color: 'red', stock: 10 },
+    { id: 2, type: 'fruit', name: 'orange', color: 'orange', stock: 0 },
+    { id: 3, type: 'fruit', name: 'pear', color: 'green', stock: 4 },
+    { id: 4, type: 'fruit', name: 'banana', color: 'yellow', stock: 25 },
+    { id: 5, type: 'vegetable', name: 'potato', color: 'brown', stock: 40 },
+    { id: 6, type: 'vegetable', name: 'carrot', color: 'orange', stock: 12 },
+    { id: 7, type: 'vegetable', name: 'onion', color: 'white', origin: { country: 'ES' } }
+];
+
+// Ids of the values returned by a query
+function ids(values) {
+    return values.map(value => value.id);
+}
+
+describe('Query Objects', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+        tree.init(produce);
+    });
+
+    describe('AND semantics', function() {
+        it('should match every property', function() {
+            expect(tree.find({ type: 'fruit', id: 4 }).name).to.equal('banana');
+            expect(tree.findAll({ type: 'fruit', id: 5 })).to.deep.equal([]);
+            expect(ids(tree.findAll({ type: 'vegetable', color: 'orange' }))).to.deep.equal([6]);
+        });
+    });
+
+    describe('Comparison operators', function() {
+        it('should support $gt, $gte, $lt and $lte', function() {
+            expect(ids(tree.findAll({ stock: { $gt: 10 } }))).to.deep.equal([4, 5, 6]);
+            expect(ids(tree.findAll({ stock: { $gte: 10, $lt: 25 } }))).to.deep.equal([1, 6]);
+            expect(ids(tree.findAll({ stock: { $lte: 4 } }))).to.deep.equal([2, 3]);
+        });
+
+        it('should never order missing values', function() {
+            expect(ids(tree.findAll({ stock: { $lt: 1000 } }))).to.not.include(7);
+        });
+
+        it('should support $eq and $ne', function() {
+            expect(ids(tree.findAll({ color: { $eq: 'orange' } }))).to.deep.equal([2, 6]);
+            expect(ids(tree.findAll({ type: 'fruit', color: { $ne: 'orange' } }))).to.deep.equal([1, 3, 4]);
+        });
+
+        it('should support $in and $nin', function() {
+            expect(ids(tree.findAll({ name: { $in: ['pear', 'onion', 'kiwi'] } }))).to.deep.equal([3, 7]);
+            expect(ids(tree.findAll({ type: 'fruit', color: { $nin: ['red', 'green'] } }))).to.deep.equal([2, 4]);
+        });
+
+        it('should support $regex', function() {
+            expect(ids(tree.findAll({ name: { $regex: /^p/ } }))).to.deep.equal([3, 5]);
+            expect(ids(tree.findAll({ name: { $regex: 'an' } }))).to.deep.equal([2, 4]);
+            expect(ids(tree.findAll({ name: { $regex: /o/g } }))).to.deep.equal([2, 5, 6, 7]);
+        });
+
+        it('should support $exists', function() {
+            expect(ids(tree.findAll({ 'origin.country': { $exists: true } }))).to.deep.equal([7]);
+            expect(ids(tree.findAll({ stock: { $exists: false } }))).to.deep.equal([7]);
+        });
+    });
+
+    describe('Logical operators', function() {
+        it('should support $or', function() {
+            expect(ids(tree.findAll({ $or: [{ color: 'red' }, { stock: { $gte: 40 } }] }))).to.deep.equal([1, 5]);
+            expect(ids(tree.findAll({ type: 'fruit', $or: [{ stock: 0 }, { name: 'pear' }] }))).to.deep.equal([2, 3]);
+        });
+
+        it('should support $and and nesting', function() {
+            const query = {
+                $and: [
+                    { stock: { $gt: 0 } },
+                    { $or: [{ type: 'vegetable' }, { color: 'yellow' }] }
+                ]
+            };
+            expect(ids(tree.findAll(query))).to.deep.equal([4, 5, 6]);
+        });
+    });
+
+    describe('Key range pushdown', function() {
+        it('should only walk the key range of range criteria on the key', function() {
+            const visited = [];
+            const large = new BTree({
+                compare: (a, b) => {
+                    visited.push(a, b);
+                    return a - b;
+                }
+            });
+            for (let i = 0; i < 5000; i++) {
+                large.add({ id: i, even: i % 2 === 0 });
+            }
+
+            visited.length = 0;
+            const results = large.findAll({ id: { $gte: 2000, $lt: 2010 }, even: true });
+
+            expect(ids(results)).to.deep.equal([2000, 2002, 2004, 2006, 2008]);
+            expect(visited.length).to.be.below(200);
+        });
+
+        it('should combine several bounds on the key', function() {
+            expect(ids(tree.findAll({ id: { $gt: 2, $gte: 3, $lt: 6, $lte: 7 } }))).to.deep.equal([3, 4, 5]);
+            expect(ids(tree.findAll({ id: { $gt: 3, $gte: 3, $lte: 4 } }))).to.deep.equal([4]);
+            expect(ids(tree.findAll({ id: 3, type: 'fruit' }))).to.deep.equal([3]);
+        });
+
+        it('should push down bounds in BPlusTree', function() {
+            const bplus = new BPlusTree({ order: 4 });
+            bplus.init(produce);
+            expect(ids(bplus.findAll({ id: { $gt: 3 }, type: 'vegetable' }))).to.deep.equal([5, 6, 7]);
+            expect(ids(bplus.findAll({ $or: [{ id: 1 }, { name: 'onion' }] }))).to.deep.equal([1, 7]);
+        });
+
+        it('should use indexes for equality criteria', function() {
+            tree.createIndex('type');
+            expect(ids(tree.findAll({ type: 'vegetable', stock: { $gt: 20 } }))).to.deep.equal([5]);
+        });
+    });
+
+    describe('Validation', function() {
+        it('should throw error for invalid queries', function() {
+            expect(() => tree.find({ stock: { $near: 1 } })).to.throw("Unknown query operator '$near'");
+            expect(() => tree.find({ $not: {} })).to.throw("Unknown query operator '$not'");
+            expect(() => tree.find({ name: { $in: 'pear' } })).to.throw('$in requires an array');
+            expect(() => tree.find({ name: { $regex: 5 } })).to.throw('$regex requires a RegExp or string');
+            expect(() => tree.find({ $or: [] })).to.throw('$or requires a non-empty array of queries');
+            expect(() => tree.find({ stock: { $gt: 1, value: 2 } })).to.throw("Query for 'stock' cannot mix operators and values");
+        });
+    });
+});
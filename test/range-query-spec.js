@@ -0,0 +1,112 @@
+const expect = require('chai').expect;
+const { BTree } = require('../lib/btree');
+
+describe('Range Queries', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+        for (let i = 1; i <= 20; i++) {
+            tree.add(i);
+        }
+    });
+
+    describe('range()', function() {
+        it('should return values within inclusive bounds', function() {
+            expect(tree.range({ gte: 5, lte: 9 })).to.deep.equal([5, 6, 7, 8, 9]);
+        });
+
+        it('should return values within exclusive bounds', function() {
+            expect(tree.range({ gt: 5, lt: 9 })).to.deep.equal([6, 7, 8]);
+        });
+
+        it('should support mixed inclusive and exclusive bounds', function() {
+            expect(tree.range({ gte: 5, lt: 9 })).to.deep.equal([5, 6, 7, 8]);
+            expect(tree.range({ gt: 5, lte: 9 })).to.deep.equal([6, 7, 8, 9]);
+        });
+
+        it('should support open-ended ranges', function() {
+            expect(tree.range({ gt: 17 })).to.deep.equal([18, 19, 20]);
+            expect(tree.range({ lte: 3 })).to.deep.equal([1, 2, 3]);
+            expect(tree.range()).to.deep.equal(tree.items());
+        });
+
+        it('should return values in reverse order', function() {
+            expect(tree.range({ gte: 5, lte: 9, reverse: true })).to.deep.equal([9, 8, 7, 6, 5]);
+        });
+
+        it('should limit the number of results', function() {
+            expect(tree.range({ gte: 5, limit: 3 })).to.deep.equal([5, 6, 7]);
+            expect(tree.range({ lte: 15, limit: 2, reverse: true })).to.deep.equal([15, 14]);
+            expect(tree.range({ limit: 0 })).to.deep.equal([]);
+        });
+
+        it('should return an empty array when nothing matches', function() {
+            expect(tree.range({ gt: 20 })).to.deep.equal([]);
+            expect(tree.range({ gte: 9, lte: 5 })).to.deep.equal([]);
+            expect(new BTree().range({ gte: 1 })).to.deep.equal([]);
+        });
+
+        it('should query object values by key', function() {
+            const events = new BTree({ key: 'timestamp' });
+            events.init([
+                { timestamp: new Date('2024-01-01T10:00:00Z'), name: 'start' },
+                { timestamp: new Date('2024-01-01T11:00:00Z'), name: 'checkpoint' },
+                { timestamp: new Date('2024-01-01T12:00:00Z'), name: 'stop' }
+            ]);
+
+            const result = events.range({
+                gte: new Date('2024-01-01T10:30:00Z'),
+                lte: new Date('2024-01-01T12:00:00Z')
+            });
+            expect(result.map(event => event.name)).to.deep.equal(['checkpoint', 'stop']);
+        });
+
+        it('should respect custom comparators', function() {
+            const desc = new BTree({ compare: (a, b) => b - a });
+            desc.init([1, 2, 3, 4, 5]);
+            expect(desc.range({ gte: 4, lte: 2 })).to.deep.equal([4, 3, 2]);
+        });
+
+        it('should only visit the relevant subtrees', function() {
+            let comparisons = 0;
+            const large = new BTree({
+                compare: (a, b) => {
+                    comparisons++;
+                    return a - b;
+                }
+            });
+            for (let i = 1; i <= 10000; i++) {
+                large.add(i);
+            }
+
+            comparisons = 0;
+            expect(large.range({ gte: 5000, lt: 5010 })).to.have.length(10);
+            expect(comparisons).to.be.below(200);
+        });
+
+        it('should throw error for invalid options', function() {
+            expect(() => tree.range('invalid')).to.throw('Range options must be an object');
+            expect(() => tree.range({ gt: 1, gte: 1 })).to.throw('Range cannot have both gt and gte bounds');
+            expect(() => tree.range({ lt: 1, lte: 1 })).to.throw('Range cannot have both lt and lte bounds');
+            expect(() => tree.range({ limit: -1 })).to.throw('Range limit must be a non-negative integer');
+            expect(() => tree.range({ limit: 1.5 })).to.throw('Range limit must be a non-negative integer');
+        });
+    });
+
+    describe('between(), lessThan() and greaterThan()', function() {
+        it('should find values between two keys inclusively', function() {
+            expect(tree.between(3, 6)).to.deep.equal([3, 4, 5, 6]);
+        });
+
+        it('should find values less than a key', function() {
+            expect(tree.lessThan(4)).to.deep.equal([1, 2, 3]);
+            expect(tree.lessThan(4, true)).to.deep.equal([1, 2, 3, 4]);
+        });
+
+        it('should find values greater than a key', function() {
+            expect(tree.greaterThan(17)).to.deep.equal([18, 19, 20]);
+            expect(tree.greaterThan(17, true)).to.deep.equal([17, 18, 19, 20]);
+        });
+    });
+});
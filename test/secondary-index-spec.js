@@ -0,0 +1,212 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree, DuplicateKeyError } = require('../lib/btree');
+
+const products = [
+    { id: 3, sku: 'C-3', type: 'tool', brand: 'acme', model: 'x' },
+    { id: 1, sku: 'A-1', type: 'toy', brand: 'acme', model: 'y' },
+    { id: 4, sku: 'D-4', type: 'tool', brand: 'bolt', model: 'x' },
+    { id: 2, sku: 'B-2', type: 'tool', brand: 'acme', model: 'x' }
+];
+
+// Make _traverse throw so tests prove a query did not scan the tree
+function forbidScan(tree) {
+    tree._traverse = () => {
+        throw new Error('Full scan');
+    };
+}
+
+describe('Secondary Indexes', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+        tree.init(products);
+    });
+
+    describe('createIndex()', function() {
+        it('should answer object queries from the index', function() {
+            tree.createIndex('type');
+            forbidScan(tree);
+
+            expect(tree.findAll({ type: 'tool' }).map(product => product.id)).to.deep.equal([2, 3, 4]);
+            expect(tree.find({ type: 'toy' }).id).to.equal(1);
+            expect(tree.findAll({ type: 'food' })).to.deep.equal([]);
+        });
+
+        it('should return the same results as a full scan', function() {
+            const indexed = new BTree();
+            indexed.init(products);
+            indexed.createIndex('brand');
+
+            expect(indexed.findAll({ brand: 'acme' })).to.deep.equal(tree.findAll({ brand: 'acme' }));
+        });
+
+        it('should support compound indexes', function() {
+            tree.createIndex(['brand', 'model']);
+            forbidScan(tree);
+
+            expect(tree.findAll({ brand: 'acme', model: 'x' }).map(product => product.id)).to.deep.equal([2, 3]);
+        });
+
+        it('should match every property of the search object', function() {
+            tree.createIndex('type');
+            expect(tree.findAll({ type: 'tool', brand: 'bolt' }).map(product => product.id)).to.deep.equal([4]);
+
+            const unindexed = new BTree();
+            unindexed.init(products);
+            expect(unindexed.findAll({ type: 'tool', brand: 'acme' }).map(product => product.id)).to.deep.equal([2, 3]);
+        });
+
+        it('should index nested property paths', function() {
+            const orders = new BTree();
+            orders.init([{ id: 1, customer: { email: 'a@x' } }, { id: 2, customer: { email: 'b@x' } }, { id: 3 }]);
+            orders.createIndex('customer.email', { unique: true });
+            forbidScan(orders);
+
+            expect(orders.find({ 'customer.email': 'b@x' }).id).to.equal(2);
+        });
+
+        it('should list and drop indexes', function() {
+            tree.createIndex('type').createIndex(['brand', 'model'], { unique: false });
+            expect(tree.getIndexes()).to.deep.equal([
+                { fields: ['type'], unique: false },
+                { fields: ['brand', 'model'], unique: false }
+            ]);
+
+            expect(tree.dropIndex('type')).to.be.true;
+            expect(tree.dropIndex('type')).to.be.false;
+            expect(tree.getIndexes()).to.have.length(1);
+        });
+
+        it('should throw error for invalid or repeated indexes', function() {
+            tree.createIndex('type');
+            expect(() => tree.createIndex('type')).to.throw("Failed to create index: Index 'type' already exists");
+            expect(() => tree.createIndex([])).to.throw('Index fields must be a property path or an array of property paths');
+            expect(() => tree.createIndex(42)).to.throw('Index fields must be a property path or an array of property paths');
+        });
+    });
+
+    describe('Maintenance', function() {
+        beforeEach(function() {
+            tree.createIndex('type');
+        });
+
+        it('should index added values', function() {
+            tree.add({ id: 5, type: 'toy' });
+            tree.add([{ id: 0, type: 'toy' }]);
+            expect(tree.findAll({ type: 'toy' }).map(product => product.id)).to.deep.equal([0, 1, 5]);
+        });
+
+        it('should drop removed values', function() {
+            tree.remove(3);
+            expect(tree.findAll({ type: 'tool' }).map(product => product.id)).to.deep.equal([2, 4]);
+            expect(tree.removeAll(2)).to.equal(1);
+            expect(tree.findAll({ type: 'tool' }).map(product => product.id)).to.deep.equal([4]);
+        });
+
+        it('should empty on clear', function() {
+            tree.clear();
+            expect(tree.findAll({ type: 'tool' })).to.deep.equal([]);
+            tree.add({ id: 9, type: 'tool' });
+            expect(tree.findAll({ type: 'tool' })).to.have.length(1);
+        });
+
+        it('should empty when init() is given an empty array', function() {
+            tree.createIndex('sku');
+            tree.init([]);
+            expect(tree.find({ sku: 'A-1' })).to.deep.equal([]);
+            expect(tree.findAll({ type: 'tool' })).to.deep.equal([]);
+        });
+
+        it('should follow replaced values', function() {
+            const upserts = new BTree({ duplicates: 'replace' });
+            upserts.createIndex('type');
+            upserts.add({ id: 1, type: 'toy' });
+            upserts.add({ id: 1, type: 'tool' });
+
+            expect(upserts.findAll({ type: 'toy' })).to.deep.equal([]);
+            expect(upserts.findAll({ type: 'tool' })).to.have.length(1);
+        });
+
+        it('should follow bulk loads', function() {
+            tree.init([{ id: 10, type: 'toy' }, { id: 11, type: 'toy' }], { presorted: true });
+            expect(tree.findAll({ type: 'toy' }).map(product => product.id)).to.deep.equal([1, 10, 11]);
+        });
+
+        it('should keep duplicate keys in tree order', function() {
+            tree.add({ id: 2, type: 'tool', note: 'second' });
+            expect(tree.findAll({ type: 'tool' }).map(product => product.note)).to.deep.equal([undefined, 'second', undefined, undefined]);
+        });
+
+        it('should stay consistent through many operations', function() {
+            const indexed = new BTree();
+            indexed.createIndex('group');
+            for (let i = 0; i < 500; i++) {
+                indexed.add({ id: i % 97, group: i % 5 });
+                if (i % 3 === 0) {
+                    indexed.remove(i % 89);
+                }
+            }
+
+            const scanned = new BTree();
+            scanned.init(indexed.items());
+            for (let group = 0; group < 5; group++) {
+                expect(indexed.findAll({ group })).to.deep.equal(scanned.findAll({ group }));
+            }
+        });
+    });
+
+    describe('Unique indexes', function() {
+        beforeEach(function() {
+            tree.createIndex('sku', { unique: true });
+        });
+
+        it('should reject values with an indexed value already in use', function() {
+            expect(() => tree.add({ id: 9, sku: 'A-1' })).to.throw(DuplicateKeyError, "Index 'sku' already contains 'A-1'");
+            expect(tree.size()).to.equal(4);
+            expect(tree.find({ sku: 'A-1' }).id).to.equal(1);
+        });
+
+        it('should allow values missing the indexed field', function() {
+            tree.add({ id: 7 });
+            tree.add({ id: 8, sku: null });
+            expect(tree.size()).to.equal(6);
+        });
+
+        it('should allow reuse after removal', function() {
+            tree.remove(1);
+            tree.add({ id: 9, sku: 'A-1' });
+            expect(tree.find({ sku: 'A-1' }).id).to.equal(9);
+        });
+
+        it('should allow replacing the value that holds the indexed value', function() {
+            const upserts = new BTree({ duplicates: 'replace' });
+            upserts.createIndex('sku', { unique: true });
+            upserts.add({ id: 1, sku: 'A-1', price: 5 });
+            upserts.add({ id: 1, sku: 'A-1', price: 6 });
+
+            expect(upserts.find({ sku: 'A-1' }).price).to.equal(6);
+            expect(() => upserts.add({ id: 2, sku: 'A-1' })).to.throw(DuplicateKeyError);
+        });
+
+        it('should refuse to create a unique index over duplicate values', function() {
+            expect(() => tree.createIndex('type', { unique: true }))
+                .to.throw(DuplicateKeyError, "Failed to create index: Index 'type' already contains 'tool'");
+            expect(tree.getIndexes()).to.have.length(1);
+        });
+
+        it('should leave the tree unchanged when a bulk load breaks the index', function() {
+            expect(() => tree.init([{ id: 20, sku: 'Z' }, { id: 21, sku: 'Z' }], { presorted: true }))
+                .to.throw(DuplicateKeyError);
+            expect(tree.size()).to.equal(4);
+            expect(tree.findAll({ sku: 'Z' })).to.deep.equal([]);
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should not support secondary indexes', function() {
+            expect(() => new ImmutableBTree().createIndex('type'))
+                .to.throw('ImmutableBTree does not support secondary indexes');
+        });
+    });
+});
@@ -0,0 +1,165 @@
+const expect = require('chai').expect;
+const { BTree, comparators } = require('../lib/btree');
+
+describe('JSON Serialization', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree({ key: 'name' });
+        tree.init([
+            { name: 'cherry', price: 3 },
+            { name: 'apple', price: 1 },
+            { name: 'banana', price: 2 }
+        ]);
+    });
+
+    describe('toJSON()', function() {
+        it('should allow JSON.stringify despite parent references', function() {
+            expect(() => JSON.stringify(tree)).to.not.throw();
+        });
+
+        it('should emit a versioned representation with options and sorted entries', function() {
+            expect(tree.toJSON()).to.deep.equal({
+                version: 1,
+                options: { key: 'name', duplicates: 'allow' },
+                entries: [
+                    ['apple', { name: 'apple', price: 1 }],
+                    ['banana', { name: 'banana', price: 2 }],
+                    ['cherry', { name: 'cherry', price: 3 }]
+                ]
+            });
+        });
+
+        it('should omit values that are the key itself', function() {
+            const numbers = new BTree();
+            numbers.init([3, 1, 2]);
+            expect(numbers.toJSON().entries).to.deep.equal([[1], [2], [3]]);
+        });
+
+        it('should encode Date keys', function() {
+            const dates = new BTree();
+            dates.add(new Date('2024-01-01T00:00:00.000Z'));
+            expect(dates.toJSON().entries).to.deep.equal([[{ $date: '2024-01-01T00:00:00.000Z' }]]);
+        });
+
+        it('should preserve the node layout in shape mode', function() {
+            const json = tree.toJSON({ shape: true });
+            expect(json).to.not.have.property('entries');
+            expect(json.root).to.deep.equal([
+                [null, [['apple', { name: 'apple', price: 1 }]], null],
+                [['banana', { name: 'banana', price: 2 }]],
+                [null, [['cherry', { name: 'cherry', price: 3 }]], null]
+            ]);
+        });
+    });
+
+    describe('BTree.fromJSON()', function() {
+        it('should round-trip through JSON.stringify', function() {
+            const restored = BTree.fromJSON(JSON.stringify(tree));
+
+            expect(restored).to.be.instanceOf(BTree);
+            expect(restored.options.key).to.equal('name');
+            expect(restored.items()).to.deep.equal(tree.items());
+            expect(restored.find('banana')).to.deep.equal({ name: 'banana', price: 2 });
+        });
+
+        it('should rebuild a valid AVL tree', function() {
+            const large = new BTree();
+            for (let i = 1; i <= 1000; i++) {
+                large.add(i);
+            }
+            const restored = BTree.fromJSON(large.toJSON());
+
+            expect(restored.size()).to.equal(1000);
+            expect(restored.isAVLBalanced()).to.be.true;
+            expect(restored.getHeight()).to.equal(10);
+            expect(restored.successor(restored.getMinimumNode()).key).to.equal(2);
+
+            restored.add(1001);
+            restored.remove(500);
+            expect(restored.isAVLBalanced()).to.be.true;
+        });
+
+        it('should restore Date keys', function() {
+            const dates = new BTree();
+            dates.init([new Date('2024-01-02T00:00:00Z'), new Date('2024-01-01T00:00:00Z')]);
+            const restored = BTree.fromJSON(JSON.stringify(dates));
+
+            expect(restored.minimum()).to.be.instanceOf(Date);
+            expect(restored.minimum().toISOString()).to.equal('2024-01-01T00:00:00.000Z');
+        });
+
+        it('should restore the exact node layout in shape mode', function() {
+            const numbers = new BTree();
+            for (let i = 1; i <= 20; i++) {
+                numbers.add(i);
+            }
+            numbers.remove(4);
+            const restored = BTree.fromJSON(JSON.stringify(numbers.toJSON({ shape: true })));
+
+            expect(restored.toJSON({ shape: true })).to.deep.equal(numbers.toJSON({ shape: true }));
+            expect(restored.size()).to.equal(19);
+            expect(restored.getHeight()).to.equal(numbers.getHeight());
+        });
+
+        it('should restore duplicate buckets', function() {
+            const buckets = new BTree({ duplicates: 'bucket' });
+            buckets.init(['a', 'b', 'a']);
+
+            for (const shape of [false, true]) {
+                const restored = BTree.fromJSON(JSON.stringify(buckets.toJSON({ shape })));
+                expect(restored.count('a')).to.equal(2);
+                expect(restored.size()).to.equal(3);
+                expect(restored.root.values).to.have.length(2);
+            }
+        });
+
+        it('should accept a comparator that cannot be serialized', function() {
+            const desc = new BTree({ compare: (a, b) => b - a });
+            desc.init([1, 2, 3]);
+            const restored = BTree.fromJSON(JSON.stringify(desc), { compare: (a, b) => b - a });
+
+            expect(restored.items()).to.deep.equal([3, 2, 1]);
+            expect(restored.find(2)).to.equal(2);
+        });
+
+        it('should evict values over maxSize', function() {
+            const json = { version: 1, options: { maxSize: 2, evict: 'max' }, entries: [[1], [2], [3]] };
+            const restored = BTree.fromJSON(json);
+            expect(restored.items()).to.deep.equal([1, 2]);
+
+            const numbers = BTree.fromSorted([1, 2, 3, 4, 5]);
+            const lowered = BTree.fromJSON(numbers.toJSON({ shape: true }), { maxSize: 3 });
+            expect(lowered.items()).to.deep.equal([3, 4, 5]);
+            expect(lowered.isAVLBalanced()).to.be.true;
+        });
+
+        it('should throw error for unsupported versions', function() {
+            expect(() => BTree.fromJSON({ version: 99, entries: [] }))
+                .to.throw('Failed to deserialize tree: Unsupported serialization version: 99');
+        });
+
+        it('should throw error for malformed input', function() {
+            expect(() => BTree.fromJSON(null)).to.throw('Serialized tree must be an object or JSON string');
+            expect(() => BTree.fromJSON('{not json')).to.throw('Failed to deserialize tree');
+            expect(() => BTree.fromJSON({ version: 1 })).to.throw('Serialized tree must have an entries array');
+            expect(() => BTree.fromJSON({ version: 1, entries: [[]] })).to.throw('Entries must be [key] or [key, value] arrays');
+        });
+
+        it('should throw error for unsorted entries', function() {
+            expect(() => BTree.fromJSON({ version: 1, entries: [[2], [1]] }))
+                .to.throw('Values must be sorted by key (index 1 is out of order)');
+            expect(() => BTree.fromJSON(tree.toJSON(), { compare: (a, b) => comparators.natural(b, a) }))
+                .to.throw('Values must be sorted by key');
+        });
+
+        it('should throw error for invalid shapes', function() {
+            expect(() => BTree.fromJSON({ version: 1, root: [null, [[2]], [null, [[1]], null]] }))
+                .to.throw('Serialized tree is not in key order');
+            expect(() => BTree.fromJSON({ version: 1, root: [null, [[1]], [null, [[2]], [null, [[3]], null]]] }))
+                .to.throw('Serialized tree is not AVL balanced');
+            expect(() => BTree.fromJSON({ version: 1, root: [null, [], null] }))
+                .to.throw('Serialized nodes must be [left, entries, right] arrays');
+        });
+    });
+});
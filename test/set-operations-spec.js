@@ -0,0 +1,370 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree, InvalidOptionsError } = require('../lib/btree');
+
+// Every key, in order
+function keysOf(tree) {
+    return [...tree.keys()];
+}
+
+// Check the AVL, ordering, size and navigation invariants of a tree
+function expectValid(tree) {
+    expect(tree.isAVLBalanced()).to.be.true;
+    expect(tree.isBalanced()).to.be.true;
+    expect(tree.size()).to.equal(tree.items().length);
+
+    const walked = [];
+    for (let node = tree.root && tree.getMinimumNode(); node; node = tree.successor(node)) {
+        walked.push(node.key);
+    }
+    expect(walked).to.deep.equal(keysOf(tree));
+
+    // Trees holding nodes of other trees leave the parent pointers of those nodes alone
+    if (tree._shared) {
+        return;
+    }
+    (function check(node, parent) {
+        if (!node) {
+            return;
+        }
+        expect(node.parent).to.equal(parent);
+        check(node.left, node);
+        check(node.right, node);
+    })(tree.root, null);
+}
+
+// Tree of numbers in [from, to) stepping by step, stored as { id, source }
+function numbers(from, to, step, source) {
+    const tree = new BTree();
+    for (let i = from; i < to; i += step) {
+        tree.add({ id: i, source });
+    }
+    return tree;
+}
+
+describe('Set Operations', function() {
+    let evens;
+    let threes;
+
+    beforeEach(function() {
+        evens = numbers(0, 20, 2, 'evens');
+        threes = numbers(0, 20, 3, 'threes');
+    });
+
+    describe('union', function() {
+        it('should contain every key once, preferring values of the first tree', function() {
+            const union = BTree.union(evens, threes);
+            expect(keysOf(union)).to.deep.equal([0, 2, 3, 4, 6, 8, 9, 10, 12, 14, 15, 16, 18]);
+            expect(union.get(6).source).to.equal('evens');
+            expect(union.get(9).source).to.equal('threes');
+            expect(BTree.union(threes, evens).get(6).source).to.equal('threes');
+            expectValid(union);
+        });
+
+        it('should leave both trees unchanged', function() {
+            const union = BTree.union(evens, threes);
+            union.remove(0);
+            union.add({ id: 1 });
+
+            expect(keysOf(evens)).to.deep.equal([0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+            expect(keysOf(threes)).to.deep.equal([0, 3, 6, 9, 12, 15, 18]);
+            expectValid(evens);
+            expectValid(threes);
+        });
+
+        it('should handle empty trees', function() {
+            expect(keysOf(BTree.union(new BTree(), threes))).to.deep.equal(keysOf(threes));
+            expect(keysOf(BTree.union(evens, new BTree()))).to.deep.equal(keysOf(evens));
+            expect(BTree.union(new BTree(), new BTree()).isEmpty()).to.be.true;
+        });
+    });
+
+    describe('intersection, difference and symmetricDifference', function() {
+        it('should compute the intersection', function() {
+            const both = BTree.intersection(evens, threes);
+            expect(keysOf(both)).to.deep.equal([0, 6, 12, 18]);
+            expect(both.get(12).source).to.equal('evens');
+            expectValid(both);
+        });
+
+        it('should compute the difference', function() {
+            expect(keysOf(BTree.difference(evens, threes))).to.deep.equal([2, 4, 8, 10, 14, 16]);
+            expect(keysOf(BTree.difference(threes, evens))).to.deep.equal([3, 9, 15]);
+            expect(BTree.difference(evens, evens).isEmpty()).to.be.true;
+        });
+
+        it('should compute the symmetric difference', function() {
+            const either = BTree.symmetricDifference(evens, threes);
+            expect(keysOf(either)).to.deep.equal([2, 3, 4, 8, 9, 10, 14, 15, 16]);
+            expect(either.get(3).source).to.equal('threes');
+            expectValid(either);
+        });
+
+        it('should match a naive implementation on random trees', function() {
+            let seed = 7;
+            const random = () => {
+                seed = (seed * 16807) % 2147483647;
+                return seed % 500;
+            };
+            for (let round = 0; round < 5; round++) {
+                const a = new BTree({ duplicates: 'replace' });
+                const b = new BTree({ duplicates: 'replace' });
+                for (let i = 0; i < 200; i++) {
+                    a.add(random());
+                    b.add(random());
+                }
+                const inA = new Set(keysOf(a));
+                const inB = new Set(keysOf(b));
+                const all = [...new Set([...inA, ...inB])].sort((x, y) => x - y);
+
+                expect(keysOf(BTree.union(a, b))).to.deep.equal(all);
+                expect(keysOf(BTree.intersection(a, b))).to.deep.equal(all.filter(key => inA.has(key) && inB.has(key)));
+                expect(keysOf(BTree.difference(a, b))).to.deep.equal(all.filter(key => !inB.has(key)));
+                expect(keysOf(BTree.symmetricDifference(a, b))).to.deep.equal(all.filter(key => inA.has(key) !== inB.has(key)));
+                [BTree.union(a, b), BTree.intersection(a, b), BTree.symmetricDifference(a, b)].forEach(expectValid);
+            }
+        });
+
+        it('should keep every duplicate of a key together', function() {
+            const a = new BTree();
+            a.init([1, 2, 2, 3]);
+            const b = new BTree();
+            b.init([2, 2, 2, 4]);
+            expect(BTree.union(a, b).findAll(2)).to.have.length(2);
+            expect(BTree.intersection(b, a).findAll(2)).to.have.length(3);
+            expect(keysOf(BTree.symmetricDifference(a, b))).to.deep.equal([1, 3, 4]);
+        });
+
+        it('should keep buckets whole', function() {
+            const a = new BTree({ duplicates: 'bucket' });
+            a.init(['x', 'x', 'y']);
+            const b = new BTree({ duplicates: 'bucket' });
+            b.init(['y', 'z', 'z']);
+            const union = BTree.union(b, a);
+            expect(union.count('x')).to.equal(2);
+            expect(union.count('z')).to.equal(2);
+            expect(union.size()).to.equal(5);
+        });
+
+        it('should compare far fewer keys than a merge for a small tree against a large one', function() {
+            let comparisons = 0;
+            const compare = (x, y) => {
+                comparisons++;
+                return x - y;
+            };
+            const large = BTree.fromSorted(Array.from({ length: 20000 }, (_, i) => i), { compare });
+            const small = BTree.fromSorted([5, 5000, 15000], { compare });
+
+            comparisons = 0;
+            const union = BTree.union(large, small);
+            expect(union.size()).to.equal(20000);
+            expect(comparisons).to.be.below(1000);
+        });
+
+        it('should share the subtrees it does not reach instead of copying them', function() {
+            const nodesOf = tree => {
+                const nodes = new Set();
+                (function collect(node) {
+                    if (node) {
+                        nodes.add(node);
+                        collect(node.left);
+                        collect(node.right);
+                    }
+                })(tree.root);
+                return nodes;
+            };
+            const large = BTree.fromSorted(Array.from({ length: 20000 }, (_, i) => ({ id: i * 2 })));
+            const small = BTree.fromSorted([{ id: 3 }, { id: 20001 }]);
+            const largeNodes = nodesOf(large);
+
+            const union = BTree.union(large, small);
+            const created = [...nodesOf(union)].filter(node => !largeNodes.has(node));
+            // Only nodes on the paths to the two inserted keys are new
+            expect(created.length).to.be.below(4 * large.getHeight());
+            expect(nodesOf(BTree.intersection(small, large)).size).to.equal(0);
+            expect([...nodesOf(BTree.difference(large, small))].filter(node => !largeNodes.has(node)))
+                .to.have.length.below(4 * large.getHeight());
+
+            // Changes to either side copy the shared nodes first
+            union.remove(0);
+            union.add({ id: 1 });
+            large.remove(2);
+            large.add({ id: 5 });
+            expect(union.has(0)).to.be.false;
+            expect(union.has(2)).to.be.true;
+            expect(union.has(5)).to.be.false;
+            expect(large.has(0)).to.be.true;
+            expect(large.has(1)).to.be.false;
+            expect(large.has(3)).to.be.false;
+            expect(union.size()).to.equal(20002);
+            expect(large.size()).to.equal(20000);
+            expectValid(union);
+            expectValid(large);
+            expectValid(small);
+        });
+
+        it('should leave the structure of the inputs alone', function() {
+            // Every link of every node, keyed by node
+            const linksOf = tree => {
+                const links = new Map();
+                (function collect(node) {
+                    if (node) {
+                        links.set(node, [node.parent, node.left, node.right, node.height, node.size]);
+                        collect(node.left);
+                        collect(node.right);
+                    }
+                })(tree.root);
+                return links;
+            };
+            const a = numbers(0, 300, 2, 'a');
+            const b = numbers(0, 300, 3, 'b');
+            const aLinks = linksOf(a);
+            const bLinks = linksOf(b);
+
+            const results = [BTree.union(a, b), BTree.intersection(a, b), BTree.difference(a, b), BTree.symmetricDifference(b, a)];
+            results.forEach(result => {
+                result.add({ id: 1 });
+                result.remove(result.minimum().id);
+                result.popMax();
+                result.balance();
+            });
+            expect(linksOf(a)).to.deep.equal(aLinks);
+            expect(linksOf(b)).to.deep.equal(bLinks);
+            expect(a.successor(a.getMinimumNode()).key).to.equal(2);
+            expect(b.predecessor(b.getMaximumNode()).key).to.equal(294);
+            expectValid(a);
+            expectValid(b);
+
+            // Changes to the inputs copy the nodes the results hold
+            const union = results[0];
+            const unionKeys = keysOf(union);
+            a.remove(100);
+            b.add({ id: 100, source: 'b' });
+            a.balance();
+            expect(keysOf(union)).to.deep.equal(unionKeys);
+            expect(union.find(100).source).to.equal('a');
+            expectValid(a);
+            expectValid(b);
+            expectValid(union);
+        });
+
+        it('should keep a result taken inside a transaction after a rollback', function() {
+            const tree = numbers(0, 100, 1);
+            tree.begin();
+            tree.add({ id: 200 });
+            const union = BTree.union(tree, numbers(500, 510, 1));
+            tree.rollback();
+            for (let i = 0; i < 100; i += 3) {
+                tree.remove(i);
+            }
+
+            expect(union.size()).to.equal(111);
+            expect(union.has(0)).to.be.true;
+            expect(tree.size()).to.equal(66);
+            expectValid(union);
+            expectValid(tree);
+        });
+    });
+
+    describe('split and join', function() {
+        it('should split at a key into two valid trees', function() {
+            const [lower, upper] = evens.split(7);
+            expect(keysOf(lower)).to.deep.equal([0, 2, 4, 6]);
+            expect(keysOf(upper)).to.deep.equal([8, 10, 12, 14, 16, 18]);
+            expectValid(lower);
+            expectValid(upper);
+            expect(lower.options).to.deep.equal(evens.options);
+        });
+
+        it('should put keys equal to the split key in the upper tree', function() {
+            const [lower, upper] = evens.split(8);
+            expect(keysOf(lower)).to.deep.equal([0, 2, 4, 6]);
+            expect(keysOf(upper)[0]).to.equal(8);
+        });
+
+        it('should move the values out of the split tree', function() {
+            const cleared = [];
+            evens.on('clear', event => cleared.push(event.size));
+            evens.split(5);
+            expect(evens.isEmpty()).to.be.true;
+            expect(cleared).to.deep.equal([10]);
+        });
+
+        it('should join trees back together', function() {
+            const [lower, upper] = evens.split(11);
+            const joined = BTree.join(lower, upper);
+            expect(keysOf(joined)).to.deep.equal([0, 2, 4, 6, 8, 10, 12, 14, 16, 18]);
+            expectValid(joined);
+            expect(lower.isEmpty()).to.be.true;
+            expect(upper.isEmpty()).to.be.true;
+        });
+
+        it('should join trees of very different heights', function() {
+            const small = numbers(0, 3, 1);
+            const large = numbers(3, 2000, 1);
+            const joined = BTree.join(small, large);
+            expect(joined.size()).to.equal(2000);
+            expect(joined.select(0).id).to.equal(0);
+            expectValid(joined);
+
+            const reversed = BTree.join(numbers(0, 2000, 1), numbers(2000, 2002, 1));
+            expect(reversed.maximum().id).to.equal(2001);
+            expectValid(reversed);
+        });
+
+        it('should throw error for overlapping or incompatible trees', function() {
+            expect(() => BTree.join(numbers(5, 10, 1), numbers(0, 6, 1)))
+                .to.throw('Failed to join trees: Every key of the left tree must be less than every key of the right tree');
+            expect(() => BTree.join(evens, evens)).to.throw('Cannot join a tree with itself');
+            expect(() => BTree.union(evens, [1, 2])).to.throw('Failed to compute union: Both arguments must be trees');
+            expect(() => BTree.union(evens, new BTree({ duplicates: 'bucket' }))).to.throw('Trees must use the same duplicates option');
+            expect(() => BTree.union(evens, new ImmutableBTree())).to.throw('Trees must be of the same type');
+            expect(() => evens.split(null)).to.throw('Key cannot be undefined or null');
+            expect(evens.size()).to.equal(10);
+        });
+
+        it('should reject trees that order keys differently', function() {
+            const descending = BTree.fromSorted([3, 2, 1], { compare: (x, y) => y - x });
+            const error = (() => {
+                try {
+                    BTree.union(BTree.fromSorted([1, 2, 3]), descending);
+                } catch (caught) {
+                    return caught;
+                }
+            })();
+            expect(error).to.be.instanceOf(InvalidOptionsError);
+            expect(error.message).to.equal('Failed to compute union: Trees must use the same compare function');
+            expect(() => BTree.join(BTree.fromSorted([0]), descending)).to.throw(InvalidOptionsError, 'same compare function');
+        });
+
+        it('should reject trees with different key options', function() {
+            const byId = BTree.fromSorted([{ id: 1, sku: 'b' }]);
+            const bySku = BTree.fromSorted([{ id: 2, sku: 'a' }], { key: 'sku' });
+            expect(() => BTree.union(byId, bySku)).to.throw(InvalidOptionsError, 'Trees must use the same key option');
+            expect(() => BTree.intersection(new BTree({ key: ['a', 'b'] }), new BTree({ key: ['a', { path: 'b', direction: 'desc' }] })))
+                .to.throw(InvalidOptionsError, 'same key option');
+            expect(BTree.union(new BTree({ key: 'meta.id' }), new BTree({ key: 'meta.id' })).size()).to.equal(0);
+            expect(BTree.union(new BTree({ key: [['meta', 'id']] }), new BTree({ key: ['meta.id'] })).size()).to.equal(0);
+            expect(byId.size()).to.equal(1);
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should share structure without changing the inputs', function() {
+            const a = ImmutableBTree.fromSorted([1, 2, 3, 4, 5, 6, 7, 8]);
+            const b = ImmutableBTree.fromSorted([7, 8, 9, 10]);
+
+            const union = ImmutableBTree.union(a, b);
+            const [lower, upper] = a.split(4);
+            const joined = ImmutableBTree.join(upper, ImmutableBTree.fromSorted([20, 30]));
+
+            expect(union).to.be.instanceOf(ImmutableBTree);
+            expect([...union]).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+            expect([...lower]).to.deep.equal([1, 2, 3]);
+            expect([...joined]).to.deep.equal([4, 5, 6, 7, 8, 20, 30]);
+            expect([...a]).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+            expect([...b]).to.deep.equal([7, 8, 9, 10]);
+            expect(a.isAVLBalanced()).to.be.true;
+            expect(joined.isAVLBalanced()).to.be.true;
+        });
+    });
+});
@@ -0,0 +1,234 @@
+const expect = require('chai').expect;
+const { Readable, Writable, pipeline } = require('stream');
+const { BTree, ImmutableBTree, BTreeError, InvalidOptionsError } = require('../lib/btree');
+
+describe('Streams', function() {
+    function collect(stream, done, check) {
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('error', done);
+        stream.on('end', () => {
+            try {
+                check(chunks);
+                done();
+            } catch (error) {
+                done(error);
+            }
+        });
+    }
+
+    describe('createReadStream', function() {
+        it('should stream [key, value] pairs in key order', function(done) {
+            const tree = BTree.fromSorted([{ id: 1, n: 'a' }, { id: 2, n: 'b' }, { id: 3, n: 'c' }]);
+            const stream = tree.createReadStream();
+            expect(stream).to.be.instanceOf(Readable);
+            expect(stream.readableObjectMode).to.be.true;
+            collect(stream, done, chunks => {
+                expect(chunks).to.deep.equal([[1, { id: 1, n: 'a' }], [2, { id: 2, n: 'b' }], [3, { id: 3, n: 'c' }]]);
+                expect(tree.listenerCount('add')).to.equal(0);
+            });
+        });
+
+        it('should apply bounds and reverse order', function(done) {
+            const tree = BTree.fromSorted(Array.from({ length: 10 }, (_, i) => i));
+            collect(tree.createReadStream({ gte: 3, lt: 7, reverse: true }), done, chunks => {
+                expect(chunks.map(([key]) => key)).to.deep.equal([6, 5, 4, 3]);
+            });
+        });
+
+        it('should read lazily up to the highWaterMark', function(done) {
+            const tree = BTree.fromSorted(Array.from({ length: 1000 }, (_, i) => i));
+            const stream = tree.createReadStream({ highWaterMark: 4 });
+            stream.once('readable', () => {
+                expect(stream.readableLength).to.equal(4);
+                expect(stream.read()).to.deep.equal([0, 0]);
+                stream.destroy();
+            });
+            stream.on('close', () => {
+                expect(tree.listenerCount('rotate')).to.equal(0);
+                done();
+            });
+        });
+
+        it('should continue after the last key read when the tree changes', function(done) {
+            const tree = BTree.fromSorted(Array.from({ length: 20 }, (_, i) => i * 2));
+            const stream = tree.createReadStream({ highWaterMark: 1 });
+            const keys = [];
+            stream.on('data', ([key]) => {
+                keys.push(key);
+                if (key === 10) {
+                    // Removals and additions rotate nodes the walk may be paused on
+                    for (let i = 0; i < 10; i++) {
+                        tree.remove(i * 2);
+                    }
+                    tree.add(5);
+                    tree.add(11);
+                    tree.add(100);
+                }
+            });
+            stream.on('error', done);
+            stream.on('end', () => {
+                // 12 was already buffered, 5 and 11 were added behind it
+                expect(keys).to.deep.equal([0, 2, 4, 6, 8, 10, 12, 20, 22, 24, 26, 28, 30, 32, 34, 36, 38, 100]);
+                done();
+            });
+        });
+
+        it('should not repeat bucketed values of the last key after a change', function(done) {
+            const tree = new BTree({ duplicates: 'bucket', key: 'k' });
+            tree.init([{ k: 1, n: 1 }, { k: 2, n: 1 }, { k: 2, n: 2 }, { k: 2, n: 3 }, { k: 3, n: 1 }]);
+            const stream = tree.createReadStream({ highWaterMark: 1 });
+            const read = [];
+            stream.on('data', ([key, value]) => {
+                read.push(`${key}:${value.n}`);
+                if (read.length === 3) {
+                    tree.add({ k: 0, n: 1 });
+                }
+            });
+            stream.on('error', done);
+            stream.on('end', () => {
+                expect(read).to.deep.equal(['1:1', '2:1', '2:2', '2:3', '3:1']);
+                done();
+            });
+        });
+
+        it('should notice changes without adding tree listeners', function(done) {
+            const tree = BTree.fromSorted(Array.from({ length: 10 }, (_, i) => i));
+            const streams = Array.from({ length: 11 }, () => tree.createReadStream({ highWaterMark: 1 }));
+            ['add', 'remove', 'replace', 'clear', 'balance', 'rotate'].forEach(type => {
+                expect(tree.listenerCount(type)).to.equal(0);
+            });
+            streams.slice(1).forEach(stream => stream.destroy());
+
+            const keys = [];
+            streams[0].on('data', ([key]) => {
+                keys.push(key);
+                if (key === 3) {
+                    tree.removeAllListeners();
+                    [4, 5, 6, 7].forEach(removed => tree.remove(removed));
+                }
+            });
+            streams[0].on('error', done);
+            streams[0].on('end', () => {
+                // 4 was already buffered
+                expect(keys).to.deep.equal([0, 1, 2, 3, 4, 8, 9]);
+                done();
+            });
+        });
+
+        it('should notice a rollback', function(done) {
+            const tree = BTree.fromSorted(Array.from({ length: 8 }, (_, i) => i));
+            const stream = tree.createReadStream({ highWaterMark: 1 });
+            const keys = [];
+            stream.on('data', ([key]) => {
+                keys.push(key);
+                if (key === 2) {
+                    tree.begin();
+                    tree.remove(5);
+                } else if (key === 3) {
+                    // 4 is buffered from the tree without 5, the walk resumes after it
+                    tree.rollback();
+                }
+            });
+            stream.on('error', done);
+            stream.on('end', () => {
+                expect(keys).to.deep.equal([0, 1, 2, 3, 4, 5, 6, 7]);
+                done();
+            });
+        });
+
+        it('should stream ImmutableBTree versions and validate bounds', function(done) {
+            const tree = ImmutableBTree.fromSorted(['a', 'b']);
+            tree.add('c');
+            expect(() => new BTree().createReadStream({ gte: 1, gt: 1 }))
+                .to.throw(InvalidOptionsError, 'Range cannot have both gt and gte bounds');
+            collect(tree.createReadStream(), done, chunks => {
+                expect(chunks).to.deep.equal([['a', 'a'], ['b', 'b']]);
+            });
+        });
+    });
+
+    describe('createWriteStream', function() {
+        function rows(count) {
+            let id = 0;
+            return new Readable({
+                objectMode: true,
+                read() {
+                    this.push(id < count ? { id: id++ } : null);
+                }
+            });
+        }
+
+        it('should add every value written with backpressure', function(done) {
+            const tree = new BTree();
+            const stream = tree.createWriteStream({ highWaterMark: 2 });
+            expect(stream).to.be.instanceOf(Writable);
+            pipeline(rows(5000), stream, error => {
+                expect(error).to.not.exist;
+                expect(tree.size()).to.equal(5000);
+                expect(tree.isAVLBalanced()).to.be.true;
+                expect(tree.maximum()).to.deep.equal({ id: 4999 });
+                done();
+            });
+        });
+
+        it('should fail on the first value that cannot be added', function(done) {
+            const tree = new BTree({ duplicates: 'reject' });
+            const stream = tree.createWriteStream();
+            stream.write({ id: 1 });
+            stream.write([{ id: 2 }, { id: 3 }]);
+            stream.write({ id: 1 });
+            stream.on('error', error => {
+                expect(error.message).to.match(/^Failed to write value 2: .*already exists/);
+                expect(tree.items()).to.deep.equal([{ id: 1 }, { id: 2 }, { id: 3 }]);
+                done();
+            });
+        });
+
+        it('should add everything or nothing when atomic', function(done) {
+            const tree = new BTree({ duplicates: 'reject' });
+            tree.add({ id: 0 });
+            const events = [];
+            tree.on('add', ({ key }) => events.push(key));
+
+            pipeline(rows(3), tree.createWriteStream({ atomic: true }), error => {
+                expect(error.message).to.include('already exists');
+                expect(tree.inTransaction()).to.be.false;
+                expect(events).to.deep.equal([]);
+                expect(tree.size()).to.equal(1);
+
+                tree.remove(0);
+                pipeline(rows(100), tree.createWriteStream({ atomic: true }), () => {
+                    expect(events).to.deep.equal(Array.from({ length: 100 }, (_, i) => i));
+                    expect(tree.size()).to.equal(100);
+                    done();
+                });
+            });
+        });
+
+        it('should roll back an atomic stream that is destroyed', function(done) {
+            const tree = BTree.fromSorted([{ id: 0 }]);
+            const stream = tree.createWriteStream({ atomic: true });
+            stream.write({ id: 1 });
+            stream.write({ id: 2 });
+            expect(tree.size()).to.equal(3);
+            stream.destroy();
+            stream.on('close', () => {
+                expect(tree.inTransaction()).to.be.false;
+                expect(tree.items()).to.deep.equal([{ id: 0 }]);
+                done();
+            });
+        });
+
+        it('should wrap errors thrown while creating the stream', function() {
+            expect(() => new BTree().createWriteStream({ highWaterMark: -1 }))
+                .to.throw(BTreeError, 'Failed to create write stream: ')
+                .with.property('code', 'EBTREE');
+        });
+
+        it('should not be available on ImmutableBTree', function() {
+            expect(() => new ImmutableBTree().createWriteStream())
+                .to.throw(BTreeError, 'ImmutableBTree does not support writing');
+        });
+    });
+});
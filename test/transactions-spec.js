@@ -0,0 +1,261 @@
+const expect = require('chai').expect;
+const { BTree, ImmutableBTree, BTreeError, DuplicateKeyError } = require('../lib/btree');
+
+describe('Transactions', function() {
+    let tree;
+
+    beforeEach(function() {
+        tree = new BTree();
+        tree.init([1, 2, 3, 4, 5, 6, 7, 8].map(id => ({ id, name: `item ${id}` })));
+    });
+
+    function ids(t) {
+        return t.items().map(item => item.id);
+    }
+
+    // Parent pointers must be consistent for successor() and predecessor() to work
+    function checkParents(node, parent = null) {
+        if (!node) {
+            return;
+        }
+        expect(node.parent).to.equal(parent);
+        checkParents(node.left, node);
+        checkParents(node.right, node);
+    }
+
+    describe('transaction', function() {
+        it('should keep the changes and return the callback result', function() {
+            const result = tree.transaction(t => {
+                t.add({ id: 9 });
+                t.remove(1);
+                return 'done';
+            });
+            expect(result).to.equal('done');
+            expect(ids(tree)).to.deep.equal([2, 3, 4, 5, 6, 7, 8, 9]);
+            expect(tree.isAVLBalanced()).to.be.true;
+            checkParents(tree.root);
+        });
+
+        it('should roll back every change when the callback throws', function() {
+            const before = tree.toJSON({ shape: true });
+            expect(() => tree.transaction(t => {
+                for (let id = 9; id < 40; id++) {
+                    t.add({ id });
+                }
+                t.remove(4);
+                t.popMin();
+                t.set(5, { id: 5, name: 'changed' });
+                t.clear();
+                t.add({ id: 100 });
+                throw new Error('boom');
+            })).to.throw('Transaction failed: boom');
+
+            expect(tree.toJSON({ shape: true })).to.deep.equal(before);
+            expect(tree.size()).to.equal(8);
+            checkParents(tree.root);
+            expect(tree.successor(tree.getMinimumNode()).key).to.equal(2);
+        });
+
+        it('should keep the error class of the failure', function() {
+            tree = new BTree({ duplicates: 'reject' });
+            tree.add({ id: 1 });
+            try {
+                tree.transaction(t => {
+                    t.add({ id: 2 });
+                    t.add({ id: 1 });
+                });
+                expect.fail('should have thrown');
+            } catch (error) {
+                expect(error).to.be.instanceOf(DuplicateKeyError);
+                expect(error.key).to.equal(1);
+            }
+            expect(ids(tree)).to.deep.equal([1]);
+        });
+
+        it('should roll back balance() and option changes', function() {
+            const before = tree.toJSON({ shape: true });
+            expect(() => tree.transaction(t => {
+                t.balance();
+                t.init(undefined, { maxSize: 3 });
+                throw new Error('boom');
+            })).to.throw('boom');
+            expect(tree.toJSON({ shape: true })).to.deep.equal(before);
+            expect(tree.options.maxSize).to.be.undefined;
+            checkParents(tree.root);
+        });
+
+        it('should emit change events only when it commits', function() {
+            const events = [];
+            tree.on('add', detail => events.push(detail.key));
+            tree.on('remove', detail => events.push(-detail.key));
+
+            tree.transaction(t => {
+                t.add({ id: 9 });
+                t.remove(2);
+                expect(events).to.be.empty;
+            });
+            expect(events).to.deep.equal([9, -2]);
+
+            events.length = 0;
+            expect(() => tree.transaction(t => {
+                t.add({ id: 10 });
+                throw new Error('boom');
+            })).to.throw('boom');
+            expect(events).to.be.empty;
+        });
+
+        it('should reject callbacks that are not functions or are asynchronous', function() {
+            expect(() => tree.transaction()).to.throw('Transaction failed: Callback must be a function');
+            expect(() => tree.transaction(async t => t.add({ id: 9 })))
+                .to.throw('Transaction failed: Transaction callback must be synchronous');
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+        });
+
+        it('should roll back split() without losing the original nodes', function() {
+            const before = tree.toJSON({ shape: true });
+            let halves;
+            expect(() => tree.transaction(t => {
+                halves = t.split(5);
+                throw new Error('boom');
+            })).to.throw('boom');
+            expect(tree.toJSON({ shape: true })).to.deep.equal(before);
+            expect(ids(halves[0])).to.deep.equal([1, 2, 3, 4]);
+            expect(ids(halves[1])).to.deep.equal([5, 6, 7, 8]);
+        });
+    });
+
+    describe('begin, commit and rollback', function() {
+        it('should commit changes made between begin() and commit()', function() {
+            expect(tree.begin()).to.equal(tree);
+            expect(tree.inTransaction()).to.be.true;
+            tree.add({ id: 9 });
+            tree.removeAll(3);
+            expect(tree.commit()).to.equal(tree);
+            expect(tree.inTransaction()).to.be.false;
+            expect(ids(tree)).to.deep.equal([1, 2, 4, 5, 6, 7, 8, 9]);
+            checkParents(tree.root);
+        });
+
+        it('should restore the tree on rollback()', function() {
+            tree.begin();
+            for (let id = 9; id < 30; id++) {
+                tree.add({ id });
+            }
+            tree.remove(1);
+            expect(tree.size()).to.equal(28);
+            tree.rollback();
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+            expect(tree.isAVLBalanced()).to.be.true;
+            checkParents(tree.root);
+        });
+
+        it('should treat nested transactions as savepoints', function() {
+            tree.begin();
+            tree.add({ id: 9 });
+            tree.begin();
+            tree.add({ id: 10 });
+            tree.remove(1);
+            tree.rollback();
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9]);
+
+            tree.begin();
+            tree.add({ id: 11 });
+            tree.commit();
+            // Nodes copied by the committed savepoint are copied again by these pops
+            tree.popMinN(4);
+            tree.rollback();
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+            checkParents(tree.root);
+        });
+
+        it('should keep changes made in a nested transaction that commits', function() {
+            tree.transaction(t => {
+                t.add({ id: 9 });
+                expect(() => t.transaction(() => {
+                    t.add({ id: 10 });
+                    throw new Error('inner');
+                })).to.throw('inner');
+                t.transaction(() => t.add({ id: 11 }));
+            });
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8, 9, 11]);
+        });
+
+        it('should throw when no transaction is open', function() {
+            expect(() => tree.commit()).to.throw('Failed to commit transaction: No transaction in progress');
+            expect(() => tree.rollback()).to.throw('Failed to roll back transaction: No transaction in progress');
+        });
+
+        it('should restore secondary indexes on rollback', function() {
+            tree.createIndex('name', { unique: true });
+            tree.begin();
+            tree.remove(1);
+            tree.add({ id: 20, name: 'item 20' });
+            tree.createIndex('id');
+            tree.rollback();
+
+            expect(tree.getIndexes()).to.deep.equal([{ fields: ['name'], unique: true }]);
+            expect(() => tree.add({ id: 30, name: 'item 1' })).to.throw(DuplicateKeyError);
+            expect(() => tree.add({ id: 20, name: 'item 20' })).to.not.throw();
+        });
+    });
+
+    describe('atomic init and array add', function() {
+        it('should leave the tree unchanged when an array item fails', function() {
+            const items = [9, 10, 11, 12, 13, 14, 15].map(id => ({ id }));
+            items.push({ name: 'no id' });
+            expect(() => tree.add(items)).to.throw("Array item at index 7 must have property 'id'");
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+            checkParents(tree.root);
+        });
+
+        it('should leave the tree unchanged when init() fails', function() {
+            const events = [];
+            tree.on('add', detail => events.push(detail.key));
+            expect(() => tree.init([{ id: 20 }, { id: 21 }, { name: 'no id' }], { duplicates: 'reject' }))
+                .to.throw('Tree initialization failed: Failed to add item at index 2');
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+            expect(tree.options.duplicates).to.equal('allow');
+            expect(events).to.be.empty;
+        });
+
+        it('should leave an empty tree empty when init() fails', function() {
+            const empty = new BTree();
+            empty.createIndex('name', { unique: true });
+            const events = [];
+            empty.on('add', detail => events.push(detail.key));
+            expect(() => empty.init([{ id: 1, name: 'a' }, { id: 2, name: 'b' }, { id: 3, name: 'a' }], { maxSize: 5 }))
+                .to.throw("Index 'name' already contains 'a'");
+            expect(empty.isEmpty()).to.be.true;
+            expect(empty.options.maxSize).to.be.undefined;
+            expect(empty.find({ name: 'b' })).to.deep.equal([]);
+            expect(events).to.be.empty;
+
+            empty.init([{ id: 3, name: 'a' }, { id: 4, name: 'b' }]);
+            expect(ids(empty)).to.deep.equal([3, 4]);
+            expect(events).to.deep.equal([3, 4]);
+            expect(empty.find({ name: 'a' })).to.deep.equal({ id: 3, name: 'a' });
+        });
+
+        it('should be undone by an enclosing transaction', function() {
+            tree.begin();
+            tree.add([{ id: 9 }, { id: 10 }]);
+            tree.init([{ id: 11 }]);
+            tree.rollback();
+            expect(ids(tree)).to.deep.equal([1, 2, 3, 4, 5, 6, 7, 8]);
+        });
+    });
+
+    describe('ImmutableBTree', function() {
+        it('should not support transactions', function() {
+            const immutable = new ImmutableBTree();
+            expect(() => immutable.begin()).to.throw(BTreeError, 'ImmutableBTree does not support transactions');
+            expect(() => immutable.transaction(() => {})).to.throw(BTreeError, 'ImmutableBTree does not support transactions');
+        });
+
+        it('should keep failed array adds atomic', function() {
+            const immutable = ImmutableBTree.fromSorted([{ id: 1 }]);
+            expect(() => immutable.add([{ id: 2 }, { name: 'no id' }])).to.throw("Array item at index 1 must have property 'id'");
+            expect(immutable.size()).to.equal(1);
+        });
+    });
+});